@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Match = require('../models/Match');
+const Prediction = require('../models/Prediction');
+const AiCall = require('../models/AiCall');
+const JobRun = require('../models/JobRun');
+const Team = require('../models/Team');
+const { JOB_NAMES, getSchedulerStatus } = require('../services/jobService');
+const { findDuplicateMatches, mergeMatches, mergeAllDuplicates } = require('../services/matchIdentityService');
+const { addTeamAliases, mergeTeams } = require('../services/teamService');
+const { getLiveStatus } = require('../services/liveService');
+const { getModel: getStatModel } = require('../services/statModelService');
+const Calibration = require('../models/Calibration');
+const { refitCalibrations } = require('../services/calibrationService');
+const { getOrCreateSummary, getBudgetStatus } = require('../services/summaryService');
+
+function parseDate(value) {
+  if (!value) return undefined;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? undefined : d;
+}
+
+/* ---------------- Audit Log ---------------- */
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { keyName, outcome } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const filter = {};
+    if (keyName) filter.keyName = keyName;
+    if (outcome) filter.outcome = outcome;
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, data: entries });
+  } catch (err) {
+    console.error("API: Failed to fetch audit log:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch audit log" });
+  }
+};
+
+/* ---------------- Match Deduplication ---------------- */
+exports.getDuplicateMatches = async (req, res) => {
+  try {
+    const groups = await findDuplicateMatches({ from: parseDate(req.query.from), to: parseDate(req.query.to) });
+    res.json({ success: true, data: groups });
+  } catch (err) {
+    console.error("API: Failed to find duplicate matches:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to find duplicate matches" });
+  }
+};
+
+// body: { survivorId, duplicateIds: [...] } to merge one group, or { auto: true, from?, to? } to merge all detected groups
+exports.mergeDuplicateMatches = async (req, res) => {
+  try {
+    const { survivorId, duplicateIds, auto, from, to } = req.body || {};
+    if (auto) {
+      const result = await mergeAllDuplicates({ from: parseDate(from), to: parseDate(to) });
+      return res.json({ success: true, result });
+    }
+    if (!survivorId || !Array.isArray(duplicateIds) || !duplicateIds.length) {
+      return res.status(400).json({ success: false, error: "Provide survivorId and duplicateIds, or auto: true" });
+    }
+
+    const result = await mergeMatches(survivorId, duplicateIds);
+    res.json({ success: true, result });
+  } catch (err) {
+    console.error("API: Failed to merge matches:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to merge matches" });
+  }
+};
+
+/* ---------------- Team Aliases & Merge ---------------- */
+// body: { aliases: ["Man Utd", "Manchester United FC"] }
+exports.addTeamAliases = async (req, res) => {
+  try {
+    const { aliases } = req.body || {};
+    if (!Array.isArray(aliases) || !aliases.length) {
+      return res.status(400).json({ success: false, error: "Provide a non-empty aliases array" });
+    }
+
+    const team = await addTeamAliases(req.params.teamId, aliases);
+    res.json({ success: true, data: { id: String(team._id), name: team.name, aliases: team.aliases } });
+  } catch (err) {
+    console.error("API: Failed to add team aliases:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to add team aliases" });
+  }
+};
+
+// body: { survivorId, duplicateId }
+exports.mergeTeams = async (req, res) => {
+  try {
+    const { survivorId, duplicateId } = req.body || {};
+    if (!survivorId || !duplicateId) {
+      return res.status(400).json({ success: false, error: "Provide survivorId and duplicateId" });
+    }
+    if (String(survivorId) === String(duplicateId)) {
+      return res.status(400).json({ success: false, error: "Cannot merge a team into itself" });
+    }
+    if (![survivorId, duplicateId].every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ success: false, error: "Invalid team id" });
+    }
+    if ((await Team.countDocuments({ _id: { $in: [survivorId, duplicateId] } })) < 2) {
+      return res.status(404).json({ success: false, error: "Team not found" });
+    }
+
+    const result = await mergeTeams(survivorId, duplicateId);
+    res.json({ success: true, result });
+  } catch (err) {
+    console.error("API: Failed to merge teams:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to merge teams" });
+  }
+};
+
+/* ---------------- Live Polling ---------------- */
+exports.getLiveStatus = (req, res) => {
+  res.json({ success: true, data: getLiveStatus() });
+};
+
+/* ---------------- Jobs ---------------- */
+// ?job= &status= &limit=
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { job, status } = req.query;
+    if (job && !JOB_NAMES.includes(job)) {
+      return res.status(400).json({ success: false, error: `Unknown job. Expected one of: ${JOB_NAMES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const filter = {};
+    if (job) filter.job = job;
+    if (status) filter.status = status;
+
+    const runs = await JobRun.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, scheduler: getSchedulerStatus(), data: runs });
+  } catch (err) {
+    console.error("API: Failed to fetch job runs:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch job runs" });
+  }
+};
+
+/* ---------------- Statistical Model ---------------- */
+// ?refit=true forces a refit; otherwise returns the cached model
+exports.getStatModel = async (req, res) => {
+  try {
+    const model = await getStatModel({ refit: req.query.refit === 'true' });
+    const ratings = Object.entries(model.ratings)
+      .map(([team, r]) => ({ team, ...r }))
+      .sort((a, b) => (b.attack / b.defence) - (a.attack / a.defence));
+
+    res.json({
+      success: true,
+      data: {
+        version: model.version,
+        fittedAt: model.fittedAt,
+        sampleSize: model.sampleSize,
+        homeAdvantage: model.homeAdvantage,
+        rho: model.rho,
+        ratings
+      }
+    });
+  } catch (err) {
+    console.error("API: Failed to fit stat model:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fit stat model" });
+  }
+};
+
+/* ---------------- Calibration ---------------- */
+exports.getCalibrations = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.modelVersion) filter.modelVersion = req.query.modelVersion;
+    if (req.query.active === 'true') filter.active = true;
+
+    const calibrations = await Calibration.find(filter, { events: 0 })
+      .sort({ fittedAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({ success: true, data: calibrations });
+  } catch (err) {
+    console.error("API: Failed to fetch calibrations:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch calibrations" });
+  }
+};
+
+exports.refitCalibration = async (req, res) => {
+  try {
+    const method = req.body?.method || 'isotonic';
+    if (!['isotonic', 'platt'].includes(method)) {
+      return res.status(400).json({ success: false, error: "method must be 'isotonic' or 'platt'" });
+    }
+
+    const result = await refitCalibrations({ method });
+    res.json({ success: true, data: result });
+  } catch (err) {
+    console.error("API: Failed to refit calibration:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to refit calibration" });
+  }
+};
+
+/* ---------------- AI Summaries ---------------- */
+exports.regenerateSummary = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId).lean();
+    if (!match) return res.status(404).json({ success: false, error: "Match not found" });
+
+    const result = await getOrCreateSummary(match, { force: true });
+    if (!result.summary) return res.status(429).json({ success: false, error: result.skippedReason });
+
+    res.json({ success: true, data: result.summary });
+  } catch (err) {
+    console.error("API: Failed to regenerate summary:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to regenerate summary" });
+  }
+};
+
+exports.getSummaryBudget = async (req, res) => {
+  try {
+    res.json({ success: true, data: await getBudgetStatus() });
+  } catch (err) {
+    console.error("API: Failed to fetch summary budget:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch summary budget" });
+  }
+};
+
+/* ---------------- AI Provenance ---------------- */
+exports.getAiCalls = async (req, res) => {
+  try {
+    const { kind, promptVersion, model, status, matchId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = {};
+    if (kind) filter.kind = kind;
+    if (promptVersion) filter.promptVersion = promptVersion;
+    if (model) filter.model = model;
+    if (status) filter.status = status;
+    if (matchId) filter.matchId = matchId;
+
+    const calls = await AiCall.find(filter, { rawResponse: 0 })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, data: calls });
+  } catch (err) {
+    console.error("API: Failed to fetch AI calls:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch AI calls" });
+  }
+};
+
+exports.getAiCall = async (req, res) => {
+  try {
+    const call = await AiCall.findById(req.params.callId).lean();
+    if (!call) return res.status(404).json({ success: false, error: "AI call not found" });
+
+    const predictions = await Prediction.find(
+      { _id: { $in: call.predictionIds || [] } },
+      { bucket: 1, confidence: 1, outcomes: 1, status: 1, settledAt: 1, settlement: 1 }
+    ).lean();
+
+    res.json({ success: true, data: { ...call, predictions } });
+  } catch (err) {
+    console.error("API: Failed to fetch AI call:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch AI call" });
+  }
+};
+
+exports.getPredictionProvenance = async (req, res) => {
+  try {
+    const prediction = await Prediction.findById(req.params.predictionId).lean();
+    if (!prediction) return res.status(404).json({ success: false, error: "Prediction not found" });
+
+    const call = prediction.provenanceId ? await AiCall.findById(prediction.provenanceId).lean() : null;
+    res.json({
+      success: true,
+      data: {
+        predictionId: String(prediction._id),
+        version: prediction.version,
+        promptVersion: prediction.promptVersion || null,
+        model: prediction.model || null,
+        featureVersion: prediction.featureVersion || null,
+        features: prediction.features || null,
+        calibrationVersion: prediction.calibrationVersion || null,
+        components: prediction.components || [],
+        status: prediction.status,
+        settlement: prediction.settlement || null,
+        call
+      }
+    });
+  } catch (err) {
+    console.error("API: Failed to fetch prediction provenance:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch prediction provenance" });
+  }
+};
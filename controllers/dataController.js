@@ -1,60 +1,20 @@
+const { z } = require('zod');
 const Match = require('../models/Match');
 const Prediction = require('../models/Prediction');
 const Team = require('../models/Team');
 const Player = require('../models/Player');
-const {
-  fetchAndStoreUpcomingMatches,
-  importHistoryFromUrl,
-  generateAllPredictions
-} = require('../services/cronService');
+const Appearance = require('../models/Appearance');
+const { getMatchScore, calculateWinner } = require('../utils/score');
+const { importHistoryFromUrl, importHistoryFromContent } = require('../services/historyImportService');
+const { settleMatch } = require('../services/settlementService');
+const { runJob } = require('../services/jobService');
+const { getStoredSummary } = require('../services/summaryService');
+const { lineupAppearances } = require('../services/playerService');
+const { listMatches, latestByBucket } = require('../services/matchQueryService');
+const { listQuerySchema } = require('../utils/listQuery');
+const { UPCOMING_STATUSES } = require('../utils/matchStatus');
 
 /* ---------------- Helpers ---------------- */
-function getOneXTwo(pred) {
-  if (!pred) return null;
-  if (pred.outcomes?.oneXTwo) return pred.outcomes.oneXTwo;
-  if (pred.oneXTwo) return pred.oneXTwo;
-  if (pred.outcome?.oneXTwo) return pred.outcome.oneXTwo;
-  return null;
-}
-
-function calculateWinner(match) {
-  if (!match || match.status !== 'finished') return null;
-
-  const homeScore = match.ft_score ?? match.homeGoals ?? 0;
-  const awayScore = match.ft_score_away ?? match.awayGoals ?? 0;
-
-  if (homeScore > awayScore) return 'home';
-  if (homeScore < awayScore) return 'away';
-
-  const etHome = match.et_score ?? 0;
-  const etAway = match.et_score_away ?? 0;
-  if (etHome > etAway) return 'home';
-  if (etHome < etAway) return 'away';
-
-  const penHome = match.pen_score ?? 0;
-  const penAway = match.pen_score_away ?? 0;
-  if (penHome > penAway) return 'home';
-  if (penHome < penAway) return 'away';
-
-  return 'draw';
-}
-
-function applyPredictionStatus(match, predictions) {
-  const actualWinner = calculateWinner(match);
-  if (!actualWinner) return predictions;
-
-  return predictions.map(p => {
-    const oneXTwo = getOneXTwo(p);
-    if (oneXTwo && !p.status) {
-      const predictedWinner =
-        oneXTwo.home > oneXTwo.away ? 'home' :
-        oneXTwo.home < oneXTwo.away ? 'away' : 'draw';
-      p.status = predictedWinner === actualWinner ? 'won' : 'lost';
-    }
-    return p;
-  });
-}
-
 function groupPredictionsByMatch(predictions) {
   return predictions.reduce((acc, p) => {
     const matchIdKey = (p.matchId && (p.matchId._id || p.matchId)) ? String(p.matchId._id || p.matchId) : 'unknown';
@@ -77,6 +37,7 @@ function safeTeamObj(team) {
 }
 
 function formatMatch(match, predictions = []) {
+  const score = getMatchScore(match);
   const home = match.homeTeam ? safeTeamObj(match.homeTeam) : null;
   const away = match.awayTeam ? safeTeamObj(match.awayTeam) : null;
   const matchDate = match.matchDateUtc || match.date || match.matchDate || null;
@@ -95,38 +56,72 @@ function formatMatch(match, predictions = []) {
     homeTeam: home,
     awayTeam: away,
     score: match.status === 'finished' ? {
-      ft: { home: match.ft_score ?? match.homeGoals, away: match.ft_score_away ?? match.awayGoals },
-      et: { home: match.et_score ?? null, away: match.et_score_away ?? null },
-      pen: { home: match.pen_score ?? null, away: match.pen_score_away ?? null }
+      ft: score.ft,
+      ht: score.ht,
+      et: score.et,
+      pen: score.pen
     } : null,
+    winner: calculateWinner(match),
     predictions: (predictions || []).map(p => ({
       id: String(p._id || p.id),
-      bucket: p.bucket,
+      bucket: p.bucket || null,
+      bucketReason: p.bucketReason || null,
+      pick: p.pick || null,
       confidence: p.confidence,
       outcomes: p.outcomes,
-      status: p.status || 'pending'
+      edges: p.edges || [],
+      status: p.status || 'pending',
+      settledAt: p.settledAt || null,
+      markets: p.settlement?.markets || []
     }))
   };
 }
 
+function formatSummary(summary) {
+  if (!summary) return null;
+  return {
+    text: summary.text,
+    model: summary.model || null,
+    promptVersion: summary.promptVersion || null,
+    generatedAt: summary.generatedAt || null
+  };
+}
+
+/* ---------------- Match lists ---------------- */
+// Every list route shares utils/listQuery: ?limit &cursor &sort &from &to &league &country &team &status &bucket &minConfidence
+const upcomingQuerySchema = listQuerySchema({ defaultLimit: 50, defaultSort: 'date' });
+const resultsQuerySchema = listQuerySchema({ defaultLimit: 30 });
+const recentResultsQuerySchema = listQuerySchema({ defaultLimit: 10 });
+const recentMatchesQuerySchema = listQuerySchema({ defaultLimit: 10 });
+const historyQuerySchema = listQuerySchema({ defaultLimit: 50, extra: { season: z.string().trim().min(1).optional() } });
+const bucketQuerySchema = listQuerySchema({ defaultLimit: 50 });
+
+async function respondWithMatchList(req, res, { schema, query = req.query, base = {}, prepare, label }) {
+  const parsed = schema.safeParse(query);
+  if (!parsed.success) {
+    return res.status(400).json({ success: false, error: "Invalid query parameters", details: parsed.error.issues });
+  }
+
+  try {
+    const q = parsed.data;
+    if (prepare) prepare(q);
+    const { matches, predictions, pagination } = await listMatches(q, base);
+    const grouped = groupPredictionsByMatch(predictions);
+    res.json({ success: true, data: matches.map(m => formatMatch(m, grouped[String(m._id)] || [])), pagination });
+  } catch (err) {
+    console.error(`API: Failed to fetch ${label}:`, err.message || err);
+    res.status(500).json({ success: false, error: err.message || `Failed to fetch ${label}` });
+  }
+}
+
 /* ---------------- Dashboard ---------------- */
 exports.getDashboardData = async (req, res) => {
   try {
     const buckets = ["vip", "daily2", "value5", "big10"];
-    const data = {};
-
-    for (const bucket of buckets) {
-      const predictions = await Prediction.find({ bucket })
-        .populate({ path: "matchId", populate: ["homeTeam", "awayTeam"] })
-        .sort({ createdAt: -1 })
-        .lean();
-
-      const grouped = groupPredictionsByMatch(predictions);
-      data[bucket] = Object.values(grouped).map(g => {
-        const matchObj = g[0].matchId || {};
-        return formatMatch(matchObj, g);
-      }).slice(0, 5);
-    }
+    const rows = await latestByBucket(buckets, { perBucket: 5 });
+
+    const data = Object.fromEntries(buckets.map(bucket => [bucket, []]));
+    for (const row of rows) data[row.bucket].push(formatMatch(row.match, row.predictions));
 
     res.json({ success: true, data });
   } catch (err) {
@@ -136,69 +131,33 @@ exports.getDashboardData = async (req, res) => {
 };
 
 /* ---------------- Predictions ---------------- */
-exports.getPredictionsByBucket = async (req, res) => {
-  try {
-    const bucket = req.params.bucket;
-    const predictions = await Prediction.find({ bucket })
-      .populate({ path: "matchId", populate: ["homeTeam", "awayTeam"] })
-      .sort({ createdAt: -1 })
-      .lean();
-
-    const grouped = groupPredictionsByMatch(predictions);
-    const formatted = Object.values(grouped).map(g => formatMatch(g[0].matchId || {}, g));
-    res.json({ success: true, data: formatted });
-  } catch (err) {
-    console.error("API: Failed to fetch predictions:", err.message || err);
-    res.status(500).json({ success: false, error: err.message || "Failed to fetch predictions" });
-  }
-};
-
-/* ---------------- Results ---------------- */
-async function fetchResultsWithPredictions(limit = 30) {
-  const results = await Match.find({ status: "finished" })
-    .populate("homeTeam awayTeam")
-    .sort({ matchDateUtc: -1 })
-    .limit(limit)
-    .lean();
-
-  const predictions = await Prediction.find({ matchId: { $in: results.map(r => r._id) } }).lean();
-
-  return results.map(match => {
-    const preds = applyPredictionStatus(match, predictions.filter(p => String(p.matchId) === String(match._id)));
-    return formatMatch(match, preds);
+exports.getPredictionsByBucket = (req, res) =>
+  respondWithMatchList(req, res, {
+    schema: bucketQuerySchema,
+    query: { ...req.query, bucket: req.params.bucket },
+    label: 'predictions'
   });
-}
 
-exports.getResults = async (req, res) => {
-  try {
-    const resultsWithOutcome = await fetchResultsWithPredictions(30);
-    res.json({ success: true, data: resultsWithOutcome });
-  } catch (err) {
-    console.error("API: Failed to fetch results:", err.message || err);
-    res.status(500).json({ success: false, error: err.message || "Failed to fetch results" });
-  }
-};
+/* ---------------- Results ---------------- */
+// results ignore ?status=: they are always finished matches
+exports.getResults = (req, res) =>
+  respondWithMatchList(req, res, { schema: resultsQuerySchema, base: { status: 'finished' }, label: 'results' });
 
-exports.getRecentResults = async (req, res) => {
-  try {
-    const resultsWithOutcome = await fetchResultsWithPredictions(10);
-    res.json({ success: true, data: resultsWithOutcome });
-  } catch (err) {
-    console.error("API: Failed to fetch recent results:", err.message || err);
-    res.status(500).json({ success: false, error: err.message || "Failed to fetch recent results" });
-  }
-};
+exports.getRecentResults = (req, res) =>
+  respondWithMatchList(req, res, { schema: recentResultsQuerySchema, base: { status: 'finished' }, label: 'recent results' });
 
 exports.getMatchSummary = async (req, res) => {
   try {
-    const match = await Match.findById(req.params.matchId)
-      .populate("homeTeam awayTeam")
-      .lean();
+    const match = await Match.findById(req.params.matchId).lean();
     if (!match) return res.status(404).json({ success: false, error: "Match not found" });
 
     const predictions = await Prediction.find({ matchId: match._id }).lean();
-    const withStatus = applyPredictionStatus(match, predictions);
-    res.json({ success: true, data: formatMatch(match, withStatus) });
+
+    // read-only: narratives are written by the generate-summaries job, never by a public request
+    const summary = await getStoredSummary(match._id);
+    const summaryError = summary ? null : "Summary not generated yet";
+
+    res.json({ success: true, data: { ...formatMatch(match, predictions), summary: formatSummary(summary), summaryError } });
   } catch (err) {
     console.error("API: Failed to fetch match summary:", err.message || err);
     res.status(500).json({ success: false, error: err.message || "Failed to fetch match summary" });
@@ -206,87 +165,78 @@ exports.getMatchSummary = async (req, res) => {
 };
 
 /* ---------------- Matches ---------------- */
-exports.getUpcomingMatches = async (req, res) => {
-  try {
-    const now = new Date();
-    const until = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-    const upcoming = await Match.find({
-      status: { $in: ["scheduled", "upcoming", "tba"] },
-      matchDateUtc: { $gte: now, $lte: until }
-    })
-      .populate("homeTeam awayTeam")
-      .sort({ matchDateUtc: 1 })
-      .limit(50)
-      .lean();
-
-    const matchIds = upcoming.map(m => m._id);
-    const predictions = await Prediction.find({ matchId: { $in: matchIds } }).lean();
+exports.getUpcomingMatches = (req, res) =>
+  respondWithMatchList(req, res, {
+    schema: upcomingQuerySchema,
+    label: 'upcoming matches',
+    prepare: (query) => {
+      // default: not started yet and kicking off in the next 24h
+      if (!query.from && !query.to) {
+        query.from = new Date();
+        query.to = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      }
+      if (!query.status) query.status = UPCOMING_STATUSES;
+    }
+  });
 
-    const out = upcoming.map(match => {
-      const preds = predictions.filter(p => String(p.matchId) === String(match._id));
-      return formatMatch(match, preds);
-    });
+exports.getRecentMatches = (req, res) =>
+  respondWithMatchList(req, res, { schema: recentMatchesQuerySchema, label: 'recent matches' });
 
-    res.json({ success: true, data: out });
-  } catch (err) {
-    console.error("API: Failed to fetch upcoming matches:", err.message || err);
-    res.status(500).json({ success: false, error: err.message || "Failed to fetch upcoming matches" });
-  }
-};
-
-exports.getRecentMatches = async (req, res) => {
-  try {
-    const recent = await Match.find({})
-      .populate("homeTeam awayTeam")
-      .sort({ matchDateUtc: -1 })
-      .limit(10)
-      .lean();
+/* ---------------- History ---------------- */
+exports.getMatchHistory = (req, res) =>
+  respondWithMatchList(req, res, { schema: historyQuerySchema, base: { status: 'finished' }, label: 'match history' });
 
-    res.json({ success: true, data: recent.map(m => formatMatch(m)) });
-  } catch (err) {
-    console.error("API: Failed to fetch recent matches:", err.message || err);
-    res.status(500).json({ success: false, error: err.message || "Failed to fetch recent matches" });
-  }
-};
+/* ---------------- Lineups & Player Stats ---------------- */
+// season stats exposed next to each player; the remaining Player fields are in /teams/:teamId/players
+const PLAYER_STAT_FIELDS = 'name number position age injured minutes appearances lineups goals assists yellowCards redCards rating statsUpdatedAt';
 
-/* ---------------- History ---------------- */
-exports.getMatchHistory = async (req, res) => {
-  try {
-    const { limit = 50, league, season } = req.query;
-    const filter = { status: "finished" };
-    if (league) filter.league = league;
-    if (season) filter.season = season;
-
-    const matches = await Match.find(filter)
-      .populate("homeTeam awayTeam")
-      .sort({ matchDateUtc: -1 })
-      .limit(parseInt(limit, 10))
-      .lean();
+function formatAppearance(a) {
+  return {
+    playerId: a.player?._id || a.player,
+    name: a.player?.name,
+    number: a.number ?? a.player?.number ?? null,
+    position: a.position || a.player?.position || null,
+    minuteOn: a.minuteOn,
+    minuteOff: a.minuteOff,
+    minutesPlayed: a.minutesPlayed,
+    season: a.player || null
+  };
+}
 
-    const predictions = await Prediction.find({ matchId: { $in: matches.map(m => m._id) } }).lean();
-    const withPreds = matches.map(match => formatMatch(match, applyPredictionStatus(match, predictions.filter(p => String(p.matchId) === String(match._id)))));
-    res.json({ success: true, data: withPreds });
-  } catch (err) {
-    console.error("API: Failed to fetch match history:", err.message || err);
-    res.status(500).json({ success: false, error: err.message || "Failed to fetch match history" });
-  }
-};
+// A feed lineup entry in the formatAppearance shape, for matches whose players were never ingested
+function formatLineupEntry({ entry, ...a }) {
+  return {
+    playerId: null,
+    name: entry.name,
+    number: a.number,
+    position: a.position,
+    minuteOn: a.minuteOn,
+    minuteOff: a.minuteOff,
+    minutesPlayed: a.minutesPlayed,
+    season: null
+  };
+}
 
-/* ---------------- Lineups & Player Stats ---------------- */
 exports.getMatchLineups = async (req, res) => {
   try {
-    const match = await Match.findById(req.params.matchId)
-      .populate({
-        path: "homeTeam awayTeam",
-        populate: { path: "players" }
-      }).lean();
+    const match = await Match.findById(req.params.matchId).lean();
     if (!match) return res.status(404).json({ success: false, error: "Match not found" });
 
-    res.json({
-      success: true,
-      home: match.homeTeam.players || [],
-      away: match.awayTeam.players || []
+    const appearances = await Appearance.find({ match: match._id })
+      .populate('player', PLAYER_STAT_FIELDS)
+      .lean();
+    // matches stored before player ingestion only have the feed lineups; they get the same shape, minus player ids
+    const rows = appearances.length
+      ? appearances.map((a) => ({ ...formatAppearance(a), side: a.side, role: a.role }))
+      : lineupAppearances(match).map((a) => ({ ...formatLineupEntry(a), side: a.side, role: a.role }));
+    const side = (name) => ({
+      team: name === 'home' ? match.homeTeam : match.awayTeam,
+      starting: rows.filter((p) => p.side === name && p.role === 'starter'),
+      bench: rows.filter((p) => p.side === name && p.role === 'bench'),
+      substitutions: (match.substitutions || []).filter((s) => s.side === name)
     });
+
+    res.json({ success: true, matchId: match._id, home: side('home'), away: side('away') });
   } catch (err) {
     console.error("API: Failed to fetch match lineups:", err.message || err);
     res.status(500).json({ success: false, error: err.message || "Failed to fetch match lineups" });
@@ -295,12 +245,11 @@ exports.getMatchLineups = async (req, res) => {
 
 exports.getTeamPlayers = async (req, res) => {
   try {
-    const team = await Team.findById(req.params.teamId)
-      .populate("players")
-      .lean();
+    const team = await Team.findById(req.params.teamId).lean();
     if (!team) return res.status(404).json({ success: false, error: "Team not found" });
 
-    res.json({ success: true, data: team.players || [] });
+    const players = await Player.find({ team: team._id }).sort({ position: 1, number: 1, name: 1 }).lean();
+    res.json({ success: true, team: { id: team._id, name: team.name }, count: players.length, data: players });
   } catch (err) {
     console.error("API: Failed to fetch team players:", err.message || err);
     res.status(500).json({ success: false, error: err.message || "Failed to fetch team players" });
@@ -310,10 +259,21 @@ exports.getTeamPlayers = async (req, res) => {
 /* ---------------- Import History ---------------- */
 exports.importHistory = async (req, res) => {
   try {
-    const { url } = req.body;
-    if (!url) return res.status(400).json({ success: false, error: "Missing URL in request body" });
+    // JSON body: { url } or { content, format?, source? }. Raw CSV uploads arrive as a text body; a JSON file
+    // posted as application/json (OpenLigaDB array, football.json object) arrives already parsed.
+    const raw = req.body;
+    const uploaded = typeof raw === 'string' || Array.isArray(raw) || Array.isArray(raw?.matches) || Array.isArray(raw?.rounds);
+    const body = uploaded ? { content: raw } : (raw || {});
+    const format = body.format || req.query.format;
+    const source = body.source || req.query.source;
+    if (!body.url && !body.content) {
+      return res.status(400).json({ success: false, error: "Missing URL or file content in request body" });
+    }
 
-    const result = await importHistoryFromUrl(url);
+    const result = body.url
+      ? await importHistoryFromUrl(body.url, { format, source })
+      : await importHistoryFromContent(body.content, { format, source });
+    if (result.skippedReason) return res.status(400).json({ success: false, error: result.skippedReason });
     res.json({ success: true, result });
   } catch (err) {
     console.error("API: Failed to import history:", err.message || err);
@@ -322,22 +282,42 @@ exports.importHistory = async (req, res) => {
 };
 
 /* ---------------- Cron Jobs ---------------- */
-exports.runFetchMatches = async (req, res) => {
+// Runs go through jobService so API triggers share the scheduler's lock and JobRun history
+async function respondWithJob(job, req, res) {
   try {
-    const result = await fetchAndStoreUpcomingMatches();
-    res.json({ success: true, result });
+    const run = await runJob(job, { trigger: 'api', triggeredBy: req.auth?.keyName });
+    if (run.status === 'skipped') {
+      return res.status(409).json({ success: false, error: run.error, runId: String(run._id) });
+    }
+    if (run.status === 'failed') {
+      return res.status(500).json({ success: false, error: run.error, runId: String(run._id) });
+    }
+    res.json({ success: true, result: run.result, runId: String(run._id) });
   } catch (err) {
-    console.error("API: Failed to run fetch matches cron:", err.message || err);
-    res.status(500).json({ success: false, error: err.message || "Failed to fetch matches" });
+    console.error(`API: Failed to run ${job} cron:`, err.message || err);
+    res.status(500).json({ success: false, error: err.message || `Failed to run ${job}` });
   }
-};
+}
 
-exports.runGeneratePredictions = async (req, res) => {
+exports.runFetchMatches = (req, res) => respondWithJob('fetch-matches', req, res);
+exports.runGeneratePredictions = (req, res) => respondWithJob('generate-predictions', req, res);
+exports.runSettlePredictions = (req, res) => respondWithJob('settle-predictions', req, res);
+exports.runImportHistoryJob = (req, res) => respondWithJob('import-history', req, res);
+exports.runBuildSlips = (req, res) => respondWithJob('build-slips', req, res);
+exports.runSyncSquads = (req, res) => respondWithJob('sync-squads', req, res);
+exports.runGenerateSummaries = (req, res) => respondWithJob('generate-summaries', req, res);
+
+/* ---------------- Settlement ---------------- */
+// Re-grade a match's predictions, e.g. after a score correction
+exports.resettleMatch = async (req, res) => {
   try {
-    const result = await generateAllPredictions();
+    const match = await Match.findById(req.params.matchId).lean();
+    if (!match) return res.status(404).json({ success: false, error: "Match not found" });
+
+    const result = await settleMatch(match, { force: true });
     res.json({ success: true, result });
   } catch (err) {
-    console.error("API: Failed to run generate predictions cron:", err.message || err);
-    res.status(500).json({ success: false, error: err.message || "Failed to generate predictions" });
+    console.error("API: Failed to re-settle match:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to re-settle match" });
   }
 };
@@ -0,0 +1,34 @@
+const { z } = require('zod');
+const { getStandings, listLeagues } = require('../services/standingsService');
+
+const standingsQuerySchema = z.object({
+  season: z.string().regex(/^\d{4}([-/](\d{2}|\d{4}))?$/, 'Expected a season like 2025/2026, 2025-26 or 2025').optional(),
+});
+
+/* ---------------- Leagues ---------------- */
+exports.getLeagues = async (req, res) => {
+  try {
+    const leagues = await listLeagues();
+    res.json({ success: true, count: leagues.length, data: leagues });
+  } catch (err) {
+    console.error("API: Failed to fetch leagues:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch leagues" });
+  }
+};
+
+exports.getStandings = async (req, res) => {
+  const parsed = standingsQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ success: false, error: "Invalid query parameters", details: parsed.error.issues });
+  }
+
+  try {
+    const standing = await getStandings(req.params.leagueId, parsed.data);
+    if (!standing) return res.status(404).json({ success: false, error: "No results for this league and season" });
+
+    res.json({ success: true, data: standing });
+  } catch (err) {
+    console.error("API: Failed to fetch standings:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch standings" });
+  }
+};
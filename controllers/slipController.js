@@ -0,0 +1,85 @@
+const { z } = require('zod');
+const Slip = require('../models/Slip');
+const { SLIP_TARGETS } = require('../services/slipService');
+const { runJob } = require('../services/jobService');
+const { MAX_LIMIT, resolveCursor, paginate } = require('../utils/listQuery');
+
+const day = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected YYYY-MM-DD');
+const bucket = z.enum(Object.keys(SLIP_TARGETS));
+
+const SLIP_SORTS = {
+  date: { field: 'date', dir: 1 },
+  '-date': { field: 'date', dir: -1 },
+};
+
+const listQuerySchema = z.object({
+  date: day.optional(),
+  bucket: bucket.optional(),
+  status: z.enum(['pending', 'won', 'lost', 'void']).optional(),
+  limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(50),
+  sort: z.enum(Object.keys(SLIP_SORTS)).default('-date'),
+  cursor: z.string().optional(),
+}).transform(resolveCursor);
+
+const buildBodySchema = z.object({
+  date: day.optional(),
+  buckets: z.array(bucket).min(1).optional(),
+  rebuild: z.boolean().optional(),
+});
+
+/* ---------------- Slips ---------------- */
+exports.getSlips = async (req, res) => {
+  const parsed = listQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ success: false, error: "Invalid query parameters", details: parsed.error.issues });
+  }
+
+  try {
+    const { limit, sort, cursor, ...filter } = parsed.data;
+    if (!filter.date && !filter.status) filter.date = new Date().toISOString().split('T')[0];
+
+    const { items, pagination } = await paginate(Slip, filter, { limit, sort, cursor, sorts: SLIP_SORTS });
+    await Slip.populate(items, { path: 'legs.matchId', select: 'homeTeam awayTeam league matchDateUtc status score' });
+
+    res.json({ success: true, data: items, pagination });
+  } catch (err) {
+    console.error("API: Failed to fetch slips:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch slips" });
+  }
+};
+
+exports.getSlip = async (req, res) => {
+  try {
+    const slip = await Slip.findById(req.params.slipId)
+      .populate('legs.matchId', 'homeTeam awayTeam league matchDateUtc status score')
+      .lean();
+    if (!slip) return res.status(404).json({ success: false, error: "Slip not found" });
+
+    res.json({ success: true, data: slip });
+  } catch (err) {
+    console.error("API: Failed to fetch slip:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch slip" });
+  }
+};
+
+exports.buildSlips = async (req, res) => {
+  const parsed = buildBodySchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ success: false, error: "Invalid request body", details: parsed.error.issues });
+  }
+
+  // through the build-slips job so a manual build can't race the scheduled one
+  try {
+    const run = await runJob('build-slips', { trigger: 'api', triggeredBy: req.auth?.keyName, params: parsed.data });
+    if (run.status === 'skipped') {
+      return res.status(409).json({ success: false, error: run.error, runId: String(run._id) });
+    }
+    if (run.status === 'failed') {
+      return res.status(500).json({ success: false, error: run.error, runId: String(run._id) });
+    }
+    res.json({ success: true, result: run.result, runId: String(run._id) });
+  } catch (err) {
+    console.error("API: Failed to build slips:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to build slips" });
+  }
+};
@@ -0,0 +1,33 @@
+const { z } = require('zod');
+const { GROUP_DIMENSIONS, DEFAULT_GROUP_BY, getPerformanceStats } = require('../services/statsService');
+
+const performanceQuerySchema = z.object({
+  groupBy: z.string().optional()
+    .transform(v => (v ? v.split(',').map(s => s.trim()).filter(Boolean) : DEFAULT_GROUP_BY))
+    .pipe(z.array(z.enum(GROUP_DIMENSIONS)).min(1)),
+  bucket: z.enum(['vip', 'daily2', 'value5', 'big10']).optional(),
+  league: z.string().optional(),
+  market: z.enum(['oneXTwo', 'doubleChance', 'over05', 'over15', 'over25', 'btts']).optional(),
+  version: z.string().optional(),
+  promptVersion: z.string().optional(),
+  model: z.string().optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
+
+/* ---------------- Performance ---------------- */
+exports.getPerformance = async (req, res) => {
+  const parsed = performanceQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ success: false, error: "Invalid query parameters", details: parsed.error.issues });
+  }
+
+  try {
+    const { groupBy, ...filters } = parsed.data;
+    const data = await getPerformanceStats({ groupBy, filters });
+    res.json({ success: true, groupBy, data });
+  } catch (err) {
+    console.error("API: Failed to fetch performance stats:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch performance stats" });
+  }
+};
@@ -0,0 +1,69 @@
+const { subscribe, getEventsSince } = require('../services/eventBus');
+
+const HEARTBEAT_MS = 25 * 1000; // below common proxy idle timeouts
+
+function list(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * A client receives an event when it matches any of its matchId/league/bucket filters
+ * (or it set none). Events without routing tags, such as job runs, go to everyone.
+ * `types` narrows by event type on top of that.
+ */
+function buildFilter(query) {
+  const filters = {
+    matchId: new Set(list(query.matchId)),
+    league: new Set(list(query.league)),
+    bucket: new Set(list(query.bucket)),
+  };
+  const types = new Set(list(query.types));
+  const hasFilters = Object.values(filters).some(s => s.size);
+
+  return event => {
+    if (types.size && !types.has(event.type)) return false;
+    const tagged = Object.values(event.tags).some(Boolean);
+    if (!hasFilters || !tagged) return true;
+    return Object.entries(filters).some(([key, set]) => event.tags[key] && set.has(event.tags[key]));
+  };
+}
+
+function write(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ at: event.at, ...event.tags, data: event.data })}\n\n`);
+}
+
+/* ---------------- Server-Sent Events ---------------- */
+// GET /api/stream?matchId=a,b&league=...&bucket=vip&types=match.updated
+// Reconnecting clients send Last-Event-ID (browsers do this automatically) or ?lastEventId=
+exports.streamEvents = (req, res) => {
+  const matches = buildFilter(req.query);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+  if (lastEventId !== undefined) {
+    const { events, complete } = getEventsSince(lastEventId);
+    if (!complete) {
+      // tell the client its gap can't be filled so it refetches full state
+      res.write(`event: replay.incomplete\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+    }
+    events.filter(matches).forEach(e => write(res, e));
+  }
+
+  const unsubscribe = subscribe(event => {
+    if (matches(event)) write(res, event);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
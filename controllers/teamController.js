@@ -0,0 +1,65 @@
+const { z } = require('zod');
+const Team = require('../models/Team');
+const { getTeamProfile, getTeamFixtures, getHeadToHead } = require('../services/teamProfileService');
+
+const count = (max) => z.coerce.number().int().min(0).max(max);
+
+const fixturesQuerySchema = z.object({
+  past: count(100).optional(),
+  upcoming: count(100).optional(),
+});
+
+const h2hQuerySchema = z.object({
+  limit: count(200).optional(),
+});
+
+function invalidQuery(res, parsed) {
+  return res.status(400).json({ success: false, error: "Invalid query parameters", details: parsed.error.issues });
+}
+
+/* ---------------- Teams ---------------- */
+exports.getTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.teamId).lean();
+    if (!team) return res.status(404).json({ success: false, error: "Team not found" });
+
+    res.json({ success: true, data: await getTeamProfile(team) });
+  } catch (err) {
+    console.error("API: Failed to fetch team:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch team" });
+  }
+};
+
+exports.getTeamFixtures = async (req, res) => {
+  const parsed = fixturesQuerySchema.safeParse(req.query);
+  if (!parsed.success) return invalidQuery(res, parsed);
+
+  try {
+    const team = await Team.findById(req.params.teamId).lean();
+    if (!team) return res.status(404).json({ success: false, error: "Team not found" });
+
+    res.json({ success: true, team: { id: team._id, name: team.name }, ...(await getTeamFixtures(team, parsed.data)) });
+  } catch (err) {
+    console.error("API: Failed to fetch team fixtures:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch team fixtures" });
+  }
+};
+
+/* ---------------- Head to head ---------------- */
+exports.getHeadToHead = async (req, res) => {
+  const parsed = h2hQuerySchema.safeParse(req.query);
+  if (!parsed.success) return invalidQuery(res, parsed);
+
+  try {
+    const [teamA, teamB] = await Promise.all([
+      Team.findById(req.params.teamA).lean(),
+      Team.findById(req.params.teamB).lean(),
+    ]);
+    if (!teamA || !teamB) return res.status(404).json({ success: false, error: "Team not found" });
+
+    res.json({ success: true, data: await getHeadToHead(teamA, teamB, parsed.data) });
+  } catch (err) {
+    console.error("API: Failed to fetch head-to-head:", err.message || err);
+    res.status(500).json({ success: false, error: err.message || "Failed to fetch head-to-head" });
+  }
+};
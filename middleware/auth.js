@@ -0,0 +1,111 @@
+// middleware/auth.js
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+const PLACEHOLDER_TOKEN = /^YOUR_/i;
+
+/**
+ * Load named API keys from the environment.
+ * API_KEYS="name:token,name2:token2" holds rotatable keys; CRON_SECRET is kept as the "cron" key.
+ */
+function loadApiKeys(env = process.env) {
+  let keys = [];
+  if (env.CRON_SECRET) keys.push({ name: 'cron', token: env.CRON_SECRET });
+
+  for (const entry of (env.API_KEYS || '').split(',')) {
+    const idx = entry.indexOf(':');
+    if (idx <= 0) continue;
+    const name = entry.slice(0, idx).trim();
+    const token = entry.slice(idx + 1).trim();
+    if (name && token) keys.push({ name, token });
+  }
+
+  // values copied unchanged from .env.example would be publicly known tokens
+  keys = keys.filter(k => {
+    if (!PLACEHOLDER_TOKEN.test(k.token)) return true;
+    console.warn(`AUTH: Ignoring the "${k.name}" key: its token is still a placeholder (YOUR_*).`);
+    return false;
+  });
+
+  // store digests so comparisons are fixed-length and constant time
+  return keys.map(k => ({ name: k.name, digest: crypto.createHash('sha256').update(k.token).digest() }));
+}
+
+let apiKeys = loadApiKeys();
+if (!apiKeys.length) {
+  console.warn('AUTH: No usable CRON_SECRET or API_KEYS configured. Protected routes will reject all requests.');
+}
+
+function findKey(token) {
+  const digest = crypto.createHash('sha256').update(token).digest();
+  let match = null;
+  // check every key so timing doesn't reveal which one matched
+  for (const key of apiKeys) {
+    if (crypto.timingSafeEqual(digest, key.digest) && !match) match = key;
+  }
+  return match;
+}
+
+function writeAudit(req, res, entry, startedAt) {
+  const record = {
+    action: `${req.method} ${req.originalUrl.split('?')[0]}`,
+    statusCode: res.statusCode,
+    durationMs: Date.now() - startedAt,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    ...entry,
+  };
+  console.log(`AUDIT: ${record.action} by ${record.keyName || 'anonymous'} -> ${record.outcome} (${record.statusCode})`);
+  AuditLog.create(record).catch(err => console.error('AUDIT: Failed to write audit log:', err.message || err));
+}
+
+function deny(req, res, startedAt, status, code, message) {
+  res.status(status).json({ success: false, error: message, code });
+  writeAudit(req, res, { keyName: null, outcome: 'denied', reason: code }, startedAt);
+}
+
+/**
+ * Require a valid "Authorization: Bearer <token>" header matching one of the configured keys.
+ * 401 when credentials are missing or malformed, 403 when the token is not recognised.
+ */
+function requireApiKey(req, res, next) {
+  const startedAt = Date.now();
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (!header) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return deny(req, res, startedAt, 401, 'AUTH_MISSING', 'Missing Authorization header');
+  }
+  if (!/^Bearer$/i.test(scheme) || !token) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_request"');
+    return deny(req, res, startedAt, 401, 'AUTH_MALFORMED', 'Authorization header must be "Bearer <token>"');
+  }
+
+  const key = findKey(token);
+  if (!key) return deny(req, res, startedAt, 403, 'AUTH_INVALID_TOKEN', 'Invalid API token');
+
+  req.auth = { keyName: key.name };
+  res.on('finish', () => writeAudit(req, res, { keyName: key.name, outcome: 'allowed' }, startedAt));
+  next();
+}
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Apply requireApiKey to every mutating request that hasn't already been authenticated
+ */
+function protectMutations(req, res, next) {
+  if (req.auth || !MUTATING_METHODS.includes(req.method)) return next();
+  return requireApiKey(req, res, next);
+}
+
+/**
+ * Re-read keys from the environment (used after rotating keys at runtime and in tests)
+ */
+function reloadApiKeys(env = process.env) {
+  apiKeys = loadApiKeys(env);
+  return apiKeys.map(k => k.name);
+}
+
+module.exports = { requireApiKey, protectMutations, reloadApiKeys };
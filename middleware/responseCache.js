@@ -0,0 +1,63 @@
+// middleware/responseCache.js
+const crypto = require('crypto');
+const { subscribe } = require('../services/eventBus');
+
+// In-memory, per process. Entries are dropped whenever ingest or settlement publishes an event
+// (the same events the SSE stream carries), with a TTL as a safety net for changes that publish nothing.
+const DEFAULT_TTL_MS = Number(process.env.RESPONSE_CACHE_TTL_MS) || 60 * 1000;
+const INVALIDATING_EVENTS = ['match.updated', 'prediction.created', 'prediction.settled', 'job.finished'];
+
+const entries = new Map();
+let generation = 0; // bumped on every invalidation so responses built meanwhile aren't stored
+let subscribed = false;
+
+function ensureSubscribed() {
+  if (subscribed) return;
+  subscribed = true;
+  subscribe(event => {
+    if (!INVALIDATING_EVENTS.includes(event.type)) return;
+    generation++;
+    entries.clear();
+  });
+}
+
+function send(req, res, entry) {
+  res.set('ETag', entry.etag);
+  res.set('Cache-Control', 'no-cache'); // clients may keep it but must revalidate with If-None-Match
+  if (req.fresh) return res.status(304).end();
+  res.type('json').send(entry.body);
+}
+
+/**
+ * Cache successful JSON GET responses by URL and answer conditional requests with 304
+ */
+function responseCache({ ttlMs = DEFAULT_TTL_MS } = {}) {
+  ensureSubscribed();
+
+  return (req, res, next) => {
+    if (req.method !== 'GET') return next();
+
+    const key = req.originalUrl;
+    const hit = entries.get(key);
+    if (hit && Date.now() - hit.storedAt < ttlMs) return send(req, res, hit);
+
+    const startedAt = generation;
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode !== 200 || !body || body.success === false) return json(body);
+      const serialized = JSON.stringify(body);
+      const entry = {
+        body: serialized,
+        etag: `"${crypto.createHash('sha1').update(serialized).digest('base64url')}"`,
+        storedAt: Date.now()
+      };
+      if (startedAt === generation) entries.set(key, entry);
+      return send(req, res, entry);
+    };
+    next();
+  };
+}
+
+module.exports = {
+  responseCache
+};
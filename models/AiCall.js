@@ -0,0 +1,44 @@
+// models/AiCall.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Provenance of one AI request (services/aiService): which prompt template and model produced
+// an answer, from what input, and what came back. Predictions point here through provenanceId.
+const AiCallSchema = new Schema(
+  {
+    kind: { type: String, enum: ['predictions', 'summary'], required: true },
+    matchId: { type: Schema.Types.ObjectId, ref: 'Match' },
+    predictionIds: [{ type: Schema.Types.ObjectId, ref: 'Prediction' }],
+    promptVersion: { type: String, required: true },
+    inputHash: { type: String }, // sha256 of the input context (match + features), independent of the template
+    promptHash: { type: String }, // sha256 of the rendered prompt
+    status: { type: String, enum: ['succeeded', 'failed'], required: true },
+    provider: { type: String, default: null }, // provider/model that answered, null when every attempt failed
+    model: { type: String, default: null },
+    retries: { type: Number, default: 0 }, // failed attempts before the answer, across the fallback chain
+    latencyMs: { type: Number }, // of the answering attempt
+    totalLatencyMs: { type: Number }, // including failed attempts and backoff
+    attempts: [
+      {
+        _id: false,
+        provider: { type: String },
+        model: { type: String },
+        latencyMs: { type: Number },
+        error: { type: String, default: null },
+      },
+    ],
+    rawResponse: { type: String },
+    usage: {
+      promptTokens: { type: Number, default: 0 },
+      completionTokens: { type: Number, default: 0 },
+      totalTokens: { type: Number, default: 0 },
+    },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+AiCallSchema.index({ matchId: 1, createdAt: -1 });
+AiCallSchema.index({ promptVersion: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AiCall', AiCallSchema);
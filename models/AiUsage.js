@@ -0,0 +1,19 @@
+// models/AiUsage.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Daily AI spend per scope (e.g. "summary"), incremented atomically after every call
+const AiUsageSchema = new Schema(
+  {
+    day: { type: String, required: true }, // UTC day, YYYY-MM-DD
+    scope: { type: String, required: true },
+    requests: { type: Number, default: 0 },
+    tokens: { type: Number, default: 0 },
+    costUsd: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+AiUsageSchema.index({ day: 1, scope: 1 }, { unique: true });
+
+module.exports = mongoose.model('AiUsage', AiUsageSchema);
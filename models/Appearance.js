@@ -0,0 +1,25 @@
+// models/Appearance.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One player's part in one match, built from Match.lineups and Match.substitutions (services/playerService)
+const AppearanceSchema = new Schema(
+  {
+    match: { type: Schema.Types.ObjectId, ref: 'Match', required: true },
+    player: { type: Schema.Types.ObjectId, ref: 'Player', required: true },
+    team: { type: Schema.Types.ObjectId, ref: 'Team' },
+    side: { type: String, enum: ['home', 'away'], required: true },
+    role: { type: String, enum: ['starter', 'bench'], required: true },
+    number: { type: Number },
+    position: { type: String },
+    minuteOn: { type: Number, default: null }, // 0 for starters, sub minute for bench players who came on
+    minuteOff: { type: Number, default: null }, // sub minute when replaced
+    minutesPlayed: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+AppearanceSchema.index({ match: 1, player: 1 }, { unique: true });
+AppearanceSchema.index({ player: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Appearance', AppearanceSchema);
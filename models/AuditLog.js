@@ -0,0 +1,23 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One row per request to a protected (cron/admin/mutating) route
+const AuditLogSchema = new Schema(
+  {
+    keyName: { type: String, default: null }, // named API key that authenticated, null if denied before a key matched
+    action: { type: String, required: true }, // "<METHOD> <path>", e.g. "GET /api/cron/fetch-matches"
+    outcome: { type: String, enum: ['allowed', 'denied'], required: true },
+    reason: { type: String }, // auth error code when denied
+    statusCode: { type: Number },
+    durationMs: { type: Number },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: true }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ keyName: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
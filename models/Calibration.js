@@ -0,0 +1,23 @@
+// models/Calibration.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A fitted probability calibration for one model version. Every refit creates a new document,
+// and predictions record the calibration `version` they were calibrated with, so old
+// predictions stay reproducible after a refit.
+const CalibrationSchema = new Schema(
+  {
+    version: { type: String, required: true, unique: true }, // e.g. "cal-20261018T120000"
+    modelVersion: { type: String, required: true }, // Prediction.version it applies to
+    method: { type: String, enum: ['isotonic', 'platt'], required: true },
+    active: { type: Boolean, default: true },
+    fittedAt: { type: Date, default: Date.now },
+    // event -> { samples, params } ; platt params { a, b }, isotonic params { points: [[x, y], ...] }
+    events: { type: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+CalibrationSchema.index({ modelVersion: 1, active: 1 });
+
+module.exports = mongoose.model('Calibration', CalibrationSchema);
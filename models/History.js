@@ -1,12 +1,15 @@
 // models/History.js
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const oddsLineSchema = require('./schemas/oddsLine');
 
 const HistorySchema = new Schema({
   externalId: { type: String, index: true, sparse: true },
   source: { type: String },
+  contentHash: { type: String }, // sha1 of source/date/team ids, used when there is no externalId
   league: { type: String },
   leagueCode: { type: String },
+  season: { type: String, default: null }, // "YYYY/YYYY" (standingsService.seasonKey) when the source names it
   matchDateUtc: { type: Date, required: true },
   status: { type: String, enum: ['finished'], default: 'finished' },
   homeTeam: { type: Schema.Types.ObjectId, ref: 'Team' },
@@ -17,7 +20,18 @@ const HistorySchema = new Schema({
     home: Number,
     away: Number
   },
-  odds: { type: Schema.Types.Mixed }
+  odds: { type: Schema.Types.Mixed },
+  marketOdds: { type: [oddsLineSchema], default: undefined } // normalised closing odds, when the source has them
 }, { timestamps: true });
 
+HistorySchema.index({ league: 1, season: 1, matchDateUtc: -1 });
+HistorySchema.index(
+  { source: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+HistorySchema.index(
+  { contentHash: 1 },
+  { unique: true, partialFilterExpression: { contentHash: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('History', HistorySchema);
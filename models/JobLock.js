@@ -0,0 +1,17 @@
+// models/JobLock.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Distributed lock, one document per job name. A lock whose lockedUntil has passed is free,
+// so a crashed instance can't block a job forever. Running jobs keep extending it.
+const JobLockSchema = new Schema(
+  {
+    _id: { type: String }, // job name
+    owner: { type: String, required: true }, // instance, for diagnostics
+    token: { type: String, required: true }, // per-run token; only that run may renew or release the lock
+    lockedUntil: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('JobLock', JobLockSchema);
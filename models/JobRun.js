@@ -0,0 +1,26 @@
+// models/JobRun.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One document per job execution (scheduled, API-triggered or skipped because another run held the lock)
+const JobRunSchema = new Schema(
+  {
+    job: { type: String, required: true }, // fetch-matches | generate-predictions | settle-predictions | import-history | build-slips | sync-squads | generate-summaries
+    trigger: { type: String, enum: ['schedule', 'api'], required: true },
+    triggeredBy: { type: String, default: null }, // API key name for api triggers
+    params: { type: Schema.Types.Mixed }, // options passed by the caller, e.g. POST /slips/build's body
+    instance: { type: String }, // host-pid of the process that ran it
+    status: { type: String, enum: ['running', 'succeeded', 'failed', 'skipped'], default: 'running' },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    durationMs: { type: Number },
+    result: { type: Schema.Types.Mixed }, // the job's own report (counts)
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+JobRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
@@ -1,7 +1,27 @@
 const mongoose = require("mongoose");
+const oddsLineSchema = require("./schemas/oddsLine");
+
+// { home, away } goals for one period; null when the period wasn't played/reported
+const periodScoreSchema = new mongoose.Schema(
+  { home: { type: Number }, away: { type: Number } },
+  { _id: false }
+);
 
 const matchSchema = new mongoose.Schema(
   {
+    // Provider the match was last ingested from (goalserve, openligadb, footballjson, soccersapi)
+    source: { type: String },
+    // Provider id mappings, e.g. { goalserve: "123", openligadb: "456" }
+    sourceIds: { type: Map, of: String, default: {} },
+    // A duplicate's sourceIds while matchIdentityService.mergeMatches hands them to the survivor (not indexed)
+    mergedSourceIds: { type: Map, of: String },
+    // Canonical identity used to match the same fixture across providers (services/matchIdentityService)
+    identity: {
+      homeKey: { type: String },
+      awayKey: { type: String },
+      hash: { type: String },
+    },
+
     // Tournament info
     league: { type: String },
     league_id: { type: String },
@@ -27,9 +47,18 @@ const matchSchema = new mongoose.Schema(
     awayTeam: { type: Object, default: {} },
 
     // Scores
+    // score is the source of truth; homeGoals/awayGoals mirror score.ft and
+    // the *_score strings keep the raw provider values.
+    score: {
+      ft: { type: periodScoreSchema, default: null },
+      ht: { type: periodScoreSchema, default: null },
+      et: { type: periodScoreSchema, default: null },
+      pen: { type: periodScoreSchema, default: null },
+    },
     homeGoals: { type: Number },
     awayGoals: { type: Number },
     ft_score: { type: String },
+    ht_score: { type: String },
     et_score: { type: String },
     pen_score: { type: String },
 
@@ -41,16 +70,36 @@ const matchSchema = new mongoose.Schema(
     referees: { type: Array, default: [] },
 
     // Misc
-    odds: { type: mongoose.Schema.Types.Mixed },
+    odds: { type: mongoose.Schema.Types.Mixed }, // raw provider payload
+    marketOdds: { type: [oddsLineSchema], default: [] }, // normalised per bookmaker/market
+    oddsUpdatedAt: { type: Date, default: null },
     stats: { type: mongoose.Schema.Types.Mixed },
     injuries: { type: Array, default: [] },
     h2h: { type: mongoose.Schema.Types.Mixed },
     history: { type: mongoose.Schema.Types.Mixed },
 
+    // Failed or empty AI prediction attempts; services/cronService backs off and stops retrying on these
+    aiAttempts: {
+      count: { type: Number, default: 0 },
+      lastAttemptAt: { type: Date, default: null },
+      lastError: { type: String, default: null },
+    },
+
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
   },
   { minimize: false }
 );
 
+// One match per provider id; only indexed where the mapping exists
+for (const provider of ["goalserve", "openligadb", "footballjson", "soccersapi"]) {
+  matchSchema.index(
+    { [`sourceIds.${provider}`]: 1 },
+    { unique: true, partialFilterExpression: { [`sourceIds.${provider}`]: { $type: "string" } } }
+  );
+}
+matchSchema.index({ "identity.homeKey": 1, "identity.awayKey": 1, matchDateUtc: 1 });
+matchSchema.index({ "identity.hash": 1 });
+matchSchema.index({ status: 1, matchDateUtc: 1 }); // upcoming/results lists and pagination
+
 module.exports = mongoose.model("Match", matchSchema);
@@ -0,0 +1,24 @@
+// models/MatchSummary.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// AI-written pre-match narrative, generated once per match (services/summaryService)
+const MatchSummarySchema = new Schema(
+  {
+    matchId: { type: Schema.Types.ObjectId, ref: 'Match', required: true, unique: true },
+    text: { type: String, required: true },
+    model: { type: String }, // model that answered
+    promptVersion: { type: String }, // aiService SUMMARY_PROMPT_VERSION
+    featureVersion: { type: String }, // featureService version of the context it was given
+    provenanceId: { type: Schema.Types.ObjectId, ref: 'AiCall', default: null },
+    usage: {
+      promptTokens: { type: Number, default: 0 },
+      completionTokens: { type: Number, default: 0 },
+      totalTokens: { type: Number, default: 0 },
+    },
+    generatedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('MatchSummary', MatchSummarySchema);
@@ -1,7 +1,8 @@
 const mongoose = require('mongoose');
 
 const playerSchema = new mongoose.Schema({
-  playerId: { type: Number, unique: true },
+  playerId: { type: Number, unique: true, sparse: true }, // Goalserve numeric player id
+  sourceIds: { type: Map, of: String }, // provider -> player id
   name: { type: String, required: true },
   number: Number,
   position: String, // G, D, M, A
@@ -56,7 +57,10 @@ const playerSchema = new mongoose.Schema({
   rating: Number,
 
   // Team reference
-  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' }
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+  statsUpdatedAt: { type: Date } // last squad sync that wrote the season stats above
 }, { timestamps: true });
 
+playerSchema.index({ team: 1, name: 1 });
+
 module.exports = mongoose.model('Player', playerSchema);
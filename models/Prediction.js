@@ -2,36 +2,104 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+// outcomes structure follows what AI returns
+const outcomesShape = {
+  oneXTwo: {
+    home: Number,
+    draw: Number,
+    away: Number,
+  },
+  doubleChance: {
+    homeOrDraw: Number,
+    homeOrAway: Number,
+    drawOrAway: Number,
+  },
+  over05: Number,
+  over15: Number,
+  over25: Number,
+  bttsYes: Number,
+  bttsNo: Number,
+};
+
+// one priced pick: model probability vs the market's overround-free probability
+const pickSchema = new Schema(
+  {
+    market: { type: String },
+    selection: { type: String },
+    probability: { type: Number },
+    implied: { type: Number },
+    odds: { type: Number }, // best available price
+    bookmaker: { type: String },
+    edge: { type: Number },
+  },
+  { _id: false }
+);
+
 const PredictionSchema = new Schema(
   {
     matchId: { type: Schema.Types.ObjectId, ref: 'Match', required: true },
     version: { type: String, default: 'ai-2x' },
 
-    // outcomes structure follows what AI returns
-    outcomes: {
-      oneXTwo: {
-        home: Number,
-        draw: Number,
-        away: Number,
+    // final probabilities (calibrated when a calibration was active for this version)
+    outcomes: outcomesShape,
+    // what the model itself returned, before calibration
+    rawOutcomes: outcomesShape,
+    calibrationVersion: { type: String, default: null },
+    // for ensemble predictions: the component predictions and the weights they were blended with
+    components: [
+      {
+        _id: false,
+        predictionId: { type: Schema.Types.ObjectId, ref: 'Prediction' },
+        version: { type: String },
+        weight: { type: Number },
       },
-      doubleChance: {
-        homeOrDraw: Number,
-        homeOrAway: Number,
-        drawOrAway: Number,
-      },
-      over05: Number,
-      over15: Number,
-      over25: Number,
-      bttsYes: Number,
-      bttsNo: Number,
-    },
+    ],
+
+    // AI provenance: prompt template, the model that answered in the fallback chain, and the full call record
+    promptVersion: { type: String },
+    model: { type: String }, // "provider:model"
+    provenanceId: { type: Schema.Types.ObjectId, ref: 'AiCall', default: null },
+
+    // pre-match context the model was prompted with (services/featureService), for auditing
+    features: { type: Schema.Types.Mixed, default: undefined },
+    featureVersion: { type: String },
 
     confidence: { type: Number, min: 0, max: 100 },
-    bucket: { type: String, enum: ['vip', 'daily2', 'value5', 'big10'], required: true },
+    // null when no priced pick satisfies a bucket rule (or the match has no odds)
+    bucket: { type: String, enum: ['vip', 'daily2', 'value5', 'big10', null], default: null },
+    // how the bucket was chosen (services/bucketService): the rule that matched, or why none did;
+    // "none:component" on the model predictions an ensemble blends, which are never bucketed
+    bucketReason: { type: String },
+    // the edge-backed pick that satisfied the bucket's rule
+    pick: { type: pickSchema, default: null },
+    // every priced pick at prediction time
+    edges: { type: [pickSchema], default: [] },
     status: { type: String, enum: ['pending', 'won', 'lost'], default: 'pending' },
     analysis: { type: String },
+
+    // written by services/settlementService once the match is finished
+    settledAt: { type: Date, default: null },
+    settlement: {
+      score: { home: Number, away: Number }, // full-time score the markets were graded on
+      markets: [
+        {
+          _id: false,
+          market: { type: String }, // oneXTwo | doubleChance | over05 | over15 | over25 | btts
+          pick: { type: String },
+          probability: { type: Number },
+          odds: { type: Number, default: null }, // decimal odds for the pick at settlement, if known
+          result: { type: String, enum: ['won', 'lost'] },
+        },
+      ],
+      pickResult: { type: String, enum: ['won', 'lost', null], default: null }, // the bucket pick, graded on the same score
+    },
   },
   { timestamps: true }
 );
 
+PredictionSchema.index({ status: 1, matchId: 1 });
+PredictionSchema.index({ settledAt: 1, bucket: 1 });
+PredictionSchema.index({ bucket: 1, createdAt: -1, matchId: 1 }); // dashboard: newest predictions per bucket
+PredictionSchema.index({ matchId: 1, createdAt: -1 }); // predictions of a page of matches
+
 module.exports = mongoose.model('Prediction', PredictionSchema);
@@ -0,0 +1,36 @@
+// models/Slip.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A daily accumulator built by services/slipService to hit a bucket's target combined odds.
+// Legs come from different matches; the slip settles once every leg's match has a result.
+const SlipSchema = new Schema(
+  {
+    date: { type: String, required: true }, // UTC kickoff day of the legs, YYYY-MM-DD
+    bucket: { type: String, enum: ['daily2', 'value5', 'big10'], required: true },
+    targetOdds: { type: Number, required: true },
+    combinedOdds: { type: Number, required: true },
+    jointProbability: { type: Number, required: true }, // product of the legs' model probabilities
+    legs: [
+      {
+        _id: false,
+        predictionId: { type: Schema.Types.ObjectId, ref: 'Prediction', required: true },
+        matchId: { type: Schema.Types.ObjectId, ref: 'Match', required: true },
+        market: { type: String, required: true },
+        selection: { type: String, required: true },
+        odds: { type: Number, required: true },
+        probability: { type: Number, required: true },
+        bookmaker: { type: String },
+        result: { type: String, enum: ['pending', 'won', 'lost', 'void'], default: 'pending' },
+      },
+    ],
+    status: { type: String, enum: ['pending', 'won', 'lost', 'void'], default: 'pending' },
+    settledAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+SlipSchema.index({ date: 1, bucket: 1 }, { unique: true });
+SlipSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Slip', SlipSchema);
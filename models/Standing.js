@@ -0,0 +1,37 @@
+// models/Standing.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const teamRefSchema = new Schema({ id: { type: Schema.Types.ObjectId, ref: 'Team' }, name: String }, { _id: false });
+
+// One league table per competition and season, built by services/standingsService from finished
+// Match and History rows. The results it was built from are kept so a new result only re-ranks the table.
+const StandingSchema = new Schema(
+  {
+    league: { type: String, required: true }, // competition key (slug of the league name)
+    name: { type: String },
+    country: { type: String },
+    season: { type: String, required: true }, // "2025/2026"
+    tieBreakers: { type: [String], default: [] },
+    results: [
+      {
+        _id: false,
+        key: { type: String, required: true }, // featureService.resultKey
+        date: { type: Date, required: true },
+        home: teamRefSchema,
+        away: teamRefSchema,
+        homeGoals: { type: Number, required: true },
+        awayGoals: { type: Number, required: true },
+      },
+    ],
+    // { position, team, played, won, drawn, lost, goalsFor, goalsAgainst, goalDifference, points, form, home, away }
+    rows: { type: [Schema.Types.Mixed], default: [] },
+    stale: { type: Boolean, default: false }, // set by bulk changes (history imports, team merges); rebuilt on next read
+    builtAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+StandingSchema.index({ league: 1, season: 1 }, { unique: true });
+
+module.exports = mongoose.model('Standing', StandingSchema);
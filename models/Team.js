@@ -12,9 +12,13 @@ const TeamSchema = new Schema(
     logoUrl: { type: String },
     venue: { type: Schema.Types.Mixed },
     coach: { type: Schema.Types.Mixed },
-    sourceIds: { type: Map, of: String } // optional mapping of external ids
+    sourceIds: { type: Map, of: String }, // optional mapping of external ids
+    // Normalised name keys (utils/teamName) this team is known by, including its own name
+    aliases: { type: [String], default: [] }
   },
   { timestamps: true }
 );
 
+TeamSchema.index({ aliases: 1, country: 1 });
+
 module.exports = mongoose.model('Team', TeamSchema);
@@ -0,0 +1,18 @@
+// models/schemas/oddsLine.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One bookmaker price for one market selection, as normalised by services/oddsService
+const oddsLineSchema = new Schema(
+  {
+    bookmaker: { type: String, required: true },
+    market: { type: String, required: true }, // oneXTwo | doubleChance | over05 | over15 | over25 | btts
+    selection: { type: String, required: true }, // home/draw/away, homeOrDraw..., over/under, yes/no
+    price: { type: Number, required: true }, // decimal odds
+    implied: { type: Number, default: null }, // probability with this bookmaker's overround removed
+    overround: { type: Number, default: null }, // bookmaker margin on the whole market, e.g. 0.05
+  },
+  { _id: false }
+);
+
+module.exports = oddsLineSchema;
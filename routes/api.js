@@ -2,27 +2,95 @@
 const express = require('express');
 const router = express.Router();
 const dataController = require('../controllers/dataController');
+const adminController = require('../controllers/adminController');
+const statsController = require('../controllers/statsController');
+const streamController = require('../controllers/streamController');
+const slipController = require('../controllers/slipController');
+const teamController = require('../controllers/teamController');
+const leagueController = require('../controllers/leagueController');
+const { requireApiKey, protectMutations } = require('../middleware/auth');
+const { responseCache } = require('../middleware/responseCache');
+
+// Cron triggers, admin tools and every mutating route need 'Authorization: Bearer <token>'
+router.use(['/cron', '/admin'], requireApiKey);
+router.use(protectMutations);
 
 /* -------------------- Frontend Data -------------------- */
-router.get('/dashboard', dataController.getDashboardData);
-router.get('/predictions/:bucket', dataController.getPredictionsByBucket);
+router.get('/dashboard', responseCache(), dataController.getDashboardData); // cached until the next ingest/settlement event, ETag + 304
+router.get('/predictions/:bucket', dataController.getPredictionsByBucket); // matches with a prediction in the bucket
+
+/* -------------------- Match lists -------------------- */
+// Every match list takes ?limit (max 100) &cursor (pagination.nextCursor) &sort=date|-date|updated|-updated
+// &from &to &league (name or /leagues id) &country &team (id or name) &status=a,b &bucket &minConfidence
+// and returns { data, pagination: { limit, sort, count, hasMore, nextCursor } }
 
 /* -------------------- Results -------------------- */
-router.get('/results', dataController.getResults);               // all finished matches
-router.get('/results/recent', dataController.getRecentResults);  // recent finished matches
-router.get('/summary/:matchId', dataController.getMatchSummary); // single match summary
+router.get('/results', dataController.getResults);               // finished matches, 30 per page
+router.get('/results/recent', dataController.getRecentResults);  // finished matches, 10 per page
+router.get('/summary/:matchId', dataController.getMatchSummary); // single match summary (+ stored AI narrative, written by the generate-summaries job)
+
+/* -------------------- Live Stream (SSE) -------------------- */
+// ?matchId= &league= &bucket= &types= ; replay with Last-Event-ID header or ?lastEventId=
+router.get('/stream', streamController.streamEvents);
+
+/* -------------------- Stats -------------------- */
+// ?groupBy=bucket,league,market,version,promptVersion,model,month (default bucket,market) &bucket= &league= &market= &version= &promptVersion= &model= &from= &to=
+router.get('/stats/performance', statsController.getPerformance);
+
+/* -------------------- Slips (accumulators) -------------------- */
+// ?date=YYYY-MM-DD (default today) &bucket=daily2|value5|big10 &status= &limit &cursor &sort=date|-date
+router.get('/slips', slipController.getSlips);
+router.get('/slips/:slipId', slipController.getSlip);
+router.post('/slips/build', slipController.buildSlips); // body: { date, buckets, rebuild }
 
 /* -------------------- Matches -------------------- */
-router.get('/matches/upcoming', dataController.getUpcomingMatches); // only upcoming (next 24h)
-router.get('/matches/recent', dataController.getRecentMatches);     // last 10 matches
-router.get('/matches/history', dataController.getMatchHistory);     // finished match history
+router.get('/matches/upcoming', dataController.getUpcomingMatches); // not started, next 24h unless from/to are given
+router.get('/matches/recent', dataController.getRecentMatches);     // any status, 10 per page
+router.get('/matches/history', dataController.getMatchHistory);     // finished match history, &season=
+router.get('/matches/:matchId/lineups', dataController.getMatchLineups); // starting XI, bench, subs + season stats
+
+/* -------------------- Leagues -------------------- */
+router.get('/leagues', leagueController.getLeagues);                      // competitions in Match + History
+router.get('/leagues/:leagueId/standings', leagueController.getStandings); // :leagueId from /leagues, ?season=2025/2026
 
-// Explicit import for fallback history JSON (POST -> body: { url: "..." })
-router.post('/matches/import-history', dataController.importHistory);
+/* -------------------- Teams -------------------- */
+router.get('/teams/:teamId', teamController.getTeam);                 // profile, form, home/away records
+router.get('/teams/:teamId/fixtures', teamController.getTeamFixtures); // ?past=10&upcoming=10
+router.get('/teams/:teamId/players', dataController.getTeamPlayers);  // squad with season stats
+router.get('/h2h/:teamA/:teamB', teamController.getHeadToHead);       // every meeting across Match + History, ?limit=20
+
+// Import history (POST -> body: { url: "..." } or { content, format }, or upload a CSV file or the JSON file itself)
+// Formats: football.json, OpenLigaDB, CSV (auto-detected unless ?format= is given)
+const rawUpload = express.text({ type: ['text/csv', 'text/plain', 'application/octet-stream'], limit: '10mb' });
+router.post('/matches/import-history', rawUpload, dataController.importHistory);
 
 /* -------------------- Cron Job Triggers -------------------- */
 // NOTE: For external cron services, use 'Authorization: Bearer <token>' header
 router.get('/cron/fetch-matches', dataController.runFetchMatches);
 router.get('/cron/generate-predictions', dataController.runGeneratePredictions);
+router.get('/cron/settle-predictions', dataController.runSettlePredictions);
+router.get('/cron/import-history', dataController.runImportHistoryJob); // imports HISTORY_IMPORT_URLS
+router.get('/cron/build-slips', dataController.runBuildSlips);
+router.get('/cron/sync-squads', dataController.runSyncSquads);
+router.get('/cron/generate-summaries', dataController.runGenerateSummaries); // AI narratives for matches in the next 48h
+
+/* -------------------- Admin -------------------- */
+router.get('/admin/audit-log', adminController.getAuditLog);
+router.get('/admin/live', adminController.getLiveStatus);
+router.get('/admin/jobs', adminController.getJobRuns);
+router.get('/admin/model/stat', adminController.getStatModel); // team ratings of the Poisson/Dixon-Coles baseline
+router.get('/admin/calibration', adminController.getCalibrations);
+router.post('/admin/calibration/refit', adminController.refitCalibration); // refit from settled predictions, activates new versions
+router.post('/admin/matches/:matchId/settle', dataController.resettleMatch); // force re-settle after a score correction
+router.post('/admin/matches/:matchId/summary', adminController.regenerateSummary); // force a new AI summary (within budget)
+router.get('/admin/summaries/budget', adminController.getSummaryBudget);
+// AI call provenance: ?kind= &promptVersion= &model= &status= &matchId= &limit=
+router.get('/admin/ai-calls', adminController.getAiCalls);
+router.get('/admin/ai-calls/:callId', adminController.getAiCall);
+router.get('/admin/predictions/:predictionId/provenance', adminController.getPredictionProvenance);
+router.get('/admin/matches/duplicates', adminController.getDuplicateMatches);
+router.post('/admin/matches/merge', adminController.mergeDuplicateMatches);
+router.post('/admin/teams/merge', adminController.mergeTeams);
+router.post('/admin/teams/:teamId/aliases', adminController.addTeamAliases);
 
 module.exports = router;
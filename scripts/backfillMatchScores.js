@@ -0,0 +1,70 @@
+// scripts/backfillMatchScores.js
+// One-off migration: fill the structured Match.score sub-document from the legacy
+// ft_score/ht_score/et_score/pen_score strings (and the raw Goalserve payload when present).
+//
+// Usage: node scripts/backfillMatchScores.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const { SCORE_PERIODS, parseScoreString, parseGoalserveScores } = require('../utils/score');
+
+const BATCH_SIZE = 500;
+
+async function backfillMatchScores({ dryRun = false } = {}) {
+  const report = { scanned: 0, updated: 0, unparseable: 0 };
+  const cursor = Match.find({ 'score.ft': null }).lean().cursor({ batchSize: BATCH_SIZE });
+
+  let ops = [];
+  for await (const match of cursor) {
+    report.scanned++;
+
+    const fromRaw = match.rawMatch ? parseGoalserveScores(match.rawMatch) : {};
+    const score = {};
+    for (const period of SCORE_PERIODS) {
+      score[period] = parseScoreString(match[`${period}_score`]) || fromRaw[period] || null;
+    }
+    if (!score.ft && Number.isInteger(match.homeGoals) && Number.isInteger(match.awayGoals)) {
+      score.ft = { home: match.homeGoals, away: match.awayGoals };
+    }
+    if (!score.ft) {
+      report.unparseable++;
+      continue;
+    }
+
+    report.updated++;
+    ops.push({
+      updateOne: {
+        filter: { _id: match._id },
+        update: { $set: { score, homeGoals: score.ft.home, awayGoals: score.ft.away } },
+      },
+    });
+    if (ops.length >= BATCH_SIZE) {
+      if (!dryRun) await Match.bulkWrite(ops, { ordered: false });
+      ops = [];
+    }
+  }
+  if (ops.length && !dryRun) await Match.bulkWrite(ops, { ordered: false });
+
+  return report;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  if (!process.env.MONGO_URI) {
+    console.error('MIGRATION: MONGO_URI is not defined.');
+    process.exit(1);
+  }
+
+  mongoose.connect(process.env.MONGO_URI)
+    .then(() => backfillMatchScores({ dryRun }))
+    .then(report => {
+      console.log(`MIGRATION: Match scores backfill${dryRun ? ' (dry run)' : ''}:`, report);
+      return mongoose.disconnect();
+    })
+    .catch(err => {
+      console.error('MIGRATION: Failed to backfill match scores:', err.message || err);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillMatchScores };
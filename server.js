@@ -3,19 +3,26 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const apiRoutes = require('./routes/api');
+const { loadLiveConfig, startLivePolling } = require('./services/liveService');
+const { startScheduler } = require('./services/jobService');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
 // --- Middleware ---
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // history imports can post a whole season file as JSON
 
 // --- Database Connection ---
 const MONGO_URI = process.env.MONGO_URI;
 if (MONGO_URI) {
   mongoose.connect(MONGO_URI)
-    .then(() => console.log('DB: Successfully connected to MongoDB.'))
+    .then(() => {
+      console.log('DB: Successfully connected to MongoDB.');
+      const liveConfig = loadLiveConfig();
+      if (liveConfig.enabled) startLivePolling(liveConfig);
+      if (process.env.SCHEDULER_ENABLED === 'true') startScheduler();
+    })
     .catch(err => console.error('DB: Initial connection failed.', err));
 
   mongoose.connection.on('error', err => {
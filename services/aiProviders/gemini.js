@@ -0,0 +1,29 @@
+// services/aiProviders/gemini.js
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+/**
+ * Google Gemini via @google/generative-ai (GEMINI_API_KEY)
+ */
+function createGeminiProvider({ apiKey }) {
+  if (!apiKey) throw new Error("Gemini provider requires GEMINI_API_KEY");
+  const client = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    async generate({ model, prompt }) {
+      const result = await client.getGenerativeModel({ model }).generateContent(prompt);
+      const response = await result.response;
+      const usage = response.usageMetadata || {};
+      return {
+        text: response.text(),
+        usage: {
+          promptTokens: usage.promptTokenCount || 0,
+          completionTokens: usage.candidatesTokenCount || 0,
+          totalTokens: usage.totalTokenCount || 0,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
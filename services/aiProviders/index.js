@@ -0,0 +1,72 @@
+// services/aiProviders/index.js
+// Text generation providers for aiService. Every provider exposes:
+//   name
+//   generate({ model, prompt, kind }) -> { text, usage: { promptTokens, completionTokens, totalTokens } }
+// `kind` ("predictions" | "summary") only matters to the stub.
+const { createGeminiProvider } = require("./gemini");
+const { createOpenAiCompatibleProvider } = require("./openaiCompatible");
+const { createStubProvider } = require("./stub");
+
+const FACTORIES = {
+  gemini: (env) => createGeminiProvider({ apiKey: env.GEMINI_API_KEY }),
+  openai: (env) =>
+    createOpenAiCompatibleProvider({
+      baseUrl: env.OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY,
+      timeout: Number(env.AI_TIMEOUT_MS) || undefined,
+    }),
+  stub: () => createStubProvider(),
+};
+
+// Used when AI_MODELS is not set
+const DEFAULT_MODELS = {
+  gemini: ["gemini-2.5-flash", "gemini-2.5-pro", "gemini-2.0-flash"],
+  openai: ["gpt-4o-mini"],
+  stub: ["stub-1"],
+};
+
+function list(value) {
+  return (value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Model fallback chain from config, as [{ provider, model }] in the order to try them.
+ * AI_MODELS="gemini:gemini-2.5-flash,openai:llama3.1" ; entries without a prefix use AI_PROVIDER,
+ * which defaults to gemini when GEMINI_API_KEY is set. Providers that can't be created are skipped with a warning.
+ */
+function getModelChain(env = process.env) {
+  const defaultProvider = env.AI_PROVIDER || (env.GEMINI_API_KEY ? "gemini" : null);
+  const entries = list(env.AI_MODELS).map((entry) => {
+    const [prefix, ...rest] = entry.split(":");
+    return rest.length && FACTORIES[prefix]
+      ? { provider: prefix, model: rest.join(":") }
+      : { provider: defaultProvider, model: entry };
+  });
+  const wanted = entries.length
+    ? entries
+    : (DEFAULT_MODELS[defaultProvider] || []).map((model) => ({ provider: defaultProvider, model }));
+
+  const providers = {};
+  const chain = [];
+  for (const { provider, model } of wanted) {
+    if (!FACTORIES[provider]) {
+      console.warn(`⚠️ AI: unknown provider "${provider}" for model ${model}`);
+      continue;
+    }
+    if (!(provider in providers)) {
+      try {
+        providers[provider] = FACTORIES[provider](env);
+      } catch (err) {
+        console.warn(`⚠️ AI: ${provider} disabled: ${err.message}`);
+        providers[provider] = null;
+      }
+    }
+    if (providers[provider]) chain.push({ provider: providers[provider], model });
+  }
+  return chain;
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(FACTORIES),
+  getModelChain,
+};
@@ -0,0 +1,33 @@
+// services/aiProviders/openaiCompatible.js
+const axios = require("axios");
+
+/**
+ * Any server speaking the OpenAI chat completions API (OpenAI itself, or a local LLM server
+ * such as llama.cpp, Ollama or vLLM). OPENAI_BASE_URL e.g. "http://localhost:11434/v1".
+ */
+function createOpenAiCompatibleProvider({ baseUrl, apiKey, timeout = 60000 }) {
+  if (!baseUrl) throw new Error("OpenAI-compatible provider requires OPENAI_BASE_URL");
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    async generate({ model, prompt }) {
+      const { data } = await axios.post(
+        url,
+        { model, messages: [{ role: "user", content: prompt }], temperature: 0.2 },
+        { timeout, headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {} }
+      );
+      const usage = data?.usage || {};
+      return {
+        text: data?.choices?.[0]?.message?.content || "",
+        usage: {
+          promptTokens: usage.prompt_tokens || 0,
+          completionTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAiCompatibleProvider };
@@ -0,0 +1,53 @@
+// services/aiProviders/stub.js
+const crypto = require("crypto");
+
+// 0..1 from a hash of the prompt, so the same match always gets the same answer
+function seeded(prompt, salt) {
+  const hex = crypto.createHash("sha1").update(`${salt}:${prompt}`).digest("hex").slice(0, 8);
+  return parseInt(hex, 16) / 0xffffffff;
+}
+
+function round(n) {
+  return Number(n.toFixed(3));
+}
+
+/**
+ * Canned prediction in the shape aiService asks for, varied deterministically per prompt
+ */
+function cannedPrediction(prompt) {
+  const home = 0.3 + seeded(prompt, "home") * 0.4;
+  const draw = (1 - home) * (0.35 + seeded(prompt, "draw") * 0.2);
+  const away = 1 - home - draw;
+  const over25 = 0.35 + seeded(prompt, "goals") * 0.35;
+  const bttsYes = 0.35 + seeded(prompt, "btts") * 0.3;
+  return {
+    oneXTwo: { home: round(home), draw: round(draw), away: round(away) },
+    doubleChance: { homeOrDraw: round(home + draw), homeOrAway: round(home + away), drawOrAway: round(draw + away) },
+    over05: round(Math.min(0.97, over25 + 0.3)),
+    over15: round(Math.min(0.9, over25 + 0.2)),
+    over25: round(over25),
+    bttsYes: round(bttsYes),
+    bttsNo: round(1 - bttsYes),
+    confidence: 50 + Math.round(seeded(prompt, "confidence") * 49),
+  };
+}
+
+/**
+ * Deterministic offline provider (AI_PROVIDER=stub). Never touches the network, so the whole
+ * prediction pipeline can run in tests and on machines without AI credentials.
+ */
+function createStubProvider() {
+  return {
+    name: "stub",
+    async generate({ prompt, kind }) {
+      const text = kind === "summary"
+        ? "Stub summary: both teams arrive in steady form and the head-to-head record is balanced."
+        : JSON.stringify([cannedPrediction(prompt)]);
+      const promptTokens = Math.ceil(prompt.length / 4);
+      const completionTokens = Math.ceil(text.length / 4);
+      return { text, usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens } };
+    },
+  };
+}
+
+module.exports = { createStubProvider };
@@ -1,11 +1,15 @@
 // services/aiService.js
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const crypto = require("crypto");
 const { z } = require("zod");
+const AiCall = require("../models/AiCall");
+const { formatFeaturesForPrompt } = require("./featureService");
+const { getModelChain } = require("./aiProviders");
 
-if (!process.env.GEMINI_API_KEY) {
-  console.warn('AI: GEMINI_API_KEY environment variable not set. AI features will be disabled.');
+// [{ provider, model }] in fallback order (AI_PROVIDER / AI_MODELS, see services/aiProviders)
+const modelChain = getModelChain();
+if (!modelChain.length) {
+  console.warn('AI: No AI provider configured (GEMINI_API_KEY, AI_PROVIDER). AI features will be disabled.');
 }
-const genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
 
 // output schema for a single prediction object
 const GenerateMatchPredictionsOutputSchema = z.object({
@@ -17,19 +21,9 @@ const GenerateMatchPredictionsOutputSchema = z.object({
   bttsYes: z.number(),
   bttsNo: z.number(),
   confidence: z.number().min(0).max(100),
-  bucket: z.enum(['vip', 'daily2', 'value5', 'big10']),
+  // no bucket: buckets are assigned from odds/edge rules in services/bucketService
 });
 
-// AI model candidates (fallback order)
-const aiModels = [
-  "gemini-2.5-flash",
-  "gemini-2.5-pro",
-  "gemini-2.0-flash",
-  "gemini-2.0-pro",
-  "gemini-1.5-flash",
-  "gemini-1.5-pro"
-];
-
 function extractJSONFromText(text) {
   if (!text || typeof text !== 'string') return null;
 
@@ -75,52 +69,145 @@ function extractJSONFromText(text) {
   return null;
 }
 
-async function callGenerativeAI(prompt, outputSchema) {
-  if (!genAI) throw new Error("Generative AI is not initialized. Check GEMINI_API_KEY.");
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Hash of what the model is told about the match, without the prompt template around it,
+ * so answers from different prompt versions on the same input can be compared
+ */
+function hashInput(match, features) {
+  const { builtAt, ...context } = features || {};
+  return sha256(JSON.stringify({
+    home: match.homeTeam?.name || null,
+    away: match.awayTeam?.name || null,
+    league: match.league || null,
+    kickoff: match.matchDateUtc ? new Date(match.matchDateUtc).toISOString() : null,
+    context
+  }));
+}
+
+/**
+ * Walk the model chain until one answer passes `parse`, retrying each model once.
+ * Resolves to { value, provider, model, rawResponse, usage, attempts, retries, latencyMs, totalLatencyMs };
+ * on total failure throws an error carrying the same attempt log.
+ */
+async function callGenerativeAI(prompt, parse, kind) {
+  if (!modelChain.length) throw new Error("AI: No AI provider configured.");
 
   const maxRetries = 1; // inner retry loop for a single model
-  for (const modelName of aiModels) {
-    try {
-      const model = genAI.getGenerativeModel({ model: modelName });
-      for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-          const result = await model.generateContent(prompt);
-          const response = await result.response;
-          const text = response.text();
-          if (!text || !text.trim()) throw new Error("AI returned empty response.");
-
-          const parsed = extractJSONFromText(text);
-          if (!parsed) throw new Error("AI response did not contain valid JSON.");
-
-          // If parsed is array -> parse each item, else single object
-          if (Array.isArray(parsed)) {
-            return parsed.map(item => outputSchema.parse(item));
-          } else {
-            return [outputSchema.parse(parsed)];
-          }
-        } catch (err) {
-          if (attempt === maxRetries) {
-            console.warn(`AI [${modelName}] failed attempt ${attempt}: ${err.message}`);
-            break;
-          }
-          // small backoff and retry
-          await new Promise(r => setTimeout(r, 500 * Math.pow(2, attempt)));
+  const attempts = [];
+  const startedAt = Date.now();
+  let lastResponse = null;
+
+  for (const { provider, model } of modelChain) {
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const attemptStart = Date.now();
+      try {
+        const { text, usage } = await provider.generate({ model, prompt, kind });
+        lastResponse = text || null;
+        if (!text || !text.trim()) throw new Error("AI returned empty response.");
+
+        const value = parse(text);
+        const latencyMs = Date.now() - attemptStart;
+        attempts.push({ provider: provider.name, model, latencyMs, error: null });
+        return {
+          value,
+          provider: provider.name,
+          model,
+          rawResponse: text,
+          usage,
+          attempts,
+          retries: attempts.length - 1,
+          latencyMs,
+          totalLatencyMs: Date.now() - startedAt,
+        };
+      } catch (err) {
+        attempts.push({ provider: provider.name, model, latencyMs: Date.now() - attemptStart, error: err.message });
+        if (attempt === maxRetries) {
+          console.warn(`AI [${provider.name}:${model}] failed attempt ${attempt}: ${err.message}`);
+          break;
         }
+        // small backoff and retry
+        await new Promise(r => setTimeout(r, 500 * Math.pow(2, attempt)));
       }
-    } catch (outerErr) {
-      console.warn(`AI model ${modelName} unavailable: ${outerErr.message}`);
     }
   }
-  throw new Error("AI: All models failed to generate predictions.");
+
+  const error = new Error(`AI: All models failed to generate ${kind}.`);
+  error.attempts = attempts;
+  error.rawResponse = lastResponse;
+  error.totalLatencyMs = Date.now() - startedAt;
+  throw error;
+}
+
+/**
+ * Store the provenance record of a call. Never throws: losing an audit record must not lose the answer.
+ */
+async function recordCall({ kind, match, features, prompt, promptVersion, result, error }) {
+  try {
+    const call = await AiCall.create({
+      kind,
+      matchId: match?._id,
+      promptVersion,
+      inputHash: hashInput(match, features),
+      promptHash: sha256(prompt),
+      status: result ? 'succeeded' : 'failed',
+      provider: result?.provider || null,
+      model: result?.model || null,
+      retries: result ? result.retries : Math.max(0, (error?.attempts || []).length - 1), // the first attempt isn't a retry
+      latencyMs: result?.latencyMs,
+      totalLatencyMs: result ? result.totalLatencyMs : error?.totalLatencyMs,
+      attempts: result ? result.attempts : error?.attempts || [],
+      rawResponse: result ? result.rawResponse : error?.rawResponse || undefined,
+      usage: result?.usage,
+      error: error?.message
+    });
+    return call._id;
+  } catch (err) {
+    console.warn('AI: Failed to record call provenance:', err.message || err);
+    return null;
+  }
 }
 
-async function getPredictionsFromAI(match, historicalMatches) {
-  if (!genAI) throw new Error("AI: No GEMINI_API_KEY configured");
+/**
+ * Attach the predictions created from an AI call to its provenance record
+ */
+async function linkPredictions(callId, predictionIds) {
+  if (!callId || !predictionIds.length) return;
+  await AiCall.updateOne({ _id: callId }, { $addToSet: { predictionIds: { $each: predictionIds } } });
+}
+
+function parsePredictions(text) {
+  const parsed = extractJSONFromText(text);
+  if (!parsed) throw new Error("AI response did not contain valid JSON.");
 
-  const h2hMatches = (historicalMatches || []).filter(h =>
-    (h.homeTeam?.name === match.homeTeam?.name && h.awayTeam?.name === match.awayTeam?.name) ||
-    (h.homeTeam?.name === match.awayTeam?.name && h.awayTeam?.name === match.homeTeam?.name)
-  );
+  // If parsed is array -> parse each item, else single object
+  if (Array.isArray(parsed)) {
+    return parsed.map(item => GenerateMatchPredictionsOutputSchema.parse(item));
+  } else {
+    return [GenerateMatchPredictionsOutputSchema.parse(parsed)];
+  }
+}
+
+// bump when the prediction prompt changes; stored with every prediction and AI call
+const PREDICTION_PROMPT_VERSION = "predict-v4";
+
+/**
+ * Whether any AI provider is configured
+ */
+function isAIConfigured() {
+  return modelChain.length > 0;
+}
+
+/**
+ * AI predictions for a match. `features` is services/featureService buildMatchFeatures output
+ * (form, splits, rest, injuries, table position, H2H).
+ * Resolves to { predictions, provenance: { callId, promptVersion, provider, model } }.
+ */
+async function getPredictionsFromAI(match, features) {
+  if (!modelChain.length) throw new Error("AI: No AI provider configured");
 
   const prompt = `
 You are an expert football analyst. Output a JSON array (or a single JSON object) with prediction objects for the match.
@@ -128,8 +215,8 @@ Match: ${match.homeTeam?.name} vs ${match.awayTeam?.name}
 League: ${match.league || 'N/A'}
 Date (UTC): ${new Date(match.matchDateUtc).toISOString()}
 
-Head-to-head (most relevant):
-${h2hMatches.slice(0,10).map(m => `- ${new Date(m.matchDateUtc).toISOString().split('T')[0]}: ${m.homeTeam?.name || 'N/A'} ${m.homeGoals ?? '-'} - ${m.awayGoals ?? '-'} ${m.awayTeam?.name || 'N/A'}`).join('\n') || 'No direct H2H data available.'}
+Team context:
+${formatFeaturesForPrompt(features)}
 
 Return a JSON array of prediction objects. Each object must contain:
 - oneXTwo: { home:number, draw:number, away:number } // probabilities 0-1
@@ -137,14 +224,22 @@ Return a JSON array of prediction objects. Each object must contain:
 - over05, over15, over25: numbers 0-1
 - bttsYes, bttsNo: numbers 0-1
 - confidence: number (0-100) // how confident the model is
-- bucket: string (one of 'vip','daily2','value5','big10')
 
-Only include predictions with confidence >= 90. Provide valid JSON only (no markdown fences). Use decimal probabilities and ensure numbers are between 0 and 1 (except confidence which is 0-100).
+Always include every market, however low your confidence; report it in the confidence field. Provide valid JSON only (no markdown fences). Use decimal probabilities and ensure numbers are between 0 and 1 (except confidence which is 0-100).
 `;
 
-  const preds = await callGenerativeAI(prompt, GenerateMatchPredictionsOutputSchema);
-  // filter defensively for confidence >= 90 and normalize numbers
-  return (preds || []).map(p => ({
+  const promptVersion = PREDICTION_PROMPT_VERSION;
+  let result;
+  try {
+    result = await callGenerativeAI(prompt, parsePredictions, 'predictions');
+  } catch (err) {
+    await recordCall({ kind: 'predictions', match, features, prompt, promptVersion, error: err });
+    throw err;
+  }
+  const callId = await recordCall({ kind: 'predictions', match, features, prompt, promptVersion, result });
+
+  // clamp every number into range; bucketing decides what is confident enough to publish
+  const predictions = (result.value || []).map(p => ({
     oneXTwo: {
       home: Math.max(0, Math.min(1, p.oneXTwo.home)),
       draw: Math.max(0, Math.min(1, p.oneXTwo.draw)),
@@ -160,30 +255,58 @@ Only include predictions with confidence >= 90. Provide valid JSON only (no mark
     over25: Math.max(0, Math.min(1, p.over25)),
     bttsYes: Math.max(0, Math.min(1, p.bttsYes)),
     bttsNo: Math.max(0, Math.min(1, p.bttsNo)),
-    confidence: Math.max(0, Math.min(100, p.confidence)),
-    bucket: p.bucket
-  })).filter(p => typeof p.confidence === 'number' && p.confidence >= 90);
+    confidence: Math.max(0, Math.min(100, p.confidence))
+  }));
+
+  return {
+    predictions,
+    provenance: { callId, promptVersion, provider: result.provider, model: result.model }
+  };
 }
 
-async function getSummaryFromAI(match) {
-  if (!genAI) throw new Error("Generative AI is not initialized. Check GEMINI_API_KEY.");
+// bump when the summary prompt changes; stored with every summary
+const SUMMARY_PROMPT_VERSION = "summary-v1";
 
-  const prompt = `
-Provide a concise summary (2-4 sentences) of key factors for ${match.homeTeam?.name} vs ${match.awayTeam?.name}: recent form, head-to-head, home advantage, goal trends. Keep factual and short.
+function buildSummaryPrompt(match, features) {
+  return `
+Provide a concise summary (2-4 sentences) of key factors for ${match.homeTeam?.name} vs ${match.awayTeam?.name}: recent form, head-to-head, home advantage, goal trends. Keep factual and short, and only use the context below.
+
+${formatFeaturesForPrompt(features)}
 `;
+}
 
-  for (const modelName of aiModels) {
-    try {
-      const model = genAI.getGenerativeModel({ model: modelName });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      if (text) return text.trim();
-    } catch (err) {
-      console.warn(`AI summary failed for ${modelName}: ${err.message}`);
-    }
+/**
+ * Match summary text plus the model that wrote it, the token usage it reported and its provenance record
+ */
+async function getSummaryFromAI(match, features) {
+  if (!modelChain.length) throw new Error("AI: No AI provider configured.");
+
+  const prompt = buildSummaryPrompt(match, features);
+  const promptVersion = SUMMARY_PROMPT_VERSION;
+  let result;
+  try {
+    result = await callGenerativeAI(prompt, (text) => text.trim(), 'summary');
+  } catch (err) {
+    await recordCall({ kind: 'summary', match, features, prompt, promptVersion, error: err });
+    throw err;
   }
-  throw new Error("AI: All models failed to generate summary.");
+  const callId = await recordCall({ kind: 'summary', match, features, prompt, promptVersion, result });
+
+  return {
+    text: result.value,
+    model: `${result.provider}:${result.model}`,
+    promptVersion,
+    usage: result.usage,
+    callId
+  };
 }
 
-module.exports = { getPredictionsFromAI, getSummaryFromAI };
+module.exports = {
+  PREDICTION_PROMPT_VERSION,
+  SUMMARY_PROMPT_VERSION,
+  isAIConfigured,
+  getPredictionsFromAI,
+  buildSummaryPrompt,
+  getSummaryFromAI,
+  linkPredictions
+};
@@ -0,0 +1,67 @@
+const BUCKETS = ["vip", "daily2", "value5", "big10"];
+
+// Checked in BUCKETS order; the first rule one of the prediction's priced picks satisfies wins.
+// confidence is the prediction's 0-100 confidence, edge is model minus overround-free implied probability,
+// odds is the best decimal price on offer. maxOdds null = no upper bound.
+const DEFAULT_BUCKET_RULES = {
+  vip: { minConfidence: 75, minEdge: 0, minOdds: 1.2, maxOdds: 2.0 },
+  daily2: { minConfidence: 60, minEdge: 0, minOdds: 1.3, maxOdds: 2.5 },
+  value5: { minConfidence: 0, minEdge: 0.05, minOdds: 2.0, maxOdds: 5.0 },
+  big10: { minConfidence: 0, minEdge: 0.03, minOdds: 5.0, maxOdds: null },
+};
+const RULE_KEYS = ["minConfidence", "minEdge", "minOdds", "maxOdds"];
+
+/**
+ * Bucket rules from BUCKET_RULES ("vip.minEdge=0.02,value5.maxOdds=6,big10.maxOdds=off")
+ * layered over DEFAULT_BUCKET_RULES
+ */
+function loadBucketRules(env = process.env) {
+  const rules = Object.fromEntries(BUCKETS.map((b) => [b, { ...DEFAULT_BUCKET_RULES[b] }]));
+
+  for (const entry of (env.BUCKET_RULES || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [path, raw] = entry.split("=").map((s) => s.trim());
+    const [bucket, key] = (path || "").split(".");
+    const value = raw === "off" ? null : Number(raw);
+
+    if (!rules[bucket] || !RULE_KEYS.includes(key) || Number.isNaN(value)) {
+      console.warn(`⚠️ Ignoring invalid BUCKET_RULES entry "${entry.trim()}"`);
+      continue;
+    }
+    rules[bucket][key] = value;
+  }
+  return rules;
+}
+
+function matchesRule(rule, pick, confidence) {
+  const atLeast = (value, min) => min === null || min === undefined || value >= min;
+  return (
+    atLeast(confidence, rule.minConfidence) &&
+    atLeast(pick.edge, rule.minEdge) &&
+    atLeast(pick.odds, rule.minOdds) &&
+    (rule.maxOdds === null || rule.maxOdds === undefined || pick.odds <= rule.maxOdds)
+  );
+}
+
+/**
+ * Bucket for a prediction from its confidence and per-pick edges (services/oddsService computeEdges).
+ * Returns { bucket, pick, reason } where pick is the edge entry that satisfied the rule.
+ * Without odds, or when no pick satisfies a rule, there is no bucket: probabilities alone never earn one.
+ */
+function assignBucket({ confidence = 0, edges = [] }, rules = loadBucketRules()) {
+  if (!edges.length) return { bucket: null, pick: null, reason: "none:no-odds" };
+
+  const ranked = [...edges].sort((a, b) => b.edge - a.edge);
+  for (const bucket of BUCKETS) {
+    const pick = ranked.find((p) => matchesRule(rules[bucket], p, confidence));
+    if (pick) return { bucket, pick, reason: `rule:${bucket}` };
+  }
+  return { bucket: null, pick: null, reason: "none:no-rule" };
+}
+
+module.exports = {
+  BUCKETS,
+  DEFAULT_BUCKET_RULES,
+  loadBucketRules,
+  assignBucket,
+};
@@ -0,0 +1,241 @@
+const Calibration = require("../models/Calibration");
+const Prediction = require("../models/Prediction");
+
+const MIN_SAMPLES = 50; // below this an event is left uncalibrated
+const EPSILON = 1e-4;
+
+// Binary events we calibrate: how to read the raw probability and whether it happened
+const EVENTS = {
+  home: { prob: (o) => o.oneXTwo?.home, hit: (s) => s.home > s.away },
+  draw: { prob: (o) => o.oneXTwo?.draw, hit: (s) => s.home === s.away },
+  away: { prob: (o) => o.oneXTwo?.away, hit: (s) => s.home < s.away },
+  over05: { prob: (o) => o.over05, hit: (s) => s.home + s.away > 0.5 },
+  over15: { prob: (o) => o.over15, hit: (s) => s.home + s.away > 1.5 },
+  over25: { prob: (o) => o.over25, hit: (s) => s.home + s.away > 2.5 },
+  bttsYes: { prob: (o) => o.bttsYes, hit: (s) => s.home > 0 && s.away > 0 },
+};
+
+const clamp = (p) => Math.min(1 - EPSILON, Math.max(EPSILON, p));
+const logit = (p) => Math.log(clamp(p) / (1 - clamp(p)));
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Platt scaling: fit p' = sigmoid(a * logit(p) + b) by Newton's method on the log-loss
+ */
+function fitPlatt(points) {
+  let a = 1;
+  let b = 0;
+  for (let it = 0; it < 50; it++) {
+    let ga = 0, gb = 0, haa = 0, hab = 0, hbb = 0;
+    for (const [p, y] of points) {
+      const x = logit(p);
+      const q = sigmoid(a * x + b);
+      const w = q * (1 - q);
+      ga += (q - y) * x;
+      gb += q - y;
+      haa += w * x * x;
+      hab += w * x;
+      hbb += w;
+    }
+    const det = haa * hbb - hab * hab;
+    if (Math.abs(det) < 1e-12) break;
+    const da = (hbb * ga - hab * gb) / det;
+    const db = (haa * gb - hab * ga) / det;
+    a -= da;
+    b -= db;
+    if (Math.abs(da) + Math.abs(db) < 1e-8) break;
+  }
+  return { a, b };
+}
+
+/**
+ * Isotonic regression by pool-adjacent-violators; returns [x, y] knots for interpolation
+ */
+function fitIsotonic(points) {
+  const sorted = [...points].sort((p, q) => p[0] - q[0]);
+  const blocks = [];
+  for (const [x, y] of sorted) {
+    blocks.push({ sumX: x, sumY: y, n: 1 });
+    while (blocks.length > 1 && blocks[blocks.length - 2].sumY / blocks[blocks.length - 2].n >= blocks[blocks.length - 1].sumY / blocks[blocks.length - 1].n) {
+      const last = blocks.pop();
+      const prev = blocks[blocks.length - 1];
+      prev.sumX += last.sumX;
+      prev.sumY += last.sumY;
+      prev.n += last.n;
+    }
+  }
+  return { points: blocks.map((bl) => [bl.sumX / bl.n, bl.sumY / bl.n]) };
+}
+
+function applyEvent(params, method, p) {
+  if (typeof p !== "number") return p;
+  if (!params) return p;
+  if (method === "platt") return sigmoid(params.a * logit(p) + params.b);
+
+  const pts = params.points || [];
+  if (!pts.length) return p;
+  if (p <= pts[0][0]) return pts[0][1];
+  if (p >= pts[pts.length - 1][0]) return pts[pts.length - 1][1];
+  for (let i = 1; i < pts.length; i++) {
+    if (p <= pts[i][0]) {
+      const [x0, y0] = pts[i - 1];
+      const [x1, y1] = pts[i];
+      return x1 === x0 ? y1 : y0 + ((p - x0) / (x1 - x0)) * (y1 - y0);
+    }
+  }
+  return p;
+}
+
+const round = (n) => Number(n.toFixed(4));
+
+/**
+ * Apply a calibration to an outcomes object. 1X2 is renormalised to sum to 1 and double chance
+ * is derived from it; over lines are kept monotone; bttsNo is the complement of bttsYes.
+ * Markets the model didn't predict are passed through untouched.
+ */
+function calibrateOutcomes(outcomes, calibration) {
+  if (!outcomes || !calibration) return outcomes;
+  const ev = calibration.events || {};
+  const cal = (event, p) => applyEvent(ev[event]?.params, calibration.method, p);
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const result = { ...outcomes };
+
+  const x2 = outcomes.oneXTwo;
+  if (isNum(x2?.home) && isNum(x2?.draw) && isNum(x2?.away)) {
+    let home = cal("home", x2.home);
+    let draw = cal("draw", x2.draw);
+    let away = cal("away", x2.away);
+    const total = home + draw + away;
+    if (total > 0) {
+      home /= total;
+      draw /= total;
+      away /= total;
+    }
+    result.oneXTwo = { home: round(home), draw: round(draw), away: round(away) };
+    result.doubleChance = { homeOrDraw: round(home + draw), homeOrAway: round(home + away), drawOrAway: round(draw + away) };
+  }
+
+  // a higher line is never more likely than a lower one that was predicted
+  let cap = 1;
+  for (const line of ["over05", "over15", "over25"]) {
+    if (!isNum(outcomes[line])) continue;
+    cap = Math.min(cap, cal(line, outcomes[line]));
+    result[line] = round(cap);
+  }
+
+  if (isNum(outcomes.bttsYes)) {
+    const bttsYes = cal("bttsYes", outcomes.bttsYes);
+    result.bttsYes = round(bttsYes);
+    result.bttsNo = round(1 - bttsYes);
+  }
+  return result;
+}
+
+/**
+ * Weighted average of several models' outcomes. Weights are renormalised over the inputs given.
+ * @param {Array<{ outcomes: Object, weight: number }>} parts
+ */
+function blendOutcomes(parts) {
+  const usable = parts.filter((p) => p.outcomes && p.weight > 0);
+  const total = usable.reduce((s, p) => s + p.weight, 0);
+  if (!total) return null;
+  const avg = (get) => round(usable.reduce((s, p) => s + (get(p.outcomes) || 0) * p.weight, 0) / total);
+
+  return {
+    oneXTwo: { home: avg((o) => o.oneXTwo?.home), draw: avg((o) => o.oneXTwo?.draw), away: avg((o) => o.oneXTwo?.away) },
+    doubleChance: {
+      homeOrDraw: avg((o) => o.doubleChance?.homeOrDraw),
+      homeOrAway: avg((o) => o.doubleChance?.homeOrAway),
+      drawOrAway: avg((o) => o.doubleChance?.drawOrAway),
+    },
+    over05: avg((o) => o.over05),
+    over15: avg((o) => o.over15),
+    over25: avg((o) => o.over25),
+    bttsYes: avg((o) => o.bttsYes),
+    bttsNo: avg((o) => o.bttsNo),
+  };
+}
+
+/**
+ * Ensemble weights per model version from ENSEMBLE_WEIGHTS, e.g. "ai-2x=0.6,stat-dc-1=0.4"
+ */
+function loadEnsembleWeights(env = process.env) {
+  const weights = {};
+  for (const entry of (env.ENSEMBLE_WEIGHTS || "ai-2x=0.5,stat-dc-1=0.5").split(",")) {
+    const [version, weight] = entry.split("=").map((s) => s.trim());
+    if (version && Number(weight) > 0) weights[version] = Number(weight);
+  }
+  return weights;
+}
+
+// modelVersion -> { calibration, expiresAt }. The TTL bounds how long another instance's refit goes unseen.
+const activeCache = new Map();
+const ACTIVE_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * The active calibration for a model version, or null if none has been fitted.
+ * Misses aren't cached, so a calibration fitted elsewhere is picked up on the next call.
+ */
+async function getActiveCalibration(modelVersion) {
+  const cached = activeCache.get(modelVersion);
+  if (cached && cached.expiresAt > Date.now()) return cached.calibration;
+
+  const calibration = await Calibration.findOne({ modelVersion, active: true }).sort({ fittedAt: -1 }).lean();
+  if (calibration) activeCache.set(modelVersion, { calibration, expiresAt: Date.now() + ACTIVE_CACHE_TTL_MS });
+  else activeCache.delete(modelVersion);
+  return calibration;
+}
+
+/**
+ * Fit a new calibration for every model version with settled predictions and make it active.
+ * Uses each prediction's raw (pre-calibration) probabilities against the settled score.
+ */
+async function refitCalibrations({ method = "isotonic", minSamples = MIN_SAMPLES } = {}) {
+  if (!["isotonic", "platt"].includes(method)) throw new Error(`Unknown calibration method: ${method}`);
+
+  const settled = await Prediction.find(
+    { settledAt: { $ne: null }, "settlement.score.home": { $ne: null } },
+    { version: 1, outcomes: 1, rawOutcomes: 1, settlement: 1 }
+  ).lean();
+
+  const byVersion = {};
+  for (const p of settled) {
+    const raw = p.rawOutcomes?.oneXTwo?.home !== undefined ? p.rawOutcomes : p.outcomes;
+    (byVersion[p.version] = byVersion[p.version] || []).push({ raw, score: p.settlement.score });
+  }
+
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").split(".")[0];
+  const fitted = [];
+  for (const [modelVersion, rows] of Object.entries(byVersion)) {
+    const events = {};
+    for (const [event, def] of Object.entries(EVENTS)) {
+      const points = rows
+        .map((r) => [def.prob(r.raw || {}), def.hit(r.score) ? 1 : 0])
+        .filter(([p]) => typeof p === "number");
+      if (points.length < minSamples) continue;
+      events[event] = { samples: points.length, params: method === "platt" ? fitPlatt(points) : fitIsotonic(points) };
+    }
+    if (!Object.keys(events).length) continue;
+
+    const version = `cal-${modelVersion}-${stamp}`;
+    // activate the new fit before retiring the old one so there is always an active calibration
+    const created = await Calibration.create({ version, modelVersion, method, active: true, events });
+    await Calibration.updateMany({ modelVersion, active: true, _id: { $ne: created._id } }, { $set: { active: false } });
+    activeCache.delete(modelVersion);
+    fitted.push({ version, modelVersion, method, events: Object.fromEntries(Object.entries(events).map(([k, v]) => [k, v.samples])) });
+  }
+
+  console.log(`✅ Calibration refit: ${fitted.length} model version(s) calibrated`);
+  return { method, fitted };
+}
+
+module.exports = {
+  EVENTS,
+  fitPlatt,
+  fitIsotonic,
+  calibrateOutcomes,
+  blendOutcomes,
+  loadEnsembleWeights,
+  getActiveCalibration,
+  refitCalibrations,
+};
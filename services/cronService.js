@@ -1,101 +1,33 @@
-const axios = require("axios");
 const Match = require("../models/Match");
-const Team = require("../models/Team");
-
-const GOALSERVE_TOKEN =
-  process.env.GOALSERVE_TOKEN || "fdc97ba4c57b4de23f4808ddf528229c";
-const GOALSERVE_URL = `https://www.goalserve.com/getfeed/${GOALSERVE_TOKEN}/soccernew/home?json=true`;
-
-// ... rest of your cronService.js code
-
-/**
- * Fetch JSON helper
- */
-async function fetchJSON(url) {
-  try {
-    const { data } = await axios.get(url, { timeout: 20000 });
-    return data;
-  } catch (err) {
-    console.error(`❌ Failed fetch: ${url}`, err.message || err);
-    return null;
-  }
-}
-
-/**
- * Parse Goalserve feed into normalized matches
- */
-function parseGoalserveMatches(json) {
-  if (!json?.scores?.category) return [];
-
-  const categories = Array.isArray(json.scores.category)
-    ? json.scores.category
-    : [json.scores.category];
-
-  const matches = [];
-
-  for (const cat of categories) {
-    if (!cat.matches) continue;
-
-    const catMatches = Array.isArray(cat.matches)
-      ? cat.matches
-      : [cat.matches];
-
-    for (const m of catMatches) {
-      matches.push({
-        league: cat.name || null,
-        country: cat.country || null,
-        season: cat.season || null,
-        stage: cat.stage || null,
-        date: m.date || null,
-        time: m.time || null,
-        status: m.status || "scheduled",
-        rawMatch: m,
-        home: {
-          name: m.hometeam?.name || null,
-          shortName: m.hometeam?.short_name || null,
-          code: m.hometeam?.code || null,
-          country: m.hometeam?.country || null,
-          logoUrl: m.hometeam?.logo || null,
-        },
-        away: {
-          name: m.awayteam?.name || null,
-          shortName: m.awayteam?.short_name || null,
-          code: m.awayteam?.code || null,
-          country: m.awayteam?.country || null,
-          logoUrl: m.awayteam?.logo || null,
-        },
-        scores: m.scores || {},
-        events: m.events || {},
-        odds: m.odds || {},
-        stats: m.stats || {},
-        injuries: m.injuries || [],
-        h2h: m.h2h || {},
-        history: m.history || {},
-        lineups: m.lineups || [],
-        substitutions: m.substitutions || [],
-        coaches: m.coaches || [],
-        referees: m.referees || [],
-      });
-    }
-  }
-
-  return matches;
-}
+const Prediction = require("../models/Prediction");
+const { isAIConfigured, getPredictionsFromAI, linkPredictions } = require("./aiService");
+const { settleMatch } = require("./settlementService");
+const { getConfiguredProviders } = require("./providers");
+const { buildIdentity, findCanonicalMatch } = require("./matchIdentityService");
+const { resolveTeam } = require("./teamService");
+const { publish } = require("./eventBus");
+const {
+  MODEL_VERSION: STAT_MODEL_VERSION,
+  getModel: getStatModel,
+  predictMatch: predictWithStatModel,
+} = require("./statModelService");
+const {
+  calibrateOutcomes,
+  blendOutcomes,
+  loadEnsembleWeights,
+  getActiveCalibration,
+} = require("./calibrationService");
+const { assignBucket, loadBucketRules } = require("./bucketService");
+const { normalizeOdds, computeEdges } = require("./oddsService");
+const { buildMatchFeatures } = require("./featureService");
+const { ingestMatchLineups } = require("./playerService");
+const { recordResult } = require("./standingsService");
+const { MATCH_STATUS, UPCOMING_STATUSES, canTransition } = require("../utils/matchStatus");
 
 /**
- * Fetch and store matches into MongoDB
+ * Upsert normalized provider matches (and their teams) into MongoDB
  */
-async function fetchAndStoreUpcomingMatches() {
-  console.log("Fetching Goalserve:", GOALSERVE_URL);
-  const data = await fetchJSON(GOALSERVE_URL);
-  if (!data) return { newMatchesCount: 0, processed: 0 };
-
-  const parsed = parseGoalserveMatches(data);
-  if (!parsed.length) {
-    console.log("⚠️ Goalserve returned 0 matches");
-    return { newMatchesCount: 0, processed: 0 };
-  }
-
+async function storeMatches(parsed) {
   let newMatchesCount = 0;
   let processed = 0;
 
@@ -104,43 +36,8 @@ async function fetchAndStoreUpcomingMatches() {
 
     try {
       // --- Upsert Teams ---
-      let homeTeam = null;
-      if (m.home?.name) {
-        const homeRes = await Team.findOneAndUpdate(
-          { name: m.home.name },
-          {
-            $set: {
-              name: m.home.name,
-              logoUrl: m.home.logoUrl || null,
-              shortName: m.home.shortName || null,
-              code: m.home.code || null,
-              country: m.home.country || null,
-            },
-            $setOnInsert: { createdAt: new Date() },
-          },
-          { upsert: true, new: true }
-        );
-        homeTeam = homeRes;
-      }
-
-      let awayTeam = null;
-      if (m.away?.name) {
-        const awayRes = await Team.findOneAndUpdate(
-          { name: m.away.name },
-          {
-            $set: {
-              name: m.away.name,
-              logoUrl: m.away.logoUrl || null,
-              shortName: m.away.shortName || null,
-              code: m.away.code || null,
-              country: m.away.country || null,
-            },
-            $setOnInsert: { createdAt: new Date() },
-          },
-          { upsert: true, new: true }
-        );
-        awayTeam = awayRes;
-      }
+      const homeTeam = await resolveTeam(m.home, m.source);
+      const awayTeam = await resolveTeam(m.away, m.source);
 
       // --- Build full match object ---
       const matchObj = {
@@ -148,57 +45,372 @@ async function fetchAndStoreUpcomingMatches() {
         season: m.season || undefined,
         country: m.country || undefined,
         stage: m.stage || undefined,
-        status: m.status || "scheduled",
-        source: "goalserve",
-        matchDateUtc: m.date
-          ? new Date(`${m.date} ${m.time || "00:00"} UTC`)
-          : null,
+        league_id: m.leagueId || undefined,
+        status: m.status || MATCH_STATUS.SCHEDULED,
+        source: m.source,
+        matchDateUtc: m.matchDateUtc,
         homeTeam: homeTeam
           ? { id: homeTeam._id, name: homeTeam.name, logoUrl: homeTeam.logoUrl || null }
           : { name: m.home?.name || "Home", logoUrl: m.home?.logoUrl || null },
         awayTeam: awayTeam
           ? { id: awayTeam._id, name: awayTeam.name, logoUrl: awayTeam.logoUrl || null }
           : { name: m.away?.name || "Away", logoUrl: m.away?.logoUrl || null },
-        scores: m.scores,
-        events: m.events,
+        ft_score: m.rawScores?.ft || undefined,
+        ht_score: m.rawScores?.ht || undefined,
+        et_score: m.rawScores?.et || undefined,
+        pen_score: m.rawScores?.pen || undefined,
+        venue: m.venue || undefined,
         odds: m.odds,
         stats: m.stats,
         injuries: m.injuries,
         h2h: m.h2h,
         history: m.history,
-        lineups: m.lineups,
-        substitutions: m.substitutions,
         coaches: m.coaches,
         referees: m.referees,
-        rawMatch: m.rawMatch,
+        identity: buildIdentity(homeTeam?.name || m.home?.name, awayTeam?.name || m.away?.name, m.matchDateUtc),
         updatedAt: new Date(),
       };
+      // only a row with a full-time (or running) score may write one, so a stale fixtures row can't wipe a result
+      if (m.score?.ft) {
+        Object.assign(matchObj, { score: m.score, homeGoals: m.score.ft.home, awayGoals: m.score.ft.away });
+        if (Array.isArray(m.goals)) matchObj.goals = m.goals;
+      }
+      // feeds without odds (e.g. results) must not wipe the last known prices
+      const marketOdds = normalizeOdds(m.oddsLines);
+      if (marketOdds.length) Object.assign(matchObj, { marketOdds, oddsUpdatedAt: new Date() });
+      // same for lineups: only a feed that actually carries them may replace them
+      if (m.lineups?.length) Object.assign(matchObj, { lineups: m.lineups, substitutions: m.substitutions || [] });
+      const hasSourceId = !!(m.source && m.externalId);
 
-      // --- Upsert Match ---
-      const existing = await Match.findOneAndUpdate(
-        {
-          "homeTeam.name": matchObj.homeTeam.name,
-          "awayTeam.name": matchObj.awayTeam.name,
-          matchDateUtc: matchObj.matchDateUtc,
-        },
-        { $set: matchObj, $setOnInsert: { createdAt: new Date() } },
-        { upsert: true, new: true }
-      );
-
-      if (!existing.createdAt || existing.createdAt.getTime() === existing.updatedAt.getTime()) {
+      // --- Upsert Match (resolved through the canonical identity, not exact names/kickoff) ---
+      const canonical = await findCanonicalMatch({
+        source: m.source,
+        externalId: m.externalId,
+        homeTeamId: homeTeam?._id,
+        awayTeamId: awayTeam?._id,
+        identity: matchObj.identity,
+        matchDateUtc: m.matchDateUtc,
+      });
+
+      let existing;
+      if (canonical) {
+        // never move a match backwards (e.g. a stale fixtures feed reopening a finished match)
+        if (canonical.status && !canTransition(canonical.status, matchObj.status)) delete matchObj.status;
+        const $set = hasSourceId ? { ...matchObj, [`sourceIds.${m.source}`]: m.externalId } : matchObj;
+        existing = await Match.findByIdAndUpdate(canonical._id, { $set }, { new: true });
+      } else {
+        existing = await Match.create({
+          ...matchObj,
+          sourceIds: hasSourceId ? { [m.source]: m.externalId } : {},
+          createdAt: new Date(),
+        });
         newMatchesCount++;
       }
+
+      const scoreKey = (doc) => (doc?.score?.ft ? `${doc.score.ft.home}-${doc.score.ft.away}` : null);
+      if (canonical && (canonical.status !== existing.status || scoreKey(canonical) !== scoreKey(existing))) {
+        publish(
+          "match.updated",
+          { matchId: String(existing._id), status: existing.status, score: existing.score },
+          { matchId: existing._id, league: existing.league }
+        );
+      }
+
+      if (m.lineups?.length) {
+        await ingestMatchLineups(existing).catch((err) =>
+          console.warn(`⚠️ Lineup ingestion failed for match ${existing._id}:`, err.message || err)
+        );
+      }
+
+      // settles new results and re-settles if the score was corrected
+      if (existing.status === MATCH_STATUS.FINISHED) {
+        await settleMatch(existing.toObject()).catch((err) =>
+          console.warn(`⚠️ Settlement failed for match ${existing._id}:`, err.message || err)
+        );
+        await recordResult(existing.toObject()).catch((err) =>
+          console.warn(`⚠️ Standings update failed for match ${existing._id}:`, err.message || err)
+        );
+      }
     } catch (err) {
       console.warn("⚠️ Skipping match due to error:", err.message || err);
       continue;
     }
   }
 
-  console.log(`✅ Total matches processed: ${processed}`);
-  console.log(`✅ Total new/upserted matches: ${newMatchesCount}`);
   return { newMatchesCount, processed };
 }
 
+/**
+ * Fetch fixtures and results from every configured provider and store them
+ */
+async function fetchAndStoreUpcomingMatches({ days = 1 } = {}) {
+  const providers = getConfiguredProviders();
+  const report = { newMatchesCount: 0, processed: 0, providers: {} };
+
+  for (const provider of providers) {
+    try {
+      console.log(`Fetching ${provider.name} fixtures and results`);
+      const [fixtures, results] = await Promise.all([
+        provider.fetchFixtures({ days }),
+        provider.fetchResults({ days }),
+      ]);
+      const parsed = [...fixtures, ...results];
+      if (!parsed.length) console.log(`⚠️ ${provider.name} returned 0 matches`);
+
+      const stored = await storeMatches(parsed);
+      report.newMatchesCount += stored.newMatchesCount;
+      report.processed += stored.processed;
+      report.providers[provider.name] = { fetched: parsed.length, ...stored };
+    } catch (err) {
+      console.error(`❌ Failed fetch from ${provider.name}:`, err.message || err);
+      report.providers[provider.name] = { error: err.message || String(err) };
+    }
+  }
+
+  console.log(`✅ Total matches processed: ${report.processed}`);
+  console.log(`✅ Total new/upserted matches: ${report.newMatchesCount}`);
+  return report;
+}
+
+const PREDICTION_HORIZON_HOURS = 48;
+const MAX_MATCHES_PER_RUN = 50;
+const AI_MODEL_VERSION = "ai-2x";
+// a match whose AI call failed or came back empty is retried after 1h, 2h, ... and given up on after this many tries
+const AI_MAX_ATTEMPTS = 3;
+const AI_RETRY_BACKOFF_MS = 60 * 60 * 1000;
+const ENSEMBLE_VERSION = "ensemble-1";
+// the one prediction per match that gets a bucket and pick; the models it blends are stored unbucketed,
+// so a match is listed (and counted in stats) once
+const PUBLISHED_VERSION = ENSEMBLE_VERSION;
+
+/**
+ * Insert predictions for a match and announce them on the event bus.
+ * Probabilities go through the version's active calibration; the raw ones are kept alongside.
+ * The bucket comes from the bucket rules on confidence and edge against the match's odds,
+ * never from the model itself, and only the PUBLISHED_VERSION prediction gets one.
+ */
+async function savePredictions(match, preds, version, extra = {}) {
+  const calibration = await getActiveCalibration(version);
+  const bucketRules = loadBucketRules();
+  const created = await Prediction.insertMany(
+    preds.map((p) => {
+      const rawOutcomes = {
+        oneXTwo: p.oneXTwo,
+        doubleChance: p.doubleChance,
+        over05: p.over05,
+        over15: p.over15,
+        over25: p.over25,
+        bttsYes: p.bttsYes,
+        bttsNo: p.bttsNo,
+      };
+      const outcomes = calibration ? calibrateOutcomes(rawOutcomes, calibration) : rawOutcomes;
+      const edges = computeEdges(outcomes, match.marketOdds);
+      const { bucket, pick, reason } = version === PUBLISHED_VERSION
+        ? assignBucket({ confidence: p.confidence, edges }, bucketRules)
+        : { bucket: null, pick: null, reason: "none:component" };
+      return {
+        matchId: match._id,
+        version,
+        outcomes,
+        rawOutcomes,
+        calibrationVersion: calibration ? calibration.version : null,
+        confidence: p.confidence,
+        bucket,
+        bucketReason: reason,
+        pick,
+        edges,
+        ...extra,
+      };
+    })
+  );
+  for (const p of created) {
+    publish(
+      "prediction.created",
+      { predictionId: String(p._id), matchId: String(match._id), version, bucket: p.bucket, confidence: p.confidence, outcomes: p.outcomes },
+      { matchId: match._id, league: match.league, bucket: p.bucket }
+    );
+  }
+  return created;
+}
+
+/**
+ * Blend the match's latest prediction from each weighted model into an ensemble prediction.
+ * Needs at least two component models; returns null otherwise.
+ */
+async function saveEnsemblePrediction(match, weights) {
+  const versions = Object.keys(weights);
+  const components = await Prediction.find({ matchId: match._id, version: { $in: versions } })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const latest = new Map();
+  for (const p of components) if (!latest.has(p.version)) latest.set(p.version, p);
+  if (latest.size < 2) return null;
+
+  const parts = [...latest.values()].map((p) => ({ prediction: p, outcomes: p.outcomes, weight: weights[p.version] }));
+  const outcomes = blendOutcomes(parts);
+  const confidence = Math.max(outcomes.oneXTwo.home, outcomes.oneXTwo.draw, outcomes.oneXTwo.away) * 100;
+
+  const [created] = await savePredictions(
+    match,
+    [{ ...outcomes, confidence: Number(confidence.toFixed(1)) }],
+    ENSEMBLE_VERSION,
+    {
+      components: parts.map((p) => ({ predictionId: p.prediction._id, version: p.prediction.version, weight: p.weight })),
+    }
+  );
+  return created;
+}
+
+/**
+ * Generate predictions for upcoming matches: a statistical baseline (services/statModelService)
+ * and the AI model, each only where that model hasn't predicted the match yet.
+ * Returns a per-run report of what was considered, predicted and skipped.
+ */
+async function generateAllPredictions() {
+  const now = new Date();
+  const until = new Date(now.getTime() + PREDICTION_HORIZON_HOURS * 60 * 60 * 1000);
+
+  const upcoming = await Match.find({
+    status: { $in: UPCOMING_STATUSES },
+    matchDateUtc: { $gte: now, $lte: until },
+  })
+    .sort({ matchDateUtc: 1 })
+    .lean();
+
+  const report = {
+    considered: 0,
+    predicted: 0,
+    baselinePredicted: 0,
+    ensemblePredicted: 0,
+    skipped: 0,
+    aiFailures: 0,
+    predictionsCreated: 0,
+  };
+  if (!upcoming.length) {
+    console.log("⚠️ No upcoming matches to predict");
+    return report;
+  }
+
+  const matchIds = upcoming.map((m) => m._id);
+  const [aiDone, baselineDone, ensembleDone] = await Promise.all([
+    Prediction.distinct("matchId", { matchId: { $in: matchIds }, version: AI_MODEL_VERSION }),
+    Prediction.distinct("matchId", { matchId: { $in: matchIds }, version: STAT_MODEL_VERSION }),
+    Prediction.distinct("matchId", { matchId: { $in: matchIds }, version: ENSEMBLE_VERSION }),
+  ]).then((lists) => lists.map((ids) => new Set(ids.map(String))));
+
+  // without a provider there is nothing to call, and nothing counts against a match's attempts
+  const aiEnabled = isAIConfigured();
+  const needsAI = (m) => aiEnabled && !aiDone.has(String(m._id)) && aiRetryDue(m, now);
+  // an ensemble needs the AI prediction, so it waits while the AI one is backing off or given up on
+  const needsEnsemble = (m) => !ensembleDone.has(String(m._id)) && (aiDone.has(String(m._id)) || needsAI(m));
+  const pending = upcoming
+    .filter((m) => !baselineDone.has(String(m._id)) || needsAI(m) || needsEnsemble(m))
+    .slice(0, MAX_MATCHES_PER_RUN);
+  const ensembleWeights = loadEnsembleWeights();
+
+  report.considered = upcoming.length;
+  report.skipped = upcoming.length - pending.length;
+
+  const statModel = await getStatModel().catch((err) => {
+    console.warn("⚠️ Stat model unavailable:", err.message || err);
+    return null;
+  });
+
+  for (const match of pending) {
+    try {
+      // --- Statistical baseline (deterministic, no network) ---
+      if (statModel && !baselineDone.has(String(match._id))) {
+        const baseline = predictWithStatModel(statModel, match);
+        if (baseline) {
+          await savePredictions(match, [baseline], STAT_MODEL_VERSION);
+          report.baselinePredicted++;
+          report.predictionsCreated++;
+        }
+      }
+
+      // --- AI model ---
+      if (needsAI(match)) await predictWithAI(match, report);
+
+      // --- Ensemble of whatever models predicted this match ---
+      if (!ensembleDone.has(String(match._id)) && (await saveEnsemblePrediction(match, ensembleWeights))) {
+        report.ensemblePredicted++;
+        report.predictionsCreated++;
+      }
+    } catch (err) {
+      console.warn(`⚠️ Skipping prediction for match ${match._id}:`, err.message || err);
+      report.skipped++;
+    }
+  }
+
+  console.log(
+    `✅ Predictions: considered ${report.considered}, predicted ${report.predicted}, ` +
+      `baseline ${report.baselinePredicted}, ensemble ${report.ensemblePredicted}, ` +
+      `skipped ${report.skipped}, AI failures ${report.aiFailures}`
+  );
+  return report;
+}
+
+/**
+ * Whether a match with no AI prediction yet may be sent to the AI again: under AI_MAX_ATTEMPTS failed
+ * attempts and past the backoff, which doubles with each one
+ */
+function aiRetryDue(match, now = new Date()) {
+  const attempts = match.aiAttempts?.count || 0;
+  if (!attempts) return true;
+  if (attempts >= AI_MAX_ATTEMPTS) return false;
+  const last = match.aiAttempts.lastAttemptAt ? new Date(match.aiAttempts.lastAttemptAt).getTime() : 0;
+  return now.getTime() - last >= AI_RETRY_BACKOFF_MS * 2 ** (attempts - 1);
+}
+
+async function recordAIFailure(match, reason) {
+  await Match.updateOne(
+    { _id: match._id },
+    { $inc: { "aiAttempts.count": 1 }, $set: { "aiAttempts.lastAttemptAt": new Date(), "aiAttempts.lastError": reason } }
+  );
+  const attempts = (match.aiAttempts?.count || 0) + 1;
+  if (attempts >= AI_MAX_ATTEMPTS) console.warn(`⚠️ Giving up on AI predictions for match ${match._id} after ${attempts} attempts`);
+}
+
+/**
+ * AI predictions for one match, counted into the run report. Failed and empty answers are recorded
+ * on the match so the next runs back off (aiRetryDue).
+ */
+async function predictWithAI(match, report) {
+  const features = await buildMatchFeatures(match);
+
+  let preds;
+  let provenance;
+  try {
+    ({ predictions: preds, provenance } = await getPredictionsFromAI(match, features));
+  } catch (err) {
+    console.warn(`⚠️ AI failed for match ${match._id}:`, err.message || err);
+    report.aiFailures++;
+    await recordAIFailure(match, err.message || String(err));
+    return;
+  }
+
+  if (!preds.length) {
+    report.skipped++;
+    await recordAIFailure(match, "AI returned no usable predictions");
+    return;
+  }
+
+  // keep the exact context the model was prompted with, for auditing
+  const created = await savePredictions(match, preds, AI_MODEL_VERSION, {
+    features,
+    featureVersion: features.version,
+    promptVersion: provenance.promptVersion,
+    model: `${provenance.provider}:${provenance.model}`,
+    provenanceId: provenance.callId,
+  });
+  await linkPredictions(provenance.callId, created.map((p) => p._id));
+  report.predicted++;
+  report.predictionsCreated += preds.length;
+}
+
 module.exports = {
+  storeMatches,
   fetchAndStoreUpcomingMatches,
+  generateAllPredictions,
 };
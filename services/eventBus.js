@@ -0,0 +1,60 @@
+const { EventEmitter } = require("events");
+
+// Recent events kept in memory so reconnecting SSE clients can replay what they missed.
+// Per-process only: with several instances each one streams its own events.
+const REPLAY_BUFFER_SIZE = 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected client
+
+const buffer = [];
+let seq = 0;
+
+/**
+ * Publish an event to every stream subscriber.
+ *
+ * @param {string} type e.g. "match.updated", "prediction.created", "prediction.settled", "job.finished"
+ * @param {Object} data JSON-serialisable payload
+ * @param {Object} [tags] routing keys clients can subscribe by: { matchId, league, bucket }
+ */
+function publish(type, data, tags = {}) {
+  const event = {
+    id: ++seq,
+    type,
+    at: new Date().toISOString(),
+    tags: {
+      matchId: tags.matchId ? String(tags.matchId) : null,
+      league: tags.league || null,
+      bucket: tags.bucket || null,
+    },
+    data,
+  };
+
+  buffer.push(event);
+  if (buffer.length > REPLAY_BUFFER_SIZE) buffer.shift();
+  emitter.emit("event", event);
+  return event;
+}
+
+/**
+ * Events published after `lastEventId`. `complete` is false when the id is older than
+ * the buffer (or from a previous process), meaning the client should refetch state.
+ */
+function getEventsSince(lastEventId) {
+  const id = Number(lastEventId);
+  if (!Number.isInteger(id) || id < 0) return { events: [], complete: false };
+  if (id > seq) return { events: [], complete: false };
+  const complete = !buffer.length || id >= buffer[0].id - 1;
+  return { events: buffer.filter((e) => e.id > id), complete };
+}
+
+function subscribe(listener) {
+  emitter.on("event", listener);
+  return () => emitter.off("event", listener);
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  getEventsSince,
+};
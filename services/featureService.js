@@ -0,0 +1,349 @@
+// services/featureService.js
+// Pre-match features (form, splits, goal averages, rest, injuries, table position) for AI prompts.
+// The same object is stored on the prediction so what the model saw can be audited later.
+const Match = require("../models/Match");
+const History = require("../models/History");
+const Player = require("../models/Player");
+const { getMatchScore } = require("../utils/score");
+const { normalizeTeamName } = require("../utils/teamName");
+const { MATCH_STATUS } = require("../utils/matchStatus");
+
+const FEATURE_VERSION = "features-1";
+const DEFAULT_LAST_N = 6;
+const MAX_HISTORY_ROWS = 200;
+const TOP_SCORERS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Finished Match -> result row { id, from, league, matchDateUtc, homeTeam: { id, name }, awayTeam, homeGoals, awayGoals }
+ */
+function matchResultRow(m) {
+  const ft = getMatchScore(m).ft;
+  return {
+    id: m._id,
+    from: "match",
+    league: m.league || null,
+    matchDateUtc: m.matchDateUtc,
+    homeTeam: { id: m.homeTeam?.id || null, name: m.homeTeam?.name || null },
+    awayTeam: { id: m.awayTeam?.id || null, name: m.awayTeam?.name || null },
+    homeGoals: ft ? ft.home : null,
+    awayGoals: ft ? ft.away : null,
+  };
+}
+
+/**
+ * History row (teams populated with name) -> result row
+ */
+function historyResultRow(h) {
+  return {
+    id: h._id,
+    from: "history",
+    league: h.league || null,
+    matchDateUtc: h.matchDateUtc,
+    homeTeam: { id: h.homeTeam?._id || null, name: h.homeTeam?.name || null },
+    awayTeam: { id: h.awayTeam?._id || null, name: h.awayTeam?.name || null },
+    homeGoals: h.homeGoals ?? h.score?.home,
+    awayGoals: h.awayGoals ?? h.score?.away,
+  };
+}
+
+/**
+ * Same fixture key for result rows from either collection: kickoff day and both team names
+ */
+function resultKey(r) {
+  return [
+    new Date(r.matchDateUtc).toISOString().split("T")[0],
+    normalizeTeamName(r.homeTeam?.name) || String(r.homeTeam?.id),
+    normalizeTeamName(r.awayTeam?.name) || String(r.awayTeam?.id),
+  ].join("|");
+}
+
+/**
+ * The same fixture can be both a Match and an imported History row; keep the Match. Newest first.
+ */
+function dedupeResults(rows) {
+  const seen = new Set();
+  const ordered = [...rows].sort((a, b) => (a.from === b.from ? 0 : a.from === "match" ? -1 : 1));
+  const kept = ordered.filter((r) => {
+    const k = resultKey(r);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+  return kept.sort((a, b) => new Date(b.matchDateUtc) - new Date(a.matchDateUtc));
+}
+
+/**
+ * Finished matches and imported History rows involving the given teams as result rows,
+ * de-duplicated across the two collections, newest first
+ */
+async function loadHistoricalMatches(teamNames, teamIds) {
+  const finished = await Match.find({
+    status: MATCH_STATUS.FINISHED,
+    $or: [
+      { "homeTeam.name": { $in: teamNames } },
+      { "awayTeam.name": { $in: teamNames } },
+      { "homeTeam.id": { $in: teamIds } },
+      { "awayTeam.id": { $in: teamIds } },
+    ],
+  })
+    .sort({ matchDateUtc: -1 })
+    .limit(MAX_HISTORY_ROWS)
+    .lean();
+
+  const history = teamIds.length
+    ? await History.find({
+        $or: [{ homeTeam: { $in: teamIds } }, { awayTeam: { $in: teamIds } }],
+      })
+        .populate("homeTeam awayTeam", "name")
+        .sort({ matchDateUtc: -1 })
+        .limit(MAX_HISTORY_ROWS)
+        .lean()
+    : [];
+
+  // a fixture held in both collections must count once in form, averages and h2h
+  return dedupeResults([...finished.map(matchResultRow), ...history.map(historyResultRow)]);
+}
+
+/**
+ * Team ids when both sides have them, otherwise normalised names ("Man Utd" == "Manchester United FC")
+ */
+function sameTeam(a, b) {
+  if (a?.id && b?.id) return String(a.id) === String(b.id);
+  return !!a?.name && normalizeTeamName(a.name) === normalizeTeamName(b?.name);
+}
+
+function average(values) {
+  return values.length ? Number((values.reduce((s, v) => s + v, 0) / values.length).toFixed(2)) : null;
+}
+
+/**
+ * A team's view of its finished games before kickoff: { date, venue, goalsFor, goalsAgainst, result }, newest first
+ */
+function teamGames(team, rows, kickoff) {
+  const games = [];
+  for (const r of rows) {
+    if (!Number.isInteger(r.homeGoals) || !Number.isInteger(r.awayGoals)) continue;
+    if (new Date(r.matchDateUtc) >= kickoff) continue;
+    const venue = sameTeam(r.homeTeam, team) ? "home" : sameTeam(r.awayTeam, team) ? "away" : null;
+    if (!venue) continue;
+
+    const goalsFor = venue === "home" ? r.homeGoals : r.awayGoals;
+    const goalsAgainst = venue === "home" ? r.awayGoals : r.homeGoals;
+    const result = goalsFor > goalsAgainst ? "W" : goalsFor < goalsAgainst ? "L" : "D";
+    games.push({ date: new Date(r.matchDateUtc), venue, goalsFor, goalsAgainst, result });
+  }
+  return games.sort((a, b) => b.date - a.date);
+}
+
+function summarizeGames(games) {
+  const count = (result) => games.filter((g) => g.result === result).length;
+  return {
+    played: games.length,
+    won: count("W"),
+    drawn: count("D"),
+    lost: count("L"),
+    goalsForAvg: average(games.map((g) => g.goalsFor)),
+    goalsAgainstAvg: average(games.map((g) => g.goalsAgainst)),
+  };
+}
+
+/**
+ * Injured/suspended players per side from Match.injuries. Providers send either a list of
+ * { team, name|player, reason } entries or { localteam|hometeam: { player: [...] }, visitorteam|awayteam: ... }.
+ */
+function parseInjuries(injuries) {
+  const out = { home: [], away: [] };
+  const sideOf = (team) =>
+    /^(home|local)/i.test(String(team || "")) ? "home" : /^(away|visitor)/i.test(String(team || "")) ? "away" : null;
+  const entry = (p) => {
+    const name = p?.name ?? p?.["@name"] ?? p?.player ?? p?.["@player"];
+    return name ? { name: String(name), reason: p.reason ?? p["@reason"] ?? p.status ?? p["@status"] ?? null } : null;
+  };
+
+  if (Array.isArray(injuries)) {
+    for (const p of injuries) {
+      const side = sideOf(p?.team);
+      const e = entry(p);
+      if (side && e) out[side].push(e);
+    }
+  } else if (injuries && typeof injuries === "object") {
+    for (const [key, value] of Object.entries(injuries)) {
+      const side = sideOf(key);
+      if (!side) continue;
+      const players = value?.player ?? value;
+      for (const p of Array.isArray(players) ? players : [players]) {
+        const e = entry(p);
+        if (e) out[side].push(e);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * League table position of each team from the league's finished matches before kickoff
+ * (same season when known, otherwise the last 365 days). 3/1/0 points, then goal difference, then goals scored.
+ */
+async function leaguePositions(match, kickoff) {
+  if (!match.league) return { teams: 0, positions: new Map() };
+
+  const filter = {
+    league: match.league,
+    status: MATCH_STATUS.FINISHED,
+    matchDateUtc: match.season ? { $lt: kickoff } : { $lt: kickoff, $gte: new Date(kickoff.getTime() - 365 * DAY_MS) },
+  };
+  if (match.season) filter.season = match.season;
+
+  const rows = await Match.find(filter, {
+    homeTeam: 1, awayTeam: 1, score: 1, homeGoals: 1, awayGoals: 1, ft_score: 1,
+  }).lean();
+
+  const table = new Map();
+  const row = (team) => {
+    const key = team?.id ? String(team.id) : normalizeTeamName(team?.name);
+    if (!table.has(key)) table.set(key, { key, points: 0, goalsFor: 0, goalsAgainst: 0 });
+    return table.get(key);
+  };
+  for (const m of rows) {
+    const ft = getMatchScore(m).ft;
+    if (!ft) continue;
+    const home = row(m.homeTeam);
+    const away = row(m.awayTeam);
+    home.goalsFor += ft.home;
+    home.goalsAgainst += ft.away;
+    away.goalsFor += ft.away;
+    away.goalsAgainst += ft.home;
+    if (ft.home > ft.away) home.points += 3;
+    else if (ft.home < ft.away) away.points += 3;
+    else {
+      home.points += 1;
+      away.points += 1;
+    }
+  }
+
+  const sorted = [...table.values()].sort(
+    (a, b) =>
+      b.points - a.points ||
+      (b.goalsFor - b.goalsAgainst) - (a.goalsFor - a.goalsAgainst) ||
+      b.goalsFor - a.goalsFor
+  );
+  return { teams: sorted.length, positions: new Map(sorted.map((r, i) => [r.key, { position: i + 1, points: r.points }])) };
+}
+
+/**
+ * Squad notes from Player documents: players flagged injured and the top scorers
+ */
+async function squadFeatures(teamId) {
+  if (!teamId) return { injured: [], topScorers: [] };
+  const players = await Player.find({ team: teamId }, { name: 1, position: 1, goals: 1, injured: 1 }).lean();
+  return {
+    injured: players.filter((p) => p.injured).map((p) => p.name),
+    topScorers: players
+      .filter((p) => p.goals > 0)
+      .sort((a, b) => b.goals - a.goals)
+      .slice(0, TOP_SCORERS)
+      .map((p) => ({ name: p.name, goals: p.goals, injured: !!p.injured })),
+  };
+}
+
+/**
+ * Build the feature set for a match. Pass `history` (loadHistoricalMatches rows) to avoid reloading it.
+ */
+async function buildMatchFeatures(match, { history, lastN = DEFAULT_LAST_N } = {}) {
+  const kickoff = new Date(match.matchDateUtc || Date.now());
+  const rows = history || (await loadHistoricalMatches(
+    [match.homeTeam?.name, match.awayTeam?.name].filter(Boolean),
+    [match.homeTeam?.id, match.awayTeam?.id].filter(Boolean)
+  ));
+  const injuries = parseInjuries(match.injuries);
+  const table = await leaguePositions(match, kickoff);
+
+  const side = async (team, venue) => {
+    const games = teamGames(team, rows, kickoff);
+    const recent = games.slice(0, lastN);
+    const squad = await squadFeatures(team?.id);
+    const tableKey = team?.id ? String(team.id) : normalizeTeamName(team?.name);
+    return {
+      name: team?.name || null,
+      form: recent.map((g) => g.result).join(""),
+      formPoints: recent.reduce((s, g) => s + (g.result === "W" ? 3 : g.result === "D" ? 1 : 0), 0),
+      ...summarizeGames(recent),
+      splits: {
+        home: summarizeGames(games.filter((g) => g.venue === "home").slice(0, lastN)),
+        away: summarizeGames(games.filter((g) => g.venue === "away").slice(0, lastN)),
+      },
+      restDays: games.length ? Number(((kickoff - games[0].date) / DAY_MS).toFixed(1)) : null,
+      leaguePosition: table.positions.get(tableKey) || null,
+      injuries: injuries[venue],
+      injuredPlayers: squad.injured,
+      topScorers: squad.topScorers,
+    };
+  };
+
+  const h2hRows = rows.filter(
+    (r) =>
+      new Date(r.matchDateUtc) < kickoff &&
+      ((sameTeam(r.homeTeam, match.homeTeam) && sameTeam(r.awayTeam, match.awayTeam)) ||
+        (sameTeam(r.homeTeam, match.awayTeam) && sameTeam(r.awayTeam, match.homeTeam)))
+  );
+
+  return {
+    version: FEATURE_VERSION,
+    builtAt: new Date(),
+    lastN,
+    league: { name: match.league || null, season: match.season || null, teams: table.teams },
+    home: await side(match.homeTeam, "home"),
+    away: await side(match.awayTeam, "away"),
+    h2h: h2hRows.slice(0, 10).map((r) => ({
+      date: new Date(r.matchDateUtc).toISOString().split("T")[0],
+      home: r.homeTeam?.name || null,
+      away: r.awayTeam?.name || null,
+      score: `${r.homeGoals ?? "-"}-${r.awayGoals ?? "-"}`,
+    })),
+  };
+}
+
+/**
+ * Compact text rendering of the features for prompts
+ */
+function formatFeaturesForPrompt(features) {
+  if (!features) return "No team context available.";
+  const avg = (v) => (v === null || v === undefined ? "n/a" : v);
+  const absences = (t) => [
+    ...new Set([...t.injuries.map((i) => (i.reason ? `${i.name} (${i.reason})` : i.name)), ...t.injuredPlayers]),
+  ];
+  const split = (s) => `${s.played} played, W${s.won} D${s.drawn} L${s.lost}, GF ${avg(s.goalsForAvg)} GA ${avg(s.goalsAgainstAvg)}`;
+
+  const team = (label, t) => [
+    `${label}: ${t.name || "N/A"}`,
+    `- Form (last ${features.lastN}, newest first): ${t.form || "n/a"} (${t.formPoints} pts), avg goals for ${avg(t.goalsForAvg)}, against ${avg(t.goalsAgainstAvg)}`,
+    `- Home games: ${split(t.splits.home)}`,
+    `- Away games: ${split(t.splits.away)}`,
+    `- Rest days: ${avg(t.restDays)}`,
+    `- League position: ${t.leaguePosition ? `${t.leaguePosition.position}/${features.league.teams} (${t.leaguePosition.points} pts)` : "n/a"}`,
+    `- Injuries/absences: ${absences(t).join(", ") || "none reported"}`,
+    `- Top scorers: ${t.topScorers.map((p) => `${p.name} ${p.goals}${p.injured ? " (injured)" : ""}`).join(", ") || "n/a"}`,
+  ].join("\n");
+
+  return [
+    team("Home", features.home),
+    team("Away", features.away),
+    "Head-to-head (most recent first):",
+    features.h2h.map((h) => `- ${h.date}: ${h.home} ${h.score} ${h.away}`).join("\n") || "No direct H2H data available.",
+  ].join("\n");
+}
+
+module.exports = {
+  FEATURE_VERSION,
+  matchResultRow,
+  historyResultRow,
+  resultKey,
+  dedupeResults,
+  loadHistoricalMatches,
+  teamGames,
+  summarizeGames,
+  parseInjuries,
+  buildMatchFeatures,
+  formatFeaturesForPrompt,
+};
@@ -0,0 +1,379 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const History = require("../models/History");
+const { resolveTeam } = require("./teamService");
+const { normalizeOdds } = require("./oddsService");
+const { markStandingsStale, seasonKey } = require("./standingsService");
+
+const SUPPORTED_FORMATS = ["footballjson", "openligadb", "csv"];
+const MAX_REPORTED_ERRORS = 50;
+
+/**
+ * Fetch a remote payload as raw text so CSV and JSON can share detection
+ */
+async function fetchText(url) {
+  const { data } = await axios.get(url, {
+    timeout: 30000,
+    responseType: "text",
+    transformResponse: (r) => r,
+  });
+  return data;
+}
+
+function tryParseJSON(text) {
+  if (typeof text !== "string") return text;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Work out which supported format a payload is in
+ */
+function detectFormat(payload) {
+  const json = tryParseJSON(payload);
+  if (json) {
+    if (Array.isArray(json) && (json[0]?.matchID !== undefined || json[0]?.team1?.teamName)) {
+      return "openligadb";
+    }
+    if (!Array.isArray(json) && (Array.isArray(json.matches) || Array.isArray(json.rounds))) {
+      return "footballjson";
+    }
+    return null;
+  }
+  if (typeof payload === "string" && payload.split(/\r?\n/)[0].includes(",")) return "csv";
+  return null;
+}
+
+/* ---------------- Parsers ---------------- */
+// Each parser returns rows of
+// { externalId, league, leagueCode, season, matchDateUtc, home: { name, sourceId }, away, homeGoals, awayGoals, odds, oddsLines }
+
+function footballJsonTeam(team) {
+  if (!team) return null;
+  if (typeof team === "string") return { name: team };
+  return { name: team.name || null, sourceId: team.key || team.code || null };
+}
+
+function parseFootballJson(json) {
+  const league = json.name || null;
+  // openfootball names carry the season ("English Premier League 2020/21")
+  const season = json.season || String(league || "").match(/\d{4}\/\d{2,4}/)?.[0] || null;
+  const matches = Array.isArray(json.matches)
+    ? json.matches
+    : (json.rounds || []).flatMap((r) => r.matches || []);
+
+  return matches.map((m) => {
+    const ft = m.score?.ft || (m.score1 !== undefined ? [m.score1, m.score2] : null);
+    return {
+      // `num` only numbers matches within one file, so rows are keyed by contentHash instead
+      externalId: null,
+      league,
+      leagueCode: json.code || null,
+      season,
+      matchDateUtc: m.date ? new Date(`${m.date}T${m.time || "00:00"}:00Z`) : null,
+      home: footballJsonTeam(m.team1),
+      away: footballJsonTeam(m.team2),
+      homeGoals: Array.isArray(ft) ? ft[0] : null,
+      awayGoals: Array.isArray(ft) ? ft[1] : null,
+    };
+  });
+}
+
+function parseOpenLigaDb(json) {
+  return json.map((m) => {
+    // resultTypeID 2 is the final result; fall back to the last reported one
+    const results = m.matchResults || [];
+    const final = results.find((r) => r.resultTypeID === 2) || results[results.length - 1];
+    return {
+      externalId: m.matchID !== undefined ? String(m.matchID) : null,
+      league: m.leagueName || null,
+      leagueCode: m.leagueShortcut || null,
+      season: m.leagueSeason ? String(m.leagueSeason) : null,
+      matchDateUtc: m.matchDateTimeUTC ? new Date(m.matchDateTimeUTC) : null,
+      home: { name: m.team1?.teamName || null, sourceId: m.team1?.teamId ? String(m.team1.teamId) : null },
+      away: { name: m.team2?.teamName || null, sourceId: m.team2?.teamId ? String(m.team2.teamId) : null },
+      homeGoals: m.matchIsFinished && final ? final.pointsTeam1 : null,
+      awayGoals: m.matchIsFinished && final ? final.pointsTeam2 : null,
+    };
+  });
+}
+
+function splitCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (c === "," && !quoted) {
+      out.push(cur.trim());
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+// two-digit years up to next year are 20yy, later ones 19yy (football-data.co.uk goes back to 1993)
+function expandYear(yy) {
+  const pivot = (new Date().getUTCFullYear() % 100) + 1;
+  return `${Number(yy) > pivot ? "19" : "20"}${yy}`;
+}
+
+// Accepts ISO dates and football-data.co.uk style dd/mm/yy(yy)
+function parseCsvDate(date, time) {
+  if (!date) return null;
+  const dmy = date.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  const iso = dmy
+    ? `${dmy[3].length === 2 ? expandYear(dmy[3]) : dmy[3]}-${dmy[2].padStart(2, "0")}-${dmy[1].padStart(2, "0")}`
+    : date;
+  const d = new Date(`${iso}T${time || "00:00"}:00Z`);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+function toGoals(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+// football-data.co.uk odds columns: <prefix>H/D/A for 1X2 and <prefix>>2.5 / <prefix><2.5 for totals
+const CSV_BOOKMAKERS = [
+  { bookmaker: "bet365", oneXTwo: "B365", totals: "B365" },
+  { bookmaker: "pinnacle", oneXTwo: "PS", totals: "P" },
+  { bookmaker: "market-average", oneXTwo: "Avg", totals: "Avg" },
+];
+
+function csvOddsLines(row) {
+  const lines = [];
+  for (const { bookmaker, oneXTwo, totals } of CSV_BOOKMAKERS) {
+    const columns = [
+      ["oneXTwo", "home", `${oneXTwo}H`],
+      ["oneXTwo", "draw", `${oneXTwo}D`],
+      ["oneXTwo", "away", `${oneXTwo}A`],
+      ["over25", "over", `${totals}>2.5`],
+      ["over25", "under", `${totals}<2.5`],
+    ];
+    for (const [market, selection, column] of columns) {
+      if (row[column]) lines.push({ bookmaker, market, selection, price: Number(row[column]) });
+    }
+  }
+  return lines;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return [];
+  const headers = splitCsvLine(lines[0]).map((h) => h.replace(/^\uFEFF/, ""));
+
+  return lines.slice(1).map((line) => {
+    const cells = splitCsvLine(line);
+    const row = Object.fromEntries(headers.map((h, i) => [h, cells[i]]));
+    const pick = (...keys) => keys.map((k) => row[k]).find((v) => v !== undefined && v !== "");
+
+    const oddsH = pick("B365H", "AvgH", "PSH");
+    const odds = oddsH
+      ? { home: Number(oddsH), draw: Number(pick("B365D", "AvgD", "PSD")), away: Number(pick("B365A", "AvgA", "PSA")) }
+      : undefined;
+    const oddsLines = csvOddsLines(row);
+
+    return {
+      externalId: pick("id", "externalId", "match_id") || null,
+      league: pick("league", "League", "Div") || null,
+      leagueCode: pick("Div", "leagueCode") || null,
+      season: pick("Season", "season") || null,
+      matchDateUtc: parseCsvDate(pick("Date", "date"), pick("Time", "time")),
+      home: { name: pick("HomeTeam", "Home", "home", "home_team") || null },
+      away: { name: pick("AwayTeam", "Away", "away", "away_team") || null },
+      homeGoals: toGoals(pick("FTHG", "HG", "home_goals", "homeGoals")),
+      awayGoals: toGoals(pick("FTAG", "AG", "away_goals", "awayGoals")),
+      odds,
+      oddsLines: oddsLines.length ? oddsLines : undefined,
+    };
+  });
+}
+
+// Why a payload can't be parsed as `format`, or null when its shape fits
+function payloadError(format, payload) {
+  if (format === "csv") {
+    return typeof payload === "string" && payload.split(/\r?\n/)[0].includes(",") ? null : "Payload is not a CSV file with a header row";
+  }
+  const json = tryParseJSON(payload);
+  if (!json || typeof json !== "object") return "Payload is not valid JSON";
+  if (format === "openligadb" && !Array.isArray(json)) return "OpenLigaDB payload must be an array of matches";
+  if (format === "footballjson" && (Array.isArray(json) || !(Array.isArray(json.matches) || Array.isArray(json.rounds)))) {
+    return "football.json payload must have a matches or rounds array";
+  }
+  return null;
+}
+
+const PARSERS = {
+  footballjson: (payload) => parseFootballJson(tryParseJSON(payload)),
+  openligadb: (payload) => parseOpenLigaDb(tryParseJSON(payload)),
+  csv: (payload) => parseCsv(String(payload)),
+};
+
+/* ---------------- Persistence ---------------- */
+
+/**
+ * Resolve a team through the Team model (alias-aware), cached per import
+ */
+async function resolveCachedTeam(team, source, cache) {
+  const key = `${team.sourceId || ""}|${team.name}`;
+  if (!cache.has(key)) cache.set(key, await resolveTeam(team, source));
+  return cache.get(key);
+}
+
+/**
+ * Key for rows without an externalId. Hashes the resolved team ids, so "Man Utd" and
+ * "Manchester United FC" rows of the same fixture collide.
+ */
+function contentHash(source, row, homeTeamId, awayTeamId) {
+  const day = row.matchDateUtc.toISOString().split("T")[0];
+  return crypto
+    .createHash("sha1")
+    .update([source, day, String(homeTeamId), String(awayTeamId)].join("|"))
+    .digest("hex");
+}
+
+function validateRow(row) {
+  if (!row.home?.name || !row.away?.name) return "Missing team names";
+  if (!row.matchDateUtc || isNaN(row.matchDateUtc.getTime())) return "Invalid match date";
+  if (!Number.isInteger(row.homeGoals) || !Number.isInteger(row.awayGoals)) return "Missing final score";
+  return null;
+}
+
+/**
+ * Parse a history payload and idempotently upsert it into History.
+ * An unrecognised or malformed payload resolves to { format, skippedReason } without importing anything.
+ */
+async function importHistoryFromContent(payload, { format, source } = {}) {
+  const detected = format || detectFormat(payload);
+  // bad input is reported, not thrown, so callers can tell it apart from a failed import
+  if (!detected || !SUPPORTED_FORMATS.includes(detected)) {
+    return { format: format || null, skippedReason: `Unsupported or unrecognised history format${format ? `: ${format}` : ""}` };
+  }
+  const invalid = payloadError(detected, payload);
+  if (invalid) return { format: detected, skippedReason: invalid };
+  const src = source || detected;
+
+  const rows = PARSERS[detected](payload) || [];
+  const report = {
+    format: detected,
+    source: src,
+    total: rows.length,
+    inserted: 0,
+    updated: 0,
+    duplicates: 0,
+    rejected: 0,
+    errors: [],
+  };
+  const reject = (index, reason) => {
+    report.rejected++;
+    if (report.errors.length < MAX_REPORTED_ERRORS) report.errors.push({ row: index, reason });
+  };
+
+  const teamCache = new Map();
+  const seen = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const invalid = validateRow(row);
+    if (invalid) {
+      reject(index, invalid);
+      continue;
+    }
+
+    try {
+      const [homeTeam, awayTeam] = await Promise.all([
+        resolveCachedTeam(row.home, src, teamCache),
+        resolveCachedTeam(row.away, src, teamCache),
+      ]);
+
+      const hash = contentHash(src, row, homeTeam._id, awayTeam._id);
+      const key = row.externalId ? { source: src, externalId: row.externalId } : { contentHash: hash };
+      const seenKey = JSON.stringify(key);
+      if (seen.has(seenKey)) {
+        report.duplicates++;
+        continue;
+      }
+      seen.add(seenKey);
+
+      const doc = {
+        externalId: row.externalId || undefined,
+        source: src,
+        contentHash: hash,
+        league: row.league || undefined,
+        leagueCode: row.leagueCode || undefined,
+        season: seasonKey(row.season, row.matchDateUtc),
+        matchDateUtc: row.matchDateUtc,
+        status: "finished",
+        homeTeam: homeTeam._id,
+        awayTeam: awayTeam._id,
+        homeGoals: row.homeGoals,
+        awayGoals: row.awayGoals,
+        score: { home: row.homeGoals, away: row.awayGoals },
+      };
+      if (row.odds) doc.odds = row.odds;
+      if (row.oddsLines) doc.marketOdds = normalizeOdds(row.oddsLines);
+
+      const existing = await History.findOne(key).lean();
+      if (!existing) {
+        await History.create(doc);
+        report.inserted++;
+      } else if (
+        existing.homeGoals === doc.homeGoals &&
+        existing.awayGoals === doc.awayGoals &&
+        (existing.season || null) === doc.season &&
+        new Date(existing.matchDateUtc).getTime() === doc.matchDateUtc.getTime()
+      ) {
+        report.duplicates++;
+      } else {
+        await History.updateOne({ _id: existing._id }, { $set: doc });
+        report.updated++;
+      }
+    } catch (err) {
+      // a concurrent import inserted the same row first
+      if (err.code === 11000) report.duplicates++;
+      else reject(index, err.message || String(err));
+    }
+  }
+
+  if (report.inserted || report.updated) {
+    await markStandingsStale(rows.map((r) => r.league)).catch((err) =>
+      console.warn("⚠️ Could not mark standings stale:", err.message || err)
+    );
+  }
+
+  console.log(
+    `✅ History import (${detected}): ${report.inserted} inserted, ${report.updated} updated, ` +
+      `${report.duplicates} duplicates, ${report.rejected} rejected`
+  );
+  return report;
+}
+
+/**
+ * Download a history file and import it
+ */
+async function importHistoryFromUrl(url, options = {}) {
+  console.log("Importing history:", url);
+  const payload = await fetchText(url);
+  return importHistoryFromContent(payload, options);
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  detectFormat,
+  importHistoryFromUrl,
+  importHistoryFromContent,
+};
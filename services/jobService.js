@@ -0,0 +1,203 @@
+const os = require("os");
+const crypto = require("crypto");
+const JobRun = require("../models/JobRun");
+const JobLock = require("../models/JobLock");
+const { fetchAndStoreUpcomingMatches, generateAllPredictions } = require("./cronService");
+const { settlePendingPredictions } = require("./settlementService");
+const { importHistoryFromUrl } = require("./historyImportService");
+const { buildDailySlips, settlePendingSlips } = require("./slipService");
+const { syncUpcomingSquads } = require("./playerService");
+const { generateUpcomingSummaries } = require("./summaryService");
+const { publish } = require("./eventBus");
+
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+
+function list(value) {
+  return (value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * History import job: imports every URL in HISTORY_IMPORT_URLS
+ */
+async function importConfiguredHistory() {
+  const urls = list(process.env.HISTORY_IMPORT_URLS);
+  const report = { urls: urls.length, results: [] };
+  for (const url of urls) {
+    try {
+      report.results.push({ url, ...(await importHistoryFromUrl(url)) });
+    } catch (err) {
+      report.results.push({ url, error: err.message || String(err) });
+    }
+  }
+  return report;
+}
+
+// job name -> { run, lockMs }. run gets the caller's params; lockMs bounds how long a crashed run can hold the lock.
+const JOBS = {
+  "fetch-matches": { run: () => fetchAndStoreUpcomingMatches(), lockMs: 15 * 60 * 1000 },
+  "generate-predictions": { run: () => generateAllPredictions(), lockMs: 60 * 60 * 1000 },
+  "settle-predictions": {
+    run: async () => ({ ...(await settlePendingPredictions()), slips: await settlePendingSlips() }),
+    lockMs: 15 * 60 * 1000,
+  },
+  "import-history": { run: () => importConfiguredHistory(), lockMs: 60 * 60 * 1000 },
+  "build-slips": { run: (params) => buildDailySlips(params), lockMs: 15 * 60 * 1000 },
+  "sync-squads": { run: () => syncUpcomingSquads(), lockMs: 30 * 60 * 1000 },
+  "generate-summaries": { run: () => generateUpcomingSummaries(), lockMs: 30 * 60 * 1000 },
+};
+
+/**
+ * Take a job's lock if it is free or expired. Resolves to the run's lock token, or null when held.
+ */
+async function acquireLock(job, ttlMs) {
+  const now = new Date();
+  const token = crypto.randomUUID();
+  try {
+    await JobLock.findOneAndUpdate(
+      { _id: job, lockedUntil: { $lte: now } },
+      { $set: { owner: INSTANCE_ID, token, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return token;
+  } catch (err) {
+    // the upsert collides with the held lock's _id while it hasn't expired
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+async function renewLock(job, token, ttlMs) {
+  const res = await JobLock.updateOne({ _id: job, token }, { $set: { lockedUntil: new Date(Date.now() + ttlMs) } });
+  return res.matchedCount > 0;
+}
+
+async function releaseLock(job, token) {
+  await JobLock.deleteOne({ _id: job, token });
+}
+
+/**
+ * Run a job under its lock and record the run in JobRun. `params` are passed to the job (e.g. build-slips options).
+ * Resolves to the JobRun document; a run that couldn't take the lock is recorded as "skipped".
+ */
+async function runJob(job, { trigger = "api", triggeredBy = null, params } = {}) {
+  const def = JOBS[job];
+  if (!def) throw new Error(`Unknown job: ${job}`);
+
+  const run = new JobRun({ job, trigger, triggeredBy, params, instance: INSTANCE_ID, startedAt: new Date() });
+
+  const token = await acquireLock(job, def.lockMs);
+  if (!token) {
+    run.status = "skipped";
+    run.error = "Another run of this job is in progress";
+    run.finishedAt = new Date();
+    run.durationMs = 0;
+    await run.save();
+    console.warn(`⚠️ Job ${job} skipped: already running`);
+    return run;
+  }
+
+  // keep extending the lock while the job runs so a long run never outlives it
+  let heartbeat = null;
+  try {
+    await run.save();
+    heartbeat = setInterval(() => {
+      renewLock(job, token, def.lockMs)
+        .then((held) => held || console.warn(`⚠️ Lock for ${job} was lost while running`))
+        .catch((err) => console.warn(`⚠️ Failed to renew lock for ${job}:`, err.message || err));
+    }, Math.max(1000, Math.floor(def.lockMs / 3)));
+    heartbeat.unref();
+
+    run.result = await def.run(params);
+    run.status = "succeeded";
+  } catch (err) {
+    run.status = "failed";
+    run.error = err.message || String(err);
+    console.error(`❌ Job ${job} failed:`, run.error);
+  } finally {
+    clearInterval(heartbeat);
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    try {
+      await run.save();
+    } finally {
+      // the lock goes even when the run record can't be written
+      await releaseLock(job, token).catch((err) => console.warn(`⚠️ Failed to release lock for ${job}:`, err.message || err));
+    }
+  }
+
+  publish("job.finished", { job, runId: String(run._id), status: run.status, durationMs: run.durationMs, result: run.result });
+  return run;
+}
+
+/* ---------------- Scheduler ---------------- */
+
+const DEFAULT_SCHEDULES = {
+  "fetch-matches": "30m",
+  "generate-predictions": "1h",
+  "settle-predictions": "15m",
+  "import-history": "off",
+  "build-slips": "6h",
+  "sync-squads": "1d",
+  "generate-summaries": "1h",
+};
+
+function parseInterval(value) {
+  const m = String(value || "").trim().match(/^(\d+)\s*(s|m|h|d)$/);
+  if (!m) return null;
+  return Number(m[1]) * { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[m[2]];
+}
+
+/**
+ * Schedules from JOB_SCHEDULES, e.g. "fetch-matches=15m,import-history=1d,generate-predictions=off".
+ * Unlisted jobs keep their defaults.
+ */
+function loadSchedules(env = process.env) {
+  const schedules = { ...DEFAULT_SCHEDULES };
+  for (const entry of list(env.JOB_SCHEDULES)) {
+    const [job, interval] = entry.split("=").map((s) => s.trim());
+    if (JOBS[job]) schedules[job] = interval;
+  }
+  return Object.fromEntries(Object.entries(schedules).map(([job, interval]) => [job, parseInterval(interval)]));
+}
+
+const timers = new Map();
+
+/**
+ * Start running every scheduled job at its interval. Every instance may run the scheduler;
+ * the job lock makes sure only one of them executes a given job at a time.
+ */
+function startScheduler(schedules = loadSchedules()) {
+  for (const [job, intervalMs] of Object.entries(schedules)) {
+    if (!intervalMs || timers.has(job)) continue;
+    const timer = setInterval(() => {
+      runJob(job, { trigger: "schedule" }).catch((err) =>
+        console.error(`❌ Scheduled job ${job} crashed:`, err.message || err)
+      );
+    }, intervalMs);
+    timer.unref?.();
+    timers.set(job, { timer, intervalMs });
+  }
+  console.log(`⏱️ Scheduler started: ${[...timers.keys()].join(", ") || "no jobs enabled"}`);
+}
+
+function stopScheduler() {
+  for (const { timer } of timers.values()) clearInterval(timer);
+  timers.clear();
+}
+
+function getSchedulerStatus() {
+  return {
+    instance: INSTANCE_ID,
+    running: timers.size > 0,
+    jobs: Object.keys(JOBS).map((job) => ({ job, intervalMs: timers.get(job)?.intervalMs || null })),
+  };
+}
+
+module.exports = {
+  JOB_NAMES: Object.keys(JOBS),
+  runJob,
+  loadSchedules,
+  startScheduler,
+  stopScheduler,
+  getSchedulerStatus,
+};
@@ -0,0 +1,244 @@
+const Match = require("../models/Match");
+const { getConfiguredProviders } = require("./providers");
+const { buildIdentity, findCanonicalMatch } = require("./matchIdentityService");
+const { settleMatch } = require("./settlementService");
+const { recordResult } = require("./standingsService");
+const { ingestMatchLineups } = require("./playerService");
+const { publish } = require("./eventBus");
+const { normalizeTeamName } = require("../utils/teamName");
+const { MATCH_STATUS, UPCOMING_STATUSES, IN_PLAY_STATUSES, canTransition } = require("../utils/matchStatus");
+
+/**
+ * Live polling settings from the environment (all intervals in milliseconds)
+ */
+function loadLiveConfig(env = process.env) {
+  const num = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : fallback);
+  return {
+    enabled: env.LIVE_POLLING_ENABLED === "true",
+    liveIntervalMs: num(env.LIVE_POLL_INTERVAL_MS, 30 * 1000),
+    idleIntervalMs: num(env.LIVE_IDLE_INTERVAL_MS, 5 * 60 * 1000),
+    maxBackoffMs: num(env.LIVE_MAX_BACKOFF_MS, 10 * 60 * 1000),
+    preKickoffMs: num(env.LIVE_PRE_KICKOFF_MINUTES, 15) * 60 * 1000,
+    // a match still "live" this long after kickoff is assumed stuck and dropped from the watch list
+    maxMatchDurationMs: num(env.LIVE_MAX_MATCH_MINUTES, 180) * 60 * 1000,
+  };
+}
+
+const state = {
+  config: null,
+  timer: null,
+  running: false,
+  providers: [],
+  failures: {}, // consecutive failures per provider, drives the backoff
+  lastTickAt: null,
+  lastTick: null,
+};
+
+/**
+ * Matches worth polling: in play, or kicking off within the pre-kickoff window
+ */
+async function getWatchedMatches(config, now = new Date()) {
+  return Match.find({
+    $or: [
+      {
+        status: { $in: IN_PLAY_STATUSES },
+        matchDateUtc: { $gte: new Date(now.getTime() - config.maxMatchDurationMs) },
+      },
+      {
+        status: { $in: UPCOMING_STATUSES },
+        matchDateUtc: {
+          $gte: new Date(now.getTime() - config.maxMatchDurationMs),
+          $lte: new Date(now.getTime() + config.preKickoffMs),
+        },
+      },
+    ],
+  }).lean();
+}
+
+function goalKey(goal) {
+  return goal.externalId || `${goal.minute}|${goal.team}|${normalizeTeamName(goal.player)}`;
+}
+
+/**
+ * Append goals the match doesn't have yet, keeping existing entries untouched
+ */
+function mergeGoals(existing = [], incoming = []) {
+  const seen = new Set(existing.map(goalKey));
+  const added = incoming.filter((g) => !seen.has(goalKey(g)));
+  return { goals: [...existing, ...added], added };
+}
+
+/**
+ * Apply one provider row to its stored match. Returns what changed, or null if nothing did.
+ */
+async function applyLiveUpdate(match, row) {
+  const $set = {};
+  const changes = {};
+
+  if (canTransition(match.status, row.status)) {
+    $set.status = row.status;
+    changes.status = { from: match.status, to: row.status };
+  }
+
+  const ft = row.score?.ft;
+  const current = match.score?.ft;
+  if (ft && (!current || current.home !== ft.home || current.away !== ft.away)) {
+    $set.score = { ...(match.score || {}), ...Object.fromEntries(Object.entries(row.score).filter(([, v]) => v)) };
+    $set.homeGoals = ft.home;
+    $set.awayGoals = ft.away;
+    changes.score = ft;
+  }
+
+  const { goals, added } = mergeGoals(match.goals, row.goals);
+  if (added.length) {
+    $set.goals = goals;
+    changes.goals = added;
+  }
+
+  if (!Object.keys($set).length) return null;
+  $set.updatedAt = new Date();
+  const updated = await Match.findByIdAndUpdate(match._id, { $set }, { new: true }).lean();
+  publish(
+    "match.updated",
+    { matchId: String(updated._id), status: updated.status, score: updated.score, newGoals: changes.goals || [] },
+    { matchId: updated._id, league: updated.league }
+  );
+
+  if (changes.status?.to === MATCH_STATUS.FINISHED) {
+    await settleMatch(updated).catch((err) =>
+      console.warn(`⚠️ Settlement failed for match ${updated._id}:`, err.message || err)
+    );
+    await recordResult(updated).catch((err) =>
+      console.warn(`⚠️ Standings update failed for match ${updated._id}:`, err.message || err)
+    );
+    await ingestMatchLineups(updated).catch((err) =>
+      console.warn(`⚠️ Lineup ingestion failed for match ${updated._id}:`, err.message || err)
+    );
+  }
+  return { matchId: String(match._id), ...changes };
+}
+
+async function resolveRow(row) {
+  return findCanonicalMatch({
+    source: row.source,
+    externalId: row.externalId,
+    identity: buildIdentity(row.home?.name, row.away?.name, row.matchDateUtc),
+    matchDateUtc: row.matchDateUtc,
+  });
+}
+
+/**
+ * One polling pass over every provider. Returns the delay until the next pass.
+ */
+async function pollOnce() {
+  const config = state.config || loadLiveConfig();
+  const watched = await getWatchedMatches(config);
+  const tick = { at: new Date(), watched: watched.length, updated: [], errors: {} };
+
+  if (!watched.length) {
+    state.lastTickAt = tick.at;
+    state.lastTick = tick;
+    return config.idleIntervalMs;
+  }
+
+  const seen = new Set();
+  let delay = config.liveIntervalMs;
+  const watchedTeams = new Set(watched.map((m) => `${m.identity?.homeKey}|${m.identity?.awayKey}`));
+  const providers = state.providers.length ? state.providers : getConfiguredProviders();
+
+  for (const provider of providers) {
+    try {
+      let rows = await provider.fetchLiveScores();
+
+      // a watched in-play match missing from the live feed has probably finished: check results
+      const liveIds = new Set(rows.map((r) => r.externalId));
+      const dropped = watched.some(
+        (m) => IN_PLAY_STATUSES.includes(m.status) && m.sourceIds?.[provider.name] && !liveIds.has(m.sourceIds[provider.name])
+      );
+      if (dropped) rows = rows.concat(await provider.fetchResults({ days: 0 }));
+
+      // feeds carry every live match worldwide; only resolve the ones we're watching
+      const watchedIds = new Set(watched.map((m) => m.sourceIds?.[provider.name]).filter(Boolean));
+      rows = rows.filter((r) =>
+        watchedIds.has(r.externalId) ||
+        watchedTeams.has(`${normalizeTeamName(r.home?.name)}|${normalizeTeamName(r.away?.name)}`)
+      );
+
+      for (const row of rows) {
+        const match = await resolveRow(row);
+        if (!match || seen.has(String(match._id))) continue;
+        seen.add(String(match._id));
+
+        const change = await applyLiveUpdate(match.toObject ? match.toObject() : match, row);
+        if (change) tick.updated.push(change);
+      }
+      state.failures[provider.name] = 0;
+    } catch (err) {
+      const failures = (state.failures[provider.name] || 0) + 1;
+      state.failures[provider.name] = failures;
+      tick.errors[provider.name] = err.message || String(err);
+      delay = Math.max(delay, Math.min(config.liveIntervalMs * 2 ** failures, config.maxBackoffMs));
+      console.warn(`⚠️ Live poll failed for ${provider.name} (${failures} in a row), backing off:`, err.message || err);
+    }
+  }
+
+  if (tick.updated.length) console.log(`✅ Live: ${tick.updated.length} match(es) updated`);
+  state.lastTickAt = tick.at;
+  state.lastTick = tick;
+  return delay;
+}
+
+function schedule(delay) {
+  if (!state.running) return;
+  state.timer = setTimeout(async () => {
+    let next;
+    try {
+      next = await pollOnce();
+    } catch (err) {
+      console.error("❌ Live poll crashed:", err.message || err);
+      next = state.config.maxBackoffMs;
+    }
+    schedule(next);
+  }, delay);
+  // don't keep the process alive just for polling
+  state.timer.unref?.();
+}
+
+/**
+ * Start the live polling loop (no-op if already running)
+ */
+function startLivePolling(config = loadLiveConfig()) {
+  if (state.running) return;
+  state.config = config;
+  state.providers = getConfiguredProviders();
+  state.failures = {};
+  state.running = true;
+  console.log(`📡 Live polling started (${config.liveIntervalMs}ms live / ${config.idleIntervalMs}ms idle)`);
+  schedule(0);
+}
+
+function stopLivePolling() {
+  state.running = false;
+  if (state.timer) clearTimeout(state.timer);
+  state.timer = null;
+}
+
+function getLiveStatus() {
+  return {
+    running: state.running,
+    config: state.config,
+    failures: state.failures,
+    lastTickAt: state.lastTickAt,
+    lastTick: state.lastTick,
+  };
+}
+
+module.exports = {
+  loadLiveConfig,
+  mergeGoals,
+  applyLiveUpdate,
+  pollOnce,
+  startLivePolling,
+  stopLivePolling,
+  getLiveStatus,
+};
@@ -0,0 +1,221 @@
+const crypto = require("crypto");
+const Match = require("../models/Match");
+const Prediction = require("../models/Prediction");
+const Slip = require("../models/Slip");
+const Appearance = require("../models/Appearance");
+const MatchSummary = require("../models/MatchSummary");
+const AiCall = require("../models/AiCall");
+const { summarizeLegs } = require("./slipService");
+const { normalizeTeamName } = require("../utils/teamName");
+
+// How far apart two kickoffs can be and still be the same fixture (reschedules, timezone slips)
+const KICKOFF_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+/**
+ * Canonical identity for a fixture: normalised team keys plus a content hash of
+ * teams and kickoff day, so the same match from different providers collapses to one document.
+ */
+function buildIdentity(homeName, awayName, matchDateUtc) {
+  const homeKey = normalizeTeamName(homeName);
+  const awayKey = normalizeTeamName(awayName);
+  const day = matchDateUtc ? new Date(matchDateUtc).toISOString().split("T")[0] : "tbd";
+  const hash = crypto.createHash("sha1").update(`${homeKey}|${awayKey}|${day}`).digest("hex");
+  return { homeKey, awayKey, hash };
+}
+
+/**
+ * Find the existing Match a provider row refers to.
+ * 1. exact provider id mapping (sourceIds.<source>)
+ * 2. same normalised teams (or Team ids) with a kickoff inside the window, closest first,
+ *    ignoring matches already mapped to a different id from the same provider
+ */
+async function findCanonicalMatch({ source, externalId, homeTeamId, awayTeamId, identity, matchDateUtc }) {
+  if (source && externalId) {
+    const byId = await Match.findOne({ [`sourceIds.${source}`]: externalId });
+    if (byId) return byId;
+  }
+  if (!matchDateUtc) return Match.findOne({ "identity.hash": identity.hash });
+
+  const kickoff = new Date(matchDateUtc).getTime();
+  const teamClauses = [{ "identity.homeKey": identity.homeKey, "identity.awayKey": identity.awayKey }];
+  if (homeTeamId && awayTeamId) teamClauses.push({ "homeTeam.id": homeTeamId, "awayTeam.id": awayTeamId });
+
+  const candidates = await Match.find({
+    matchDateUtc: { $gte: new Date(kickoff - KICKOFF_WINDOW_MS), $lte: new Date(kickoff + KICKOFF_WINDOW_MS) },
+    $or: teamClauses,
+  });
+
+  return candidates
+    .filter((c) => !(source && externalId && c.sourceIds?.get(source) && c.sourceIds.get(source) !== externalId))
+    .sort((a, b) => Math.abs(a.matchDateUtc - kickoff) - Math.abs(b.matchDateUtc - kickoff))[0] || null;
+}
+
+/**
+ * Group matches that look like the same fixture (same normalised teams, kickoffs within the window)
+ */
+async function findDuplicateMatches({ from, to } = {}) {
+  const filter = {};
+  if (from || to) {
+    filter.matchDateUtc = {};
+    if (from) filter.matchDateUtc.$gte = from;
+    if (to) filter.matchDateUtc.$lte = to;
+  }
+
+  const matches = await Match.find(filter, {
+    homeTeam: 1, awayTeam: 1, matchDateUtc: 1, sourceIds: 1, status: 1, league: 1, createdAt: 1,
+  })
+    .sort({ matchDateUtc: 1 })
+    .lean();
+
+  const byTeams = new Map();
+  for (const m of matches) {
+    const key = `${normalizeTeamName(m.homeTeam?.name)}|${normalizeTeamName(m.awayTeam?.name)}`;
+    if (!byTeams.has(key)) byTeams.set(key, []);
+    byTeams.get(key).push(m);
+  }
+
+  const groups = [];
+  for (const list of byTeams.values()) {
+    let cluster = [list[0]];
+    for (const m of list.slice(1)) {
+      const prev = cluster[cluster.length - 1];
+      if (m.matchDateUtc && prev.matchDateUtc && m.matchDateUtc - prev.matchDateUtc <= KICKOFF_WINDOW_MS) {
+        cluster.push(m);
+      } else {
+        if (cluster.length > 1) groups.push(cluster);
+        cluster = [m];
+      }
+    }
+    if (cluster.length > 1) groups.push(cluster);
+  }
+  return groups;
+}
+
+/**
+ * Move everything that references the duplicates onto the survivor: predictions, slip legs (one per slip),
+ * AI calls, player appearances (one per player) and the AI summary (the survivor's own wins)
+ */
+async function repointReferences(survivorId, dupIds) {
+  const moved = {};
+  moved.predictions = (await Prediction.updateMany({ matchId: { $in: dupIds } }, { $set: { matchId: survivorId } })).modifiedCount;
+
+  // legs must come from different matches: a slip with legs on several of the merged matches keeps one,
+  // the survivor's own if it has one, and its combined odds are recomputed
+  const mergedIds = [survivorId, ...dupIds].map(String);
+  moved.slips = 0;
+  for (const slip of await Slip.find({ "legs.matchId": { $in: dupIds } })) {
+    const onMerged = slip.legs.filter((l) => mergedIds.includes(String(l.matchId)));
+    const keep = onMerged.find((l) => String(l.matchId) === String(survivorId)) || onMerged[0];
+    keep.matchId = survivorId;
+    if (onMerged.length > 1) {
+      slip.legs = slip.legs.filter((l) => l === keep || !onMerged.includes(l));
+      Object.assign(slip, summarizeLegs(slip.legs));
+    }
+    await slip.save();
+    moved.slips++;
+  }
+  moved.aiCalls = (await AiCall.updateMany({ matchId: { $in: dupIds } }, { $set: { matchId: survivorId } })).modifiedCount;
+
+  // { match, player } is unique: a player already on the survivor keeps that appearance
+  moved.appearances = 0;
+  for (const dupId of dupIds) {
+    const players = await Appearance.distinct("player", { match: survivorId });
+    await Appearance.deleteMany({ match: dupId, player: { $in: players } });
+    moved.appearances += (await Appearance.updateMany({ match: dupId }, { $set: { match: survivorId } })).modifiedCount;
+  }
+
+  // matchId is unique on summaries too
+  moved.summaries = 0;
+  if (!(await MatchSummary.exists({ matchId: survivorId }))) {
+    const summary = await MatchSummary.findOne({ matchId: { $in: dupIds } }).sort({ generatedAt: -1 }).lean();
+    if (summary) {
+      await MatchSummary.updateOne({ _id: summary._id }, { $set: { matchId: survivorId } });
+      moved.summaries = 1;
+    }
+  }
+  await MatchSummary.deleteMany({ matchId: { $in: dupIds } });
+  return moved;
+}
+
+/**
+ * Merge duplicate matches into a survivor: provider id mappings and missing fields are copied over,
+ * every reference to a duplicate is moved, and the duplicates are deleted last.
+ * Each step is safe to repeat and nothing is lost in between, so a merge interrupted half-way can simply be run again.
+ */
+async function mergeMatches(survivorId, duplicateIds) {
+  const survivor = await Match.findById(survivorId);
+  if (!survivor) throw new Error("Survivor match not found");
+
+  const ids = duplicateIds.map(String).filter((id) => id !== String(survivor._id));
+  const duplicates = await Match.find({ _id: { $in: ids } });
+  if (duplicates.length !== ids.length) throw new Error("One or more duplicate matches not found");
+  const dupIds = duplicates.map((d) => d._id);
+
+  // provider ids the survivor takes over; a rerun finds them parked in mergedSourceIds
+  const takeover = {};
+  for (const dup of duplicates) {
+    for (const [source, externalId] of [...(dup.sourceIds || []), ...(dup.mergedSourceIds || [])]) {
+      if (!survivor.sourceIds?.get(source) && !takeover[source]) takeover[source] = externalId;
+    }
+    if (!survivor.score?.ft && dup.score?.ft) {
+      survivor.score = dup.score;
+      survivor.homeGoals = dup.homeGoals;
+      survivor.awayGoals = dup.awayGoals;
+    }
+    for (const field of ["league", "league_id", "season", "country", "stage", "venue", "odds", "stats"]) {
+      if (survivor.get(field) == null && dup.get(field) != null) survivor.set(field, dup.get(field));
+    }
+    if (!survivor.marketOdds?.length && dup.marketOdds?.length) {
+      survivor.marketOdds = dup.marketOdds;
+      survivor.oddsUpdatedAt = dup.oddsUpdatedAt;
+    }
+  }
+
+  // the survivor is saved first; the provider ids it takes over are still unique-indexed on the duplicates,
+  // so those are parked in the unindexed mergedSourceIds (never dropped) before the survivor claims them
+  survivor.updatedAt = new Date();
+  await survivor.save();
+  if (Object.keys(takeover).length) {
+    await Match.updateMany(
+      { _id: { $in: dupIds }, mergedSourceIds: { $exists: false } },
+      { $rename: { sourceIds: "mergedSourceIds" } }
+    );
+    for (const [source, externalId] of Object.entries(takeover)) survivor.set(`sourceIds.${source}`, externalId);
+    await survivor.save();
+  }
+
+  const moved = await repointReferences(survivor._id, dupIds);
+  await Match.deleteMany({ _id: { $in: dupIds } });
+
+  console.log(
+    `✅ Merged ${duplicates.length} duplicate(s) into match ${survivor._id}, moved ${moved.predictions} prediction(s), ` +
+      `${moved.slips} slip(s), ${moved.appearances} appearance(s), ${moved.aiCalls} AI call(s)`
+  );
+  return { survivorId: String(survivor._id), merged: dupIds.map(String), predictionsMoved: moved.predictions, moved };
+}
+
+/**
+ * Merge every detected duplicate group, keeping the oldest document in each
+ */
+async function mergeAllDuplicates(opts = {}) {
+  const groups = await findDuplicateMatches(opts);
+  const results = [];
+  for (const group of groups) {
+    const [survivor, ...rest] = [...group].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    try {
+      results.push(await mergeMatches(survivor._id, rest.map((m) => m._id)));
+    } catch (err) {
+      results.push({ survivorId: String(survivor._id), error: err.message || String(err) });
+    }
+  }
+  return { groups: groups.length, results };
+}
+
+module.exports = {
+  KICKOFF_WINDOW_MS,
+  buildIdentity,
+  findCanonicalMatch,
+  findDuplicateMatches,
+  mergeMatches,
+  mergeAllDuplicates,
+};
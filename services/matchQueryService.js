@@ -0,0 +1,135 @@
+// services/matchQueryService.js
+// Match list queries shared by the list endpoints: filters from a validated list query
+// (utils/listQuery) and one paginated page of matches with their predictions.
+const mongoose = require("mongoose");
+const Match = require("../models/Match");
+const Prediction = require("../models/Prediction");
+const Team = require("../models/Team");
+const { leagueNames } = require("./standingsService");
+const { normalizeTeamName } = require("../utils/teamName");
+const { paginate } = require("../utils/listQuery");
+
+/**
+ * Team ids for a team filter: an id, or a name resolved through Team.aliases
+ */
+async function resolveTeamIds(team) {
+  if (mongoose.isValidObjectId(team)) return [new mongoose.Types.ObjectId(team)];
+  const teams = await Team.find({ aliases: normalizeTeamName(team) }, { _id: 1 }).lean();
+  return teams.map((t) => t._id);
+}
+
+function predictionFilter({ bucket, minConfidence }) {
+  const filter = {};
+  if (bucket) filter.bucket = bucket;
+  if (minConfidence !== undefined) filter.confidence = { $gte: minConfidence };
+  return filter;
+}
+
+/**
+ * Aggregation stages keeping only matches with a prediction that passes bucket/minConfidence, or null
+ * when neither is set. Each match looks up at most one qualifying prediction through { matchId, createdAt }.
+ */
+function predictionStages(query) {
+  if (!query.bucket && query.minConfidence === undefined) return null;
+  return [
+    {
+      $lookup: {
+        from: Prediction.collection.name,
+        let: { matchId: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$matchId", "$$matchId"] }, ...predictionFilter(query) } },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "qualifying",
+      },
+    },
+    { $match: { "qualifying.0": { $exists: true } } },
+    { $project: { qualifying: 0 } },
+  ];
+}
+
+/**
+ * Match filter from list query fields. bucket/minConfidence are applied by predictionStages, not here.
+ * `league` takes a league name or a competition id from /api/leagues.
+ */
+async function buildMatchFilter(query) {
+  const filter = {};
+  if (query.status) filter.status = { $in: query.status };
+  if (query.country) filter.country = query.country;
+  if (query.league) filter.league = { $in: [query.league, ...(await leagueNames(query.league))] };
+  if (query.season) filter.season = query.season;
+  if (query.from || query.to) {
+    filter.matchDateUtc = {};
+    if (query.from) filter.matchDateUtc.$gte = query.from;
+    if (query.to) filter.matchDateUtc.$lte = query.to;
+  }
+  if (query.team) {
+    const ids = await resolveTeamIds(query.team);
+    filter.$or = [
+      { "homeTeam.id": { $in: ids } },
+      { "awayTeam.id": { $in: ids } },
+      { "homeTeam.name": query.team },
+      { "awayTeam.name": query.team },
+    ];
+  }
+  return filter;
+}
+
+/**
+ * One page of matches for a list query, with their predictions (only the qualifying ones
+ * when filtering by bucket/minConfidence). `base` fields override the query's own filters.
+ */
+async function listMatches(query, base = {}) {
+  const filter = { ...(await buildMatchFilter(query)), ...base };
+  const { items, pagination } = await paginate(Match, filter, { ...query, pipeline: predictionStages(query) });
+  const predictions = items.length
+    ? await Prediction.find({ matchId: { $in: items.map((m) => m._id) }, ...predictionFilter(query) })
+        .sort({ createdAt: -1 })
+        .lean()
+    : [];
+  return { matches: items, predictions, pagination };
+}
+
+// Fields formatMatch needs; the heavy provider payloads stay in the database
+const PREDICTION_FIELDS = { matchId: 1, bucket: 1, bucketReason: 1, pick: 1, confidence: 1, outcomes: 1, edges: 1, status: 1, settledAt: 1, "settlement.markets": 1, createdAt: 1 };
+const MATCH_EXCLUDED_FIELDS = { rawMatch: 0, events: 0, odds: 0, marketOdds: 0, stats: 0, lineups: 0, substitutions: 0, injuries: 0, h2h: 0, history: 0, goals: 0 };
+
+/**
+ * The `perBucket` matches with the newest predictions in each bucket, newest first, as
+ * { bucket, match, predictions } in one aggregation. Each bucket reads only its newest
+ * `scan` predictions through the { bucket, createdAt } index, so the cost doesn't grow with history.
+ */
+async function latestByBucket(buckets, { perBucket = 5, scan = perBucket * 10 } = {}) {
+  const pipelineFor = (bucket) => [
+    { $match: { bucket } },
+    { $sort: { createdAt: -1 } },
+    { $limit: scan },
+    { $project: PREDICTION_FIELDS },
+    { $group: { _id: "$matchId", bucket: { $first: "$bucket" }, latestAt: { $first: "$createdAt" }, predictions: { $push: "$$ROOT" } } },
+    { $sort: { latestAt: -1 } },
+    {
+      $lookup: {
+        from: Match.collection.name,
+        let: { matchId: "$_id" },
+        pipeline: [{ $match: { $expr: { $eq: ["$_id", "$$matchId"] } } }, { $project: MATCH_EXCLUDED_FIELDS }],
+        as: "match",
+      },
+    },
+    { $unwind: "$match" }, // drops predictions whose match was deleted
+    { $limit: perBucket },
+  ];
+
+  const [first, ...rest] = buckets;
+  return Prediction.aggregate([
+    ...pipelineFor(first),
+    ...rest.map((bucket) => ({ $unionWith: { coll: Prediction.collection.name, pipeline: pipelineFor(bucket) } })),
+    { $project: { _id: 0, bucket: 1, match: 1, predictions: 1 } },
+  ]);
+}
+
+module.exports = {
+  buildMatchFilter,
+  listMatches,
+  latestByBucket,
+};
@@ -0,0 +1,166 @@
+// services/oddsService.js
+// Bookmaker odds normalisation: overround removal, market consensus and model edge.
+
+// Markets and selections use the same names as Prediction outcomes / settlement markets
+const MARKET_SELECTIONS = {
+  oneXTwo: ["home", "draw", "away"],
+  doubleChance: ["homeOrDraw", "homeOrAway", "drawOrAway"],
+  over05: ["over", "under"],
+  over15: ["over", "under"],
+  over25: ["over", "under"],
+  btts: ["yes", "no"],
+};
+
+// Double chance selections each cover two outcomes, so a fair book sums to 2, not 1
+const FAIR_BOOK_TOTAL = { doubleChance: 2 };
+
+function round(n, digits = 4) {
+  return Number(n.toFixed(digits));
+}
+
+/**
+ * Validate odds lines ({ bookmaker, market, selection, price }) and attach, per bookmaker and market,
+ * the overround and the implied probabilities with the overround removed (proportional method).
+ * Incomplete markets keep their prices but get no implied probabilities. Later duplicates win.
+ */
+function normalizeOdds(lines) {
+  const groups = new Map();
+  for (const line of lines || []) {
+    const price = Number(line?.price);
+    const selections = MARKET_SELECTIONS[line?.market];
+    if (!line?.bookmaker || !selections || !selections.includes(line.selection)) continue;
+    if (!Number.isFinite(price) || price <= 1) continue;
+
+    const bookmaker = String(line.bookmaker).trim().toLowerCase();
+    const key = `${bookmaker}|${line.market}`;
+    if (!groups.has(key)) groups.set(key, { bookmaker, market: line.market, prices: {} });
+    groups.get(key).prices[line.selection] = price;
+  }
+
+  const normalized = [];
+  for (const { bookmaker, market, prices } of groups.values()) {
+    const complete = MARKET_SELECTIONS[market].every((s) => prices[s]);
+    const book = Object.values(prices).reduce((sum, p) => sum + 1 / p, 0);
+    const fair = FAIR_BOOK_TOTAL[market] || 1;
+
+    for (const [selection, price] of Object.entries(prices)) {
+      normalized.push({
+        bookmaker,
+        market,
+        selection,
+        price,
+        implied: complete ? round((1 / price) / (book / fair)) : null,
+        overround: complete ? round(book / fair - 1) : null,
+      });
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Per market and selection: the best price on offer and the average overround-free probability
+ * across bookmakers. Shape: { [market]: { [selection]: { odds, bookmaker, implied, bookmakers } } }
+ */
+function marketConsensus(lines) {
+  const consensus = {};
+  for (const line of lines || []) {
+    const market = (consensus[line.market] = consensus[line.market] || {});
+    const entry = (market[line.selection] = market[line.selection] || {
+      odds: null,
+      bookmaker: null,
+      impliedSum: 0,
+      bookmakers: 0,
+    });
+
+    if (entry.odds === null || line.price > entry.odds) {
+      entry.odds = line.price;
+      entry.bookmaker = line.bookmaker;
+    }
+    if (typeof line.implied === "number") {
+      entry.impliedSum += line.implied;
+      entry.bookmakers++;
+    }
+  }
+
+  for (const selections of Object.values(consensus)) {
+    for (const [selection, e] of Object.entries(selections)) {
+      selections[selection] = {
+        odds: e.odds,
+        bookmaker: e.bookmaker,
+        implied: e.bookmakers ? round(e.impliedSum / e.bookmakers) : null,
+        bookmakers: e.bookmakers,
+      };
+    }
+  }
+  return consensus;
+}
+
+/**
+ * Model probability for every selection of every market the outcomes cover
+ */
+function modelProbabilities(outcomes) {
+  const o = outcomes || {};
+  const probs = {};
+  const num = (v) => (typeof v === "number" ? v : null);
+
+  if (o.oneXTwo) probs.oneXTwo = { home: num(o.oneXTwo.home), draw: num(o.oneXTwo.draw), away: num(o.oneXTwo.away) };
+  if (o.doubleChance) {
+    probs.doubleChance = {
+      homeOrDraw: num(o.doubleChance.homeOrDraw),
+      homeOrAway: num(o.doubleChance.homeOrAway),
+      drawOrAway: num(o.doubleChance.drawOrAway),
+    };
+  }
+  for (const market of ["over05", "over15", "over25"]) {
+    if (typeof o[market] === "number") probs[market] = { over: o[market], under: 1 - o[market] };
+  }
+  if (typeof o.bttsYes === "number") {
+    probs.btts = { yes: o.bttsYes, no: typeof o.bttsNo === "number" ? o.bttsNo : 1 - o.bttsYes };
+  }
+  return probs;
+}
+
+/**
+ * Edge (model probability minus market implied probability) for every selection that has both,
+ * best edge first. Lines are normalised odds lines, e.g. Match.marketOdds.
+ */
+function computeEdges(outcomes, lines) {
+  const consensus = marketConsensus(lines);
+  const edges = [];
+
+  for (const [market, selections] of Object.entries(modelProbabilities(outcomes))) {
+    for (const [selection, probability] of Object.entries(selections)) {
+      const quote = consensus[market]?.[selection];
+      if (probability === null || !quote || quote.implied === null) continue;
+      edges.push({
+        market,
+        selection,
+        probability: round(probability),
+        implied: quote.implied,
+        odds: quote.odds,
+        bookmaker: quote.bookmaker,
+        edge: round(probability - quote.implied),
+      });
+    }
+  }
+  return edges.sort((a, b) => b.edge - a.edge);
+}
+
+/**
+ * Best decimal price for a market selection across bookmakers, or null
+ */
+function bestPrice(lines, market, selection) {
+  let best = null;
+  for (const line of lines || []) {
+    if (line.market === market && line.selection === selection && (best === null || line.price > best)) best = line.price;
+  }
+  return best;
+}
+
+module.exports = {
+  MARKET_SELECTIONS,
+  normalizeOdds,
+  marketConsensus,
+  computeEdges,
+  bestPrice,
+};
@@ -0,0 +1,154 @@
+// services/playerService.js
+// Player ingestion: squads with season stats from providers that offer them, and per-match
+// appearances built from a match's lineups and substitutions.
+const Player = require("../models/Player");
+const Appearance = require("../models/Appearance");
+const Team = require("../models/Team");
+const Match = require("../models/Match");
+const { getConfiguredProviders } = require("./providers");
+const { UPCOMING_STATUSES } = require("../utils/matchStatus");
+
+const FULL_TIME_MINUTE = 90;
+
+/**
+ * Find a player by provider id, Goalserve numeric id, or name within the team, and create or update it.
+ * `stats` (season stats, Player field names) are only written by squad syncs.
+ */
+async function upsertPlayer({ source, sourceId, name, number, position, age, injured, stats }, teamId) {
+  if (!name) return null;
+  const numericId = source === "goalserve" && /^\d+$/.test(sourceId || "") ? Number(sourceId) : null;
+
+  let doc = source && sourceId ? await Player.findOne({ [`sourceIds.${source}`]: sourceId }) : null;
+  if (!doc && numericId !== null) doc = await Player.findOne({ playerId: numericId });
+  if (!doc && teamId) doc = await Player.findOne({ team: teamId, name });
+
+  const fields = { name };
+  if (teamId) fields.team = teamId;
+  if (number !== null && number !== undefined) fields.number = number;
+  if (position) fields.position = position;
+  if (age) fields.age = age;
+  if (typeof injured === "boolean") fields.injured = injured;
+  if (numericId !== null) fields.playerId = numericId;
+  if (stats) Object.assign(fields, stats, { statsUpdatedAt: new Date() });
+
+  if (!doc) {
+    return Player.create({ ...fields, sourceIds: source && sourceId ? { [source]: sourceId } : undefined });
+  }
+  const $set = { ...fields };
+  if (source && sourceId) $set[`sourceIds.${source}`] = sourceId;
+  return Player.findByIdAndUpdate(doc._id, { $set }, { new: true });
+}
+
+function samePlayer(ref, player) {
+  if (!ref) return false;
+  if (ref.sourceId && player.sourceId) return ref.sourceId === player.sourceId;
+  return !!ref.name && ref.name.trim().toLowerCase() === String(player.name).trim().toLowerCase();
+}
+
+/**
+ * Appearance fields for every usable entry of a match's normalised lineups
+ * ({ side, role, sourceId, name, number, position }) and substitutions. Entries without a name or side are dropped.
+ */
+function lineupAppearances(match) {
+  const lineups = (match.lineups || []).filter((p) => p && p.name && ["home", "away"].includes(p.side));
+  const subs = match.substitutions || [];
+
+  return lineups.map((entry) => {
+    const cameOn = subs.find((s) => s.side === entry.side && samePlayer(s.on, entry));
+    const wentOff = subs.find((s) => s.side === entry.side && samePlayer(s.off, entry));
+    const minuteOn = entry.role === "starter" ? 0 : cameOn ? cameOn.minute : null;
+    const minuteOff = wentOff ? wentOff.minute : null;
+    return {
+      entry,
+      side: entry.side,
+      role: entry.role === "bench" ? "bench" : "starter",
+      number: entry.number ?? null,
+      position: entry.position || null,
+      minuteOn,
+      minuteOff,
+      minutesPlayed: minuteOn === null ? 0 : Math.max(0, (minuteOff ?? FULL_TIME_MINUTE) - minuteOn),
+    };
+  });
+}
+
+/**
+ * Upsert Players and Appearances for a stored match from its lineups (see lineupAppearances)
+ */
+async function ingestMatchLineups(match) {
+  const report = { players: 0, appearances: 0 };
+
+  for (const { entry, ...appearance } of lineupAppearances(match)) {
+    const teamId = entry.side === "home" ? match.homeTeam?.id : match.awayTeam?.id;
+    const player = await upsertPlayer({ ...entry, source: match.source }, teamId);
+    if (!player) continue;
+    report.players++;
+
+    await Appearance.updateOne(
+      { match: match._id, player: player._id },
+      {
+        $set: {
+          ...appearance,
+          team: teamId || null,
+          number: appearance.number ?? undefined,
+          position: appearance.position || undefined,
+        },
+      },
+      { upsert: true }
+    );
+    report.appearances++;
+  }
+  return report;
+}
+
+function teamSourceId(team, providerName) {
+  const fromMap = team.sourceIds?.get ? team.sourceIds.get(providerName) : team.sourceIds?.[providerName];
+  if (fromMap) return fromMap;
+  return providerName === "goalserve" && team.team_id ? String(team.team_id) : null;
+}
+
+/**
+ * Refresh squads (players + season stats) of every team playing in the next `days` days,
+ * from each configured provider that supports fetchSquad
+ */
+async function syncUpcomingSquads({ days = 3, providers = getConfiguredProviders() } = {}) {
+  const squadProviders = providers.filter((p) => typeof p.fetchSquad === "function");
+  const now = new Date();
+  const matches = await Match.find(
+    {
+      status: { $in: UPCOMING_STATUSES },
+      matchDateUtc: { $gte: now, $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) },
+    },
+    { "homeTeam.id": 1, "awayTeam.id": 1 }
+  ).lean();
+  const teamIds = [...new Set(matches.flatMap((m) => [m.homeTeam?.id, m.awayTeam?.id]).filter(Boolean).map(String))];
+  const teams = await Team.find({ _id: { $in: teamIds } }).lean();
+
+  const report = { teams: teams.length, synced: 0, players: 0, failures: 0, providers: squadProviders.map((p) => p.name) };
+  for (const team of teams) {
+    for (const provider of squadProviders) {
+      const sourceId = teamSourceId(team, provider.name);
+      if (!sourceId) continue;
+      try {
+        const squad = await provider.fetchSquad(sourceId);
+        for (const p of squad) {
+          if (await upsertPlayer({ ...p, source: provider.name }, team._id)) report.players++;
+        }
+        report.synced++;
+        break; // first provider with a squad wins
+      } catch (err) {
+        console.warn(`⚠️ Squad sync failed for ${team.name} (${provider.name}):`, err.message || err);
+        report.failures++;
+      }
+    }
+  }
+
+  console.log(`✅ Squads synced for ${report.synced}/${report.teams} teams (${report.players} players)`);
+  return report;
+}
+
+module.exports = {
+  lineupAppearances,
+  upsertPlayer,
+  ingestMatchLineups,
+  syncUpcomingSquads,
+};
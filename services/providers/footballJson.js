@@ -0,0 +1,95 @@
+// services/providers/footballJson.js
+const { MATCH_STATUS } = require("../../utils/matchStatus");
+
+const DEFAULT_BASE_URL = "https://raw.githubusercontent.com/openfootball/football.json/master";
+
+function parseTeam(team) {
+  const t = typeof team === "string" ? { name: team } : team || {};
+  return {
+    name: t.name || null,
+    shortName: null,
+    code: t.code || null,
+    country: null,
+    logoUrl: null,
+    sourceId: t.key || null,
+  };
+}
+
+function pair(arr) {
+  return Array.isArray(arr) && arr.length === 2 ? { home: arr[0], away: arr[1] } : null;
+}
+
+/**
+ * Parse a football.json league file (e.g. "2024-25/en.1.json") into normalized matches.
+ * football.json is a static dataset, so a match without a score is treated as scheduled.
+ */
+function parseFootballJsonMatches(json, { feed = null } = {}) {
+  if (!json) return [];
+  const season = feed ? feed.split("/")[0] : null;
+  const matches = Array.isArray(json.matches)
+    ? json.matches
+    : (json.rounds || []).flatMap((r) => (r.matches || []).map((m) => ({ round: r.name, ...m })));
+
+  return matches.map((m) => {
+    const ft = pair(m.score?.ft) || (Number.isInteger(m.score1) ? { home: m.score1, away: m.score2 } : null);
+    const home = parseTeam(m.team1);
+    const away = parseTeam(m.team2);
+    const matchDateUtc = m.date ? new Date(`${m.date}T${(m.time || "00:00").slice(0, 5)}:00Z`) : null;
+
+    return {
+      source: "footballjson",
+      // the dataset has no stable ids, so derive one from the feed, date and teams
+      externalId: feed && m.date ? `${feed}:${m.date}:${home.name}:${away.name}` : null,
+      league: json.name || null,
+      leagueId: feed ? feed.split("/")[1] : null,
+      country: null,
+      season,
+      stage: m.round || null,
+      matchDateUtc,
+      status: ft ? MATCH_STATUS.FINISHED : MATCH_STATUS.SCHEDULED,
+      rawStatus: null,
+      home,
+      away,
+      score: { ft, ht: pair(m.score?.ht), et: pair(m.score?.et), pen: pair(m.score?.p) },
+      rawScores: {},
+      rawMatch: m,
+    };
+  });
+}
+
+/**
+ * football.json adapter. Feeds are "<season>/<league>" paths such as "2024-25/en.1".
+ * It has no live data, so fetchLiveScores always returns an empty list.
+ */
+function createFootballJsonProvider({ feeds = [], baseUrl = DEFAULT_BASE_URL, transport }) {
+  if (!feeds.length) throw new Error("football.json provider requires FOOTBALLJSON_FEEDS");
+
+  async function fetchAll() {
+    const results = await Promise.all(
+      feeds.map(async (feed) => {
+        const json = await transport.get(`${baseUrl}/${feed}.json`, { key: `footballjson/${feed.replace("/", "_")}` });
+        return parseFootballJsonMatches(json, { feed });
+      })
+    );
+    return results.flat();
+  }
+
+  return {
+    name: "footballjson",
+    async fetchFixtures() {
+      const now = new Date();
+      return (await fetchAll()).filter((m) => m.status === MATCH_STATUS.SCHEDULED && m.matchDateUtc >= now);
+    },
+    async fetchResults() {
+      return (await fetchAll()).filter((m) => m.status === MATCH_STATUS.FINISHED);
+    },
+    async fetchLiveScores() {
+      return [];
+    },
+  };
+}
+
+module.exports = {
+  parseFootballJsonMatches,
+  createFootballJsonProvider,
+};
@@ -0,0 +1,347 @@
+// services/providers/goalserve.js
+const { parseGoalserveScores, parseScoreString } = require("../../utils/score");
+const { MATCH_STATUS, IN_PLAY_STATUSES, normalizeGoalserveStatus } = require("../../utils/matchStatus");
+
+const BASE_URL = "https://www.goalserve.com/getfeed";
+
+// Goalserve's JSON keeps XML attributes either bare or prefixed with "@"
+function attr(obj, key) {
+  return obj?.[key] ?? obj?.[`@${key}`] ?? null;
+}
+
+function asArray(v) {
+  if (!v) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function parseKickoff(m) {
+  // formatted_date is dd.mm.yyyy; date is "Aug 11" style and relies on the current year
+  const formatted = attr(m, "formatted_date");
+  const time = attr(m, "time") || "00:00";
+  const dmy = formatted && formatted.match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  const d = dmy
+    ? new Date(`${dmy[3]}-${dmy[2]}-${dmy[1]}T${time}:00Z`)
+    : attr(m, "date") ? new Date(`${attr(m, "date")} ${time} UTC`) : null;
+  return d && !isNaN(d.getTime()) ? d : null;
+}
+
+function parseTeam(t) {
+  return {
+    name: attr(t, "name"),
+    shortName: attr(t, "short_name"),
+    code: attr(t, "code"),
+    country: attr(t, "country"),
+    logoUrl: attr(t, "logo"),
+    sourceId: attr(t, "id") ? String(attr(t, "id")) : null,
+  };
+}
+
+/**
+ * Structured score for a match. In-play matches have no ft_score yet; their running score is
+ * the teams' "goals" attributes, kept in ft like the other providers' live rows.
+ */
+function parseScore(m, status) {
+  const score = parseGoalserveScores(m);
+  if (score.ft || !IN_PLAY_STATUSES.includes(status)) return score;
+  const home = toInt(attr(m.hometeam || m.localteam, "goals"));
+  const away = toInt(attr(m.awayteam || m.visitorteam, "goals"));
+  return home !== null && away !== null ? { ...score, ft: { home, away } } : score;
+}
+
+/**
+ * Goal events from a Goalserve match ("events.event" entries of type goal)
+ */
+function parseGoals(m) {
+  return asArray(m.events?.event)
+    .filter((e) => /goal/i.test(attr(e, "type") || ""))
+    .map((e) => {
+      const extra = attr(e, "extra_min");
+      const player = attr(e, "player") || null;
+      return {
+        externalId: attr(e, "eventid") ? String(attr(e, "eventid")) : null,
+        minute: attr(e, "minute") ? `${attr(e, "minute")}${extra ? `+${extra}` : ""}` : null,
+        team: attr(e, "team") === "visitorteam" ? "away" : "home",
+        player,
+        type: /\(og\)/i.test(player || "") ? "own-goal" : /\(pen\)/i.test(player || "") ? "penalty" : "goal",
+        score: parseScoreString(attr(e, "result")),
+      };
+    });
+}
+
+// Goalserve market names / odd names -> our market and selection names
+const ODDS_MARKETS = [
+  {
+    pattern: /^(match winner|1x2|full ?time result|3way result)$/i,
+    market: "oneXTwo",
+    selections: { home: "home", 1: "home", draw: "draw", x: "draw", away: "away", 2: "away" },
+  },
+  {
+    pattern: /^double chance$/i,
+    market: "doubleChance",
+    selections: {
+      "home/draw": "homeOrDraw",
+      "1x": "homeOrDraw",
+      "home/away": "homeOrAway",
+      12: "homeOrAway",
+      "draw/away": "drawOrAway",
+      x2: "drawOrAway",
+    },
+  },
+  {
+    pattern: /^both teams to score$/i,
+    market: "btts",
+    selections: { yes: "yes", no: "no" },
+  },
+];
+const TOTALS_PATTERN = /^(goals )?over\/under$/i;
+const TOTAL_LINES = { "0.5": "over05", "1.5": "over15", "2.5": "over25" };
+
+/**
+ * Flatten Goalserve "odds.type[].bookmaker[].odd[]" into { bookmaker, market, selection, price } lines.
+ * Over/Under prices sit one level deeper, under "total[]" per goal line.
+ */
+function parseOdds(m) {
+  const lines = [];
+  for (const type of asArray(m.odds?.type)) {
+    const name = String(attr(type, "value") || "").trim();
+    const def = ODDS_MARKETS.find((d) => d.pattern.test(name));
+    const totals = TOTALS_PATTERN.test(name);
+    if (!def && !totals) continue;
+
+    for (const bm of asArray(type.bookmaker)) {
+      const bookmaker = attr(bm, "name");
+      if (!bookmaker) continue;
+      const push = (market, selection, value) => {
+        if (market && selection) lines.push({ bookmaker, market, selection, price: Number(value) });
+      };
+
+      if (def) {
+        for (const odd of asArray(bm.odd)) {
+          push(def.market, def.selections[String(attr(odd, "name") || "").toLowerCase()], attr(odd, "value"));
+        }
+        continue;
+      }
+      for (const total of asArray(bm.total)) {
+        const market = TOTAL_LINES[String(attr(total, "name"))];
+        for (const odd of asArray(total.odd)) {
+          push(market, String(attr(odd, "name") || "").toLowerCase(), attr(odd, "value"));
+        }
+      }
+    }
+  }
+  return lines;
+}
+
+const SIDES = { localteam: "home", visitorteam: "away" };
+
+function toInt(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Starting XI and bench as one list of { side, role, sourceId, name, number, position }.
+ * Starters come from "lineups" (or "teams"), the bench from "substitutes".
+ */
+function parseLineups(m) {
+  const players = [];
+  const add = (group, role) => {
+    for (const [key, side] of Object.entries(SIDES)) {
+      for (const p of asArray(group?.[key]?.player)) {
+        if (!attr(p, "name")) continue;
+        players.push({
+          side,
+          role,
+          sourceId: attr(p, "id") ? String(attr(p, "id")) : null,
+          name: attr(p, "name"),
+          number: toInt(attr(p, "number")),
+          position: attr(p, "pos") || null,
+        });
+      }
+    }
+  };
+  add(m.lineups || m.teams, "starter");
+  add(m.substitutes, "bench");
+  return players;
+}
+
+/**
+ * Substitutions as { side, minute, off: { name, sourceId }, on: { name, sourceId } }
+ */
+function parseSubstitutions(m) {
+  const subs = [];
+  for (const [key, side] of Object.entries(SIDES)) {
+    for (const s of asArray(m.substitutions?.[key]?.substitution)) {
+      const id = (k) => (attr(s, k) ? String(attr(s, k)) : null);
+      subs.push({
+        side,
+        minute: toInt(attr(s, "minute")),
+        off: { name: attr(s, "off"), sourceId: id("off_id") },
+        on: { name: attr(s, "on"), sourceId: id("on_id") },
+      });
+    }
+  }
+  return subs;
+}
+
+// Goalserve squad stat -> Player field (Goalserve spells it "appearences")
+const SQUAD_STATS = {
+  minutes: "minutes",
+  appearences: "appearances",
+  lineups: "lineups",
+  substitute_in: "substituteIn",
+  substitute_out: "substituteOut",
+  substitutes_on_bench: "substitutesOnBench",
+  goals: "goals",
+  assists: "assists",
+  shotsTotal: "shotsTotal",
+  shotsOn: "shotsOn",
+  penComm: "penComm",
+  penWon: "penWon",
+  penScored: "penScored",
+  penMissed: "penMissed",
+  penSaved: "penSaved",
+  yellowcards: "yellowCards",
+  yellowred: "yellowRed",
+  redcards: "redCards",
+  tackles: "tackles",
+  blocks: "blocks",
+  interceptions: "interceptions",
+  clearances: "clearances",
+  dispossessed: "dispossessed",
+  saves: "saves",
+  inside_box_saves: "insideBoxSaves",
+  passes: "passes",
+  pass_accuracy: "passAccuracy",
+  key_passes: "keyPasses",
+  crossesTotal: "crossesTotal",
+  crossesAccurate: "crossesAccurate",
+  dribbleAttempts: "dribbleAttempts",
+  dribbleSucc: "dribbleSucc",
+  woodworks: "woodworks",
+  isCaptain: "isCaptain",
+  rating: "rating",
+};
+
+/**
+ * Parse a Goalserve soccerstats team feed into squad players with season stats
+ */
+function parseGoalserveSquad(json) {
+  const team = json?.teams?.team;
+  return asArray(team?.squad?.player)
+    .filter((p) => attr(p, "name"))
+    .map((p) => {
+      const stats = {};
+      for (const [key, field] of Object.entries(SQUAD_STATS)) {
+        const n = Number(attr(p, key));
+        if (attr(p, key) !== null && attr(p, key) !== "" && Number.isFinite(n)) stats[field] = n;
+      }
+      return {
+        sourceId: attr(p, "id") ? String(attr(p, "id")) : null,
+        name: attr(p, "name"),
+        number: toInt(attr(p, "number")),
+        position: attr(p, "position") || null,
+        age: toInt(attr(p, "age")),
+        injured: String(attr(p, "injured")).toLowerCase() === "true",
+        stats,
+      };
+    });
+}
+
+/**
+ * Parse a Goalserve soccernew feed into normalized matches
+ */
+function parseGoalserveMatches(json) {
+  const matches = [];
+
+  for (const cat of asArray(json?.scores?.category)) {
+    for (const m of asArray(cat.matches?.match || cat.matches)) {
+      const scores = m.scores || {};
+      const status = normalizeGoalserveStatus(attr(m, "status"));
+      matches.push({
+        source: "goalserve",
+        externalId: attr(m, "static_id") || attr(m, "id") ? String(attr(m, "static_id") || attr(m, "id")) : null,
+        league: attr(cat, "name"),
+        leagueId: attr(cat, "id") ? String(attr(cat, "id")) : null,
+        country: attr(cat, "country"),
+        season: attr(cat, "season"),
+        stage: attr(cat, "stage"),
+        matchDateUtc: parseKickoff(m),
+        status,
+        rawStatus: attr(m, "status"),
+        home: parseTeam(m.hometeam || m.localteam),
+        away: parseTeam(m.awayteam || m.visitorteam),
+        score: parseScore(m, status),
+        rawScores: {
+          ft: scores.ft_score || null,
+          ht: scores.ht_score || null,
+          et: scores.et_score || null,
+          pen: scores.pen_score || null,
+        },
+        events: m.events || {},
+        goals: parseGoals(m),
+        odds: m.odds || {},
+        oddsLines: parseOdds(m),
+        stats: m.stats || {},
+        injuries: m.injuries || [],
+        h2h: m.h2h || {},
+        history: m.history || {},
+        lineups: parseLineups(m),
+        substitutions: parseSubstitutions(m),
+        coaches: m.coaches || [],
+        referees: m.referees || [],
+        rawMatch: m,
+      });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Goalserve adapter. Feeds: "home" (today incl. live), "d1".."d7" (next days), "d-1".."d-7" (past days).
+ */
+function createGoalserveProvider({ token, transport }) {
+  if (!token) throw new Error("Goalserve provider requires GOALSERVE_TOKEN");
+
+  async function fetchFeed(feed) {
+    const url = `${BASE_URL}/${token}/soccernew/${feed}?json=true`;
+    return parseGoalserveMatches(await transport.get(url, { key: `goalserve/${feed}` }));
+  }
+
+  async function fetchFeeds(feeds) {
+    const results = await Promise.all(feeds.map(fetchFeed));
+    // "home" overlaps with d1/d-1 around midnight; keep one copy per match
+    const byId = new Map();
+    for (const m of results.flat()) byId.set(m.externalId || `${m.home.name}|${m.away.name}|${m.matchDateUtc}`, m);
+    return [...byId.values()];
+  }
+
+  return {
+    name: "goalserve",
+    async fetchFixtures({ days = 1 } = {}) {
+      const feeds = ["home", ...Array.from({ length: days }, (_, i) => `d${i + 1}`)];
+      return (await fetchFeeds(feeds)).filter((m) => m.status === MATCH_STATUS.SCHEDULED);
+    },
+    async fetchResults({ days = 1 } = {}) {
+      const feeds = ["home", ...Array.from({ length: days }, (_, i) => `d-${i + 1}`)];
+      return (await fetchFeeds(feeds)).filter(
+        (m) => m.status !== MATCH_STATUS.SCHEDULED && !IN_PLAY_STATUSES.includes(m.status)
+      );
+    },
+    async fetchLiveScores() {
+      return (await fetchFeed("home")).filter((m) => IN_PLAY_STATUSES.includes(m.status));
+    },
+    // optional provider method: squad with season stats for one of this provider's team ids
+    async fetchSquad(teamSourceId) {
+      const url = `${BASE_URL}/${token}/soccerstats/team/${encodeURIComponent(teamSourceId)}?json=true`;
+      return parseGoalserveSquad(await transport.get(url, { key: `goalserve/team-${teamSourceId}` }));
+    },
+  };
+}
+
+module.exports = {
+  parseGoalserveMatches,
+  parseGoalserveSquad,
+  createGoalserveProvider,
+};
@@ -0,0 +1,66 @@
+// services/providers/index.js
+// Football data providers. Every adapter exposes the same interface:
+//   name
+//   fetchFixtures({ days })   -> upcoming matches
+//   fetchResults({ days })    -> finished/postponed/cancelled matches
+//   fetchLiveScores()         -> matches currently in play
+//   fetchSquad(teamSourceId)  -> optional; squad players with season stats
+// and returns matches in one normalized shape (see goalserve.js parseGoalserveMatches).
+const { createTransport } = require("./transport");
+const { createGoalserveProvider } = require("./goalserve");
+const { createOpenLigaDbProvider } = require("./openligadb");
+const { createFootballJsonProvider } = require("./footballJson");
+const { createSoccersApiProvider } = require("./soccersApi");
+
+function list(value) {
+  return (value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+const FACTORIES = {
+  goalserve: (env, transport) => createGoalserveProvider({ token: env.GOALSERVE_TOKEN, transport }),
+  openligadb: (env, transport) =>
+    createOpenLigaDbProvider({
+      leagues: list(env.OPENLIGADB_LEAGUES),
+      season: env.OPENLIGADB_SEASON || new Date().getUTCFullYear(),
+      transport,
+    }),
+  footballjson: (env, transport) =>
+    createFootballJsonProvider({
+      feeds: list(env.FOOTBALLJSON_FEEDS),
+      baseUrl: env.FOOTBALLJSON_BASE_URL || undefined,
+      transport,
+    }),
+  soccersapi: (env, transport) =>
+    createSoccersApiProvider({ user: env.SOCCERSAPI_USER, token: env.SOCCERSAPI_TOKEN, transport }),
+};
+
+/**
+ * Build a single provider by name
+ */
+function createProvider(name, { env = process.env, transport = createTransport(env) } = {}) {
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown data provider: ${name}`);
+  return factory(env, transport);
+}
+
+/**
+ * Providers enabled through DATA_PROVIDERS (comma-separated, in priority order; default "goalserve").
+ * Misconfigured providers are skipped with a warning rather than failing the whole ingest.
+ */
+function getConfiguredProviders({ env = process.env, transport = createTransport(env) } = {}) {
+  const providers = [];
+  for (const name of list(env.DATA_PROVIDERS || "goalserve")) {
+    try {
+      providers.push(createProvider(name, { env, transport }));
+    } catch (err) {
+      console.warn(`⚠️ Data provider "${name}" disabled:`, err.message || err);
+    }
+  }
+  return providers;
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(FACTORIES),
+  createProvider,
+  getConfiguredProviders,
+};
@@ -0,0 +1,111 @@
+// services/providers/openligadb.js
+const { MATCH_STATUS } = require("../../utils/matchStatus");
+
+const BASE_URL = "https://api.openligadb.de";
+const FINAL_RESULT_TYPE = 2; // resultTypeID 1 is half time, 2 is the final result
+
+function resultOf(m, typeId) {
+  const r = (m.matchResults || []).find((x) => x.resultTypeID === typeId);
+  return r ? { home: r.pointsTeam1, away: r.pointsTeam2 } : null;
+}
+
+function statusOf(m, now) {
+  if (m.matchIsFinished) return MATCH_STATUS.FINISHED;
+  const kickoff = new Date(m.matchDateTimeUTC);
+  return kickoff <= now ? MATCH_STATUS.LIVE : MATCH_STATUS.SCHEDULED;
+}
+
+function parseTeam(t) {
+  return {
+    name: t?.teamName || null,
+    shortName: t?.shortName || null,
+    code: null,
+    country: null,
+    logoUrl: t?.teamIconUrl || null,
+    sourceId: t?.teamId ? String(t.teamId) : null,
+  };
+}
+
+/**
+ * Parse an OpenLigaDB getmatchdata response into normalized matches
+ */
+function parseOpenLigaDbMatches(json, { season = null, now = new Date() } = {}) {
+  if (!Array.isArray(json)) return [];
+
+  return json.map((m) => {
+    // live matches only carry a running score in the goals list
+    const lastGoal = (m.goals || [])[m.goals?.length - 1];
+    const ft = resultOf(m, FINAL_RESULT_TYPE) ||
+      (lastGoal ? { home: lastGoal.scoreTeam1, away: lastGoal.scoreTeam2 } : null);
+
+    return {
+      source: "openligadb",
+      externalId: m.matchID !== undefined ? String(m.matchID) : null,
+      league: m.leagueName || null,
+      leagueId: m.leagueShortcut || (m.leagueId ? String(m.leagueId) : null),
+      country: null,
+      season: m.leagueSeason ? String(m.leagueSeason) : season,
+      stage: m.group?.groupName || null,
+      matchDateUtc: m.matchDateTimeUTC ? new Date(m.matchDateTimeUTC) : null,
+      status: statusOf(m, now),
+      rawStatus: m.matchIsFinished ? "finished" : null,
+      home: parseTeam(m.team1),
+      away: parseTeam(m.team2),
+      score: { ft, ht: resultOf(m, 1), et: null, pen: null },
+      rawScores: {},
+      events: { goals: m.goals || [] },
+      goals: (m.goals || []).map((g, i, all) => {
+        // OpenLigaDB only gives the running score; the side whose count went up scored
+        const prev = all[i - 1] || { scoreTeam1: 0, scoreTeam2: 0 };
+        return {
+          externalId: g.goalID !== undefined ? String(g.goalID) : null,
+          minute: g.matchMinute !== null && g.matchMinute !== undefined ? String(g.matchMinute) : null,
+          team: g.scoreTeam1 > prev.scoreTeam1 ? "home" : "away",
+          player: g.goalGetterName || null,
+          type: g.isOwnGoal ? "own-goal" : g.isPenalty ? "penalty" : "goal",
+          score: { home: g.scoreTeam1, away: g.scoreTeam2 },
+        };
+      }),
+      venue: m.location?.locationStadium || null,
+      rawMatch: m,
+    };
+  });
+}
+
+/**
+ * OpenLigaDB adapter. Free, keyless; leagues are shortcuts such as "bl1", "bl2".
+ */
+function createOpenLigaDbProvider({ leagues = [], season, transport }) {
+  if (!leagues.length) throw new Error("OpenLigaDB provider requires OPENLIGADB_LEAGUES");
+
+  async function fetchLeague(league, { current = false } = {}) {
+    const url = current
+      ? `${BASE_URL}/getmatchdata/${league}`
+      : `${BASE_URL}/getmatchdata/${league}/${season}`;
+    const key = current ? `openligadb/${league}-current` : `openligadb/${league}-${season}`;
+    return parseOpenLigaDbMatches(await transport.get(url, { key }), { season: season ? String(season) : null });
+  }
+
+  async function fetchAll(opts) {
+    const results = await Promise.all(leagues.map((l) => fetchLeague(l, opts)));
+    return results.flat();
+  }
+
+  return {
+    name: "openligadb",
+    async fetchFixtures() {
+      return (await fetchAll()).filter((m) => m.status === MATCH_STATUS.SCHEDULED);
+    },
+    async fetchResults() {
+      return (await fetchAll()).filter((m) => m.status === MATCH_STATUS.FINISHED);
+    },
+    async fetchLiveScores() {
+      return (await fetchAll({ current: true })).filter((m) => m.status === MATCH_STATUS.LIVE);
+    },
+  };
+}
+
+module.exports = {
+  parseOpenLigaDbMatches,
+  createOpenLigaDbProvider,
+};
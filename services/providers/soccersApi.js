@@ -0,0 +1,127 @@
+// services/providers/soccersApi.js
+const { MATCH_STATUS, IN_PLAY_STATUSES } = require("../../utils/matchStatus");
+const { parseScoreString } = require("../../utils/score");
+
+const BASE_URL = "https://api.soccersapi.com/v2.2";
+
+// SoccersAPI numeric status codes
+const STATUS_CODES = {
+  0: MATCH_STATUS.SCHEDULED,
+  1: MATCH_STATUS.LIVE,
+  2: MATCH_STATUS.HALFTIME,
+  3: MATCH_STATUS.FINISHED,
+  4: MATCH_STATUS.POSTPONED,
+  5: MATCH_STATUS.CANCELLED,
+  6: MATCH_STATUS.FINISHED, // after extra time
+  7: MATCH_STATUS.FINISHED, // after penalties
+  8: MATCH_STATUS.LIVE, // extra time
+  11: MATCH_STATUS.LIVE, // penalty shootout
+};
+
+function parseTeam(t) {
+  return {
+    name: t?.name || null,
+    shortName: null,
+    code: null,
+    country: null,
+    logoUrl: t?.img || null,
+    sourceId: t?.id ? String(t.id) : null,
+  };
+}
+
+/**
+ * Parse a SoccersAPI fixtures/livescores response into normalized matches
+ */
+function parseSoccersApiMatches(json) {
+  const rows = Array.isArray(json?.data) ? json.data : [];
+
+  return rows.map((m) => {
+    const scores = m.scores || {};
+    const status = STATUS_CODES[m.status] || MATCH_STATUS.SCHEDULED;
+    // home_score/away_score read 0-0 for matches that never kicked off, so only trust them once played
+    const played = [...IN_PLAY_STATUSES, MATCH_STATUS.FINISHED].includes(status);
+    const ft = parseScoreString(scores.ft_score) ||
+      (played && Number.isInteger(scores.home_score)
+        ? { home: scores.home_score, away: scores.away_score }
+        : null);
+    const timestamp = m.time?.timestamp;
+
+    return {
+      source: "soccersapi",
+      externalId: m.id !== undefined ? String(m.id) : null,
+      league: m.league?.name || null,
+      leagueId: m.league?.id ? String(m.league.id) : null,
+      country: m.league?.country_name || null,
+      season: m.season?.name || null,
+      stage: m.stage?.name || null,
+      matchDateUtc: timestamp
+        ? new Date(timestamp * 1000)
+        : m.time?.date ? new Date(`${m.time.date}T${m.time.time || "00:00:00"}Z`) : null,
+      status,
+      rawStatus: m.status_name || (m.status !== undefined ? String(m.status) : null),
+      home: parseTeam(m.teams?.home),
+      away: parseTeam(m.teams?.away),
+      score: {
+        ft,
+        ht: parseScoreString(scores.ht_score),
+        et: parseScoreString(scores.et_score),
+        pen: parseScoreString(scores.ps_score),
+      },
+      rawScores: {
+        ft: scores.ft_score || null,
+        ht: scores.ht_score || null,
+        et: scores.et_score || null,
+        pen: scores.ps_score || null,
+      },
+      odds: m.odds || {},
+      rawMatch: m,
+    };
+  });
+}
+
+function isoDay(offsetDays) {
+  return new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+}
+
+/**
+ * SoccersAPI adapter (SOCCERSAPI_USER / SOCCERSAPI_TOKEN)
+ */
+function createSoccersApiProvider({ user, token, transport }) {
+  if (!user || !token) throw new Error("SoccersAPI provider requires SOCCERSAPI_USER and SOCCERSAPI_TOKEN");
+  const auth = `user=${encodeURIComponent(user)}&token=${encodeURIComponent(token)}`;
+
+  async function fetchDay(offset) {
+    const day = isoDay(offset);
+    const json = await transport.get(`${BASE_URL}/fixtures/?${auth}&t=schedule&d=${day}`, {
+      key: `soccersapi/schedule_${offset}`,
+    });
+    return parseSoccersApiMatches(json);
+  }
+
+  async function fetchDays(offsets) {
+    return (await Promise.all(offsets.map(fetchDay))).flat();
+  }
+
+  return {
+    name: "soccersapi",
+    async fetchFixtures({ days = 1 } = {}) {
+      const offsets = Array.from({ length: days + 1 }, (_, i) => i);
+      return (await fetchDays(offsets)).filter((m) => m.status === MATCH_STATUS.SCHEDULED);
+    },
+    async fetchResults({ days = 1 } = {}) {
+      const offsets = Array.from({ length: days + 1 }, (_, i) => -i);
+      return (await fetchDays(offsets)).filter((m) =>
+        [MATCH_STATUS.FINISHED, MATCH_STATUS.POSTPONED, MATCH_STATUS.CANCELLED].includes(m.status)
+      );
+    },
+    async fetchLiveScores() {
+      const json = await transport.get(`${BASE_URL}/livescores/?${auth}&t=live`, { key: "soccersapi/live" });
+      return parseSoccersApiMatches(json);
+    },
+  };
+}
+
+module.exports = {
+  parseSoccersApiMatches,
+  createSoccersApiProvider,
+};
@@ -0,0 +1,51 @@
+// services/providers/transport.js
+const fs = require("fs/promises");
+const path = require("path");
+const axios = require("axios");
+
+/**
+ * HTTP transport used in production. `key` is ignored; it only matters for recorded fixtures.
+ */
+function createHttpTransport({ timeout = 20000 } = {}) {
+  return {
+    async get(url) {
+      const { data } = await axios.get(url, { timeout });
+      return data;
+    },
+  };
+}
+
+/**
+ * Offline transport that answers each request from a recorded file, `<dir>/<key>.json`.
+ * Adapters pass a stable key per request (e.g. "goalserve/home"), so fixtures don't depend on
+ * tokens or dates embedded in the URL.
+ */
+function createFixtureTransport(dir) {
+  return {
+    async get(url, { key } = {}) {
+      if (!key) throw new Error(`Fixture transport needs a key for ${url}`);
+      const file = path.join(dir, `${key}.json`);
+      try {
+        return JSON.parse(await fs.readFile(file, "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") throw new Error(`No recorded fixture for ${key} (${file})`);
+        throw err;
+      }
+    },
+  };
+}
+
+/**
+ * Transport chosen from config: PROVIDER_FIXTURES_DIR switches every provider to recorded files
+ */
+function createTransport(env = process.env) {
+  return env.PROVIDER_FIXTURES_DIR
+    ? createFixtureTransport(path.resolve(env.PROVIDER_FIXTURES_DIR))
+    : createHttpTransport();
+}
+
+module.exports = {
+  createHttpTransport,
+  createFixtureTransport,
+  createTransport,
+};
@@ -0,0 +1,208 @@
+const Match = require("../models/Match");
+const Prediction = require("../models/Prediction");
+const { getMatchScore } = require("../utils/score");
+const { publish } = require("./eventBus");
+const { bestPrice } = require("./oddsService");
+
+const OVER_LINES = { over05: 0.5, over15: 1.5, over25: 2.5 };
+
+/**
+ * Full-time (regular time) score of a finished match, or null if unknown.
+ * Markets are graded on 90 minutes, so extra time and penalties are ignored.
+ */
+function getFinalScore(match) {
+  if (!match) return null;
+  return getMatchScore(match).ft;
+}
+
+function argmax(obj, keys) {
+  let best = null;
+  for (const k of keys) {
+    if (typeof obj?.[k] !== "number") continue;
+    if (best === null || obj[k] > obj[best]) best = k;
+  }
+  return best;
+}
+
+const DOUBLE_CHANCE_COVERS = {
+  homeOrDraw: ["home", "draw"],
+  homeOrAway: ["home", "away"],
+  drawOrAway: ["draw", "away"],
+};
+
+/**
+ * Grade one market selection against a final score: "won", "lost", or null for an unknown market/selection
+ */
+function gradeSelection(market, selection, score) {
+  const result = score.home > score.away ? "home" : score.home < score.away ? "away" : "draw";
+  const totalGoals = score.home + score.away;
+  let hit = null;
+
+  if (market === "oneXTwo" && ["home", "draw", "away"].includes(selection)) hit = selection === result;
+  else if (market === "doubleChance" && DOUBLE_CHANCE_COVERS[selection]) hit = DOUBLE_CHANCE_COVERS[selection].includes(result);
+  else if (OVER_LINES[market] !== undefined && ["over", "under"].includes(selection)) {
+    hit = selection === "over" ? totalGoals > OVER_LINES[market] : totalGoals < OVER_LINES[market];
+  } else if (market === "btts" && ["yes", "no"].includes(selection)) {
+    hit = (selection === "yes") === (score.home > 0 && score.away > 0);
+  }
+
+  if (hit === null) return null;
+  return hit ? "won" : "lost";
+}
+
+/**
+ * Grade every market in a Prediction's outcomes against a final score.
+ * The pick for each market is the side the model gave the higher probability.
+ * Overall status follows the 1X2 pick, or the first graded market if 1X2 is missing.
+ */
+function gradeOutcomes(outcomes, score) {
+  const o = outcomes || {};
+  const markets = [];
+
+  const oneXTwoPick = argmax(o.oneXTwo, ["home", "draw", "away"]);
+  if (oneXTwoPick) {
+    markets.push({
+      market: "oneXTwo",
+      pick: oneXTwoPick,
+      probability: o.oneXTwo[oneXTwoPick],
+      result: gradeSelection("oneXTwo", oneXTwoPick, score),
+    });
+  }
+
+  const dcPick = argmax(o.doubleChance, ["homeOrDraw", "homeOrAway", "drawOrAway"]);
+  if (dcPick) {
+    markets.push({
+      market: "doubleChance",
+      pick: dcPick,
+      probability: o.doubleChance[dcPick],
+      result: gradeSelection("doubleChance", dcPick, score),
+    });
+  }
+
+  for (const market of Object.keys(OVER_LINES)) {
+    if (typeof o[market] !== "number") continue;
+    const pick = o[market] >= 0.5 ? "over" : "under";
+    markets.push({
+      market,
+      pick,
+      probability: pick === "over" ? o[market] : 1 - o[market],
+      result: gradeSelection(market, pick, score),
+    });
+  }
+
+  if (typeof o.bttsYes === "number") {
+    const no = typeof o.bttsNo === "number" ? o.bttsNo : 1 - o.bttsYes;
+    const pick = o.bttsYes >= no ? "yes" : "no";
+    markets.push({
+      market: "btts",
+      pick,
+      probability: pick === "yes" ? o.bttsYes : no,
+      result: gradeSelection("btts", pick, score),
+    });
+  }
+
+  const primary = markets.find((m) => m.market === "oneXTwo") || markets[0];
+  return { markets, status: primary ? primary.result : "pending" };
+}
+
+/**
+ * Decimal odds for a market pick: the best normalised price (Match.marketOdds), otherwise the legacy
+ * Match.odds blob when it's in a readable shape: { [market]: { [pick]: odds } } or a flat { home, draw, away } 1X2 line.
+ */
+function pickOdds(match, market, pick) {
+  const best = bestPrice(match.marketOdds, market, pick);
+  if (best) return best;
+
+  const odds = match.odds;
+  if (!odds || typeof odds !== "object") return null;
+  const value = odds[market]?.[pick] ?? (market === "oneXTwo" ? odds[pick] : undefined);
+  const n = Number(value);
+  return Number.isFinite(n) && n > 1 ? n : null;
+}
+
+function sameScore(a, b) {
+  return !!a && !!b && a.home === b.home && a.away === b.away;
+}
+
+/**
+ * Settle every prediction for a finished match.
+ * Already-settled predictions are left alone unless the score changed or `force` is set,
+ * so this is safe to call on every ingest and doubles as the re-settle path for score corrections.
+ */
+async function settleMatch(matchOrId, { force = false } = {}) {
+  const match = matchOrId && matchOrId._id
+    ? matchOrId
+    : await Match.findById(matchOrId).lean();
+
+  const report = { matchId: match ? String(match._id) : String(matchOrId), settled: 0, resettled: 0, unchanged: 0 };
+  if (!match) throw new Error("Match not found");
+  if (match.status !== "finished") return { ...report, skippedReason: "Match is not finished" };
+
+  const score = getFinalScore(match);
+  if (!score) return { ...report, skippedReason: "Match has no final score" };
+
+  const predictions = await Prediction.find({ matchId: match._id });
+  const settledAt = new Date();
+
+  for (const pred of predictions) {
+    const wasSettled = !!pred.settledAt;
+    if (wasSettled && !force && sameScore(pred.settlement?.score, score)) {
+      report.unchanged++;
+      continue;
+    }
+
+    const { markets, status } = gradeOutcomes(pred.outcomes, score);
+    for (const m of markets) m.odds = pickOdds(match, m.market, m.pick);
+    // the bucket pick may be a different side than the most likely one graded above, so it's graded on its own
+    const pickResult = pred.pick?.market ? gradeSelection(pred.pick.market, pred.pick.selection, score) : null;
+    pred.settlement = { score, markets, pickResult };
+    pred.status = status;
+    pred.settledAt = settledAt;
+    await pred.save();
+    publish(
+      "prediction.settled",
+      { predictionId: String(pred._id), matchId: String(match._id), status, score, markets, resettled: wasSettled },
+      { matchId: match._id, league: match.league, bucket: pred.bucket }
+    );
+
+    if (wasSettled) report.resettled++;
+    else report.settled++;
+  }
+
+  if (report.settled || report.resettled) {
+    console.log(
+      `✅ Settled match ${report.matchId} (${score.home}-${score.away}): ` +
+        `${report.settled} settled, ${report.resettled} re-settled`
+    );
+  }
+  return report;
+}
+
+/**
+ * Settle all pending predictions whose match has finished
+ */
+async function settlePendingPredictions() {
+  const matchIds = await Prediction.distinct("matchId", { status: "pending" });
+  const matches = await Match.find({ _id: { $in: matchIds }, status: "finished" }).lean();
+
+  const report = { matchesChecked: matches.length, matchesSettled: 0, predictionsSettled: 0, failures: 0 };
+  for (const match of matches) {
+    try {
+      const r = await settleMatch(match);
+      if (r.settled || r.resettled) report.matchesSettled++;
+      report.predictionsSettled += r.settled + r.resettled;
+    } catch (err) {
+      console.warn(`⚠️ Failed to settle match ${match._id}:`, err.message || err);
+      report.failures++;
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  getFinalScore,
+  gradeSelection,
+  gradeOutcomes,
+  settleMatch,
+  settlePendingPredictions,
+};
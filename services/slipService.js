@@ -0,0 +1,210 @@
+// services/slipService.js
+// Daily accumulators ("slips") for the combined-odds buckets: daily2 ≈ 2 odds, value5 ≈ 5, big10 ≈ 10.
+const Match = require("../models/Match");
+const Prediction = require("../models/Prediction");
+const Slip = require("../models/Slip");
+const { computeEdges } = require("./oddsService");
+const { getFinalScore, gradeSelection } = require("./settlementService");
+const { publish } = require("./eventBus");
+const { MATCH_STATUS, UPCOMING_STATUSES } = require("../utils/matchStatus");
+
+const SLIP_TARGETS = { daily2: 2, value5: 5, big10: 10 };
+const MAX_LEGS = 6;
+const MIN_LEG_ODDS = 1.15; // shorter prices add risk without moving the combined odds
+const MIN_LEG_EDGE = 0; // only legs the model rates at least as likely as the market does
+const MAX_OVERSHOOT = 1.5; // combined odds may land anywhere in [target, target * 1.5]
+const LOG_STEP = 0.005; // log-odds resolution of the leg search
+
+function isoDay(date) {
+  return new Date(date).toISOString().split("T")[0];
+}
+
+/**
+ * The prediction to build legs from for one match: blended (ensemble) predictions first, then the newest
+ */
+function preferredPrediction(predictions) {
+  return [...predictions].sort(
+    (a, b) =>
+      (b.components?.length ? 1 : 0) - (a.components?.length ? 1 : 0) ||
+      new Date(b.createdAt) - new Date(a.createdAt)
+  )[0];
+}
+
+/**
+ * Possible legs for one match: every priced selection of the prediction with a non-negative edge
+ */
+function candidateLegs(prediction, match) {
+  return computeEdges(prediction.outcomes, match.marketOdds)
+    .filter((e) => e.odds >= MIN_LEG_ODDS && e.edge >= MIN_LEG_EDGE && e.probability > 0)
+    .map((e) => ({
+      predictionId: prediction._id,
+      matchId: match._id,
+      market: e.market,
+      selection: e.selection,
+      odds: e.odds,
+      probability: e.probability,
+      bookmaker: e.bookmaker,
+    }));
+}
+
+/**
+ * Pick at most one leg per group (= per match, so legs are never correlated) so that the combined odds
+ * reach `targetOdds` without exceeding targetOdds * MAX_OVERSHOOT, maximising the joint probability.
+ * Dynamic programme over (legs used, binned log-odds); returns the chosen legs or null if the target is out of reach.
+ */
+function selectLegs(groups, targetOdds, { maxLegs = MAX_LEGS, maxOvershoot = MAX_OVERSHOOT } = {}) {
+  const goal = Math.log(targetOdds);
+  const cap = Math.log(targetOdds * maxOvershoot);
+  let states = new Map([["0:0", { count: 0, logOdds: 0, logProb: 0, legs: [] }]]);
+
+  for (const group of groups) {
+    const next = new Map(states); // skipping this match is always allowed
+    for (const state of states.values()) {
+      // adding legs only lowers the joint probability, so finished states aren't extended
+      if (state.count >= maxLegs || state.logOdds >= goal) continue;
+      for (const leg of group) {
+        const logOdds = state.logOdds + Math.log(leg.odds);
+        if (logOdds > cap) continue;
+        const logProb = state.logProb + Math.log(leg.probability);
+        const key = `${state.count + 1}:${Math.floor(logOdds / LOG_STEP)}`;
+        if (!next.has(key) || next.get(key).logProb < logProb) {
+          next.set(key, { count: state.count + 1, logOdds, logProb, legs: [...state.legs, leg] });
+        }
+      }
+    }
+    states = next;
+  }
+
+  let best = null;
+  for (const state of states.values()) {
+    if (state.logOdds >= goal && (!best || state.logProb > best.logProb)) best = state;
+  }
+  return best ? best.legs : null;
+}
+
+function summarizeLegs(legs) {
+  const combined = legs.reduce((acc, l) => acc * l.odds, 1);
+  const joint = legs.reduce((acc, l) => acc * l.probability, 1);
+  return { combinedOdds: Number(combined.toFixed(2)), jointProbability: Number(joint.toFixed(4)) };
+}
+
+/**
+ * Build the day's slips from pending predictions on matches that haven't kicked off yet.
+ * An existing slip for a day/bucket is kept unless `rebuild` is set and none of its matches has started.
+ */
+async function buildDailySlips({ date = isoDay(Date.now()), buckets = Object.keys(SLIP_TARGETS), rebuild = false } = {}) {
+  const from = new Date(`${date}T00:00:00Z`);
+  if (isNaN(from.getTime())) throw new Error(`Invalid date: ${date}`);
+  const to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+
+  const matches = await Match.find({
+    matchDateUtc: { $gte: from, $lt: to },
+    status: { $in: UPCOMING_STATUSES },
+  }).lean();
+  const predictions = await Prediction.find({ matchId: { $in: matches.map((m) => m._id) }, status: "pending" }).lean();
+
+  const byMatch = new Map();
+  for (const p of predictions) {
+    if (!byMatch.has(String(p.matchId))) byMatch.set(String(p.matchId), []);
+    byMatch.get(String(p.matchId)).push(p);
+  }
+  const groups = matches
+    .filter((m) => byMatch.has(String(m._id)))
+    .map((m) => candidateLegs(preferredPrediction(byMatch.get(String(m._id))), m))
+    .filter((legs) => legs.length);
+
+  const report = { date, matches: matches.length, candidateMatches: groups.length, built: [], kept: [], unreachable: [] };
+
+  for (const bucket of buckets) {
+    const targetOdds = SLIP_TARGETS[bucket];
+    if (!targetOdds) throw new Error(`No slip target for bucket: ${bucket}`);
+
+    const existing = await Slip.findOne({ date, bucket }).lean();
+    if (existing && (!rebuild || (await slipHasStarted(existing)))) {
+      report.kept.push(bucket);
+      continue;
+    }
+
+    const legs = selectLegs(groups, targetOdds);
+    if (!legs) {
+      report.unreachable.push(bucket);
+      continue;
+    }
+
+    const slip = await Slip.findOneAndUpdate(
+      { date, bucket },
+      { $set: { targetOdds, ...summarizeLegs(legs), legs, status: "pending", settledAt: null } },
+      { upsert: true, new: true }
+    );
+    publish(
+      "slip.created",
+      { slipId: String(slip._id), date, bucket, combinedOdds: slip.combinedOdds, legs: legs.length },
+      { bucket }
+    );
+    report.built.push(bucket);
+  }
+
+  console.log(
+    `✅ Slips for ${date}: built ${report.built.join(", ") || "none"}` +
+      (report.unreachable.length ? `, target unreachable for ${report.unreachable.join(", ")}` : "")
+  );
+  return report;
+}
+
+async function slipHasStarted(slip) {
+  const started = await Match.countDocuments({
+    _id: { $in: slip.legs.map((l) => l.matchId) },
+    status: { $nin: UPCOMING_STATUSES },
+  });
+  return started > 0;
+}
+
+/**
+ * Result of one leg: graded on the full-time score, void when the match was cancelled or postponed,
+ * pending while it hasn't finished
+ */
+function gradeLeg(leg, match) {
+  if (!match || [MATCH_STATUS.CANCELLED, MATCH_STATUS.POSTPONED].includes(match.status)) return "void";
+  if (match.status !== MATCH_STATUS.FINISHED) return "pending";
+  const score = getFinalScore(match);
+  return score ? gradeSelection(leg.market, leg.selection, score) || "void" : "pending";
+}
+
+/**
+ * Settle pending slips whose legs all have a result. A lost leg loses the slip,
+ * void legs drop out, and a slip with only void legs is void.
+ */
+async function settlePendingSlips() {
+  const slips = await Slip.find({ status: "pending" });
+  const matchIds = [...new Set(slips.flatMap((s) => s.legs.map((l) => String(l.matchId))))];
+  const matches = new Map(
+    (await Match.find({ _id: { $in: matchIds } }).lean()).map((m) => [String(m._id), m])
+  );
+
+  const report = { checked: slips.length, settled: 0 };
+  for (const slip of slips) {
+    for (const leg of slip.legs) leg.result = gradeLeg(leg, matches.get(String(leg.matchId)));
+    const results = slip.legs.map((l) => l.result);
+
+    if (!results.includes("pending")) {
+      slip.status = results.includes("lost") ? "lost" : results.every((r) => r === "void") ? "void" : "won";
+      slip.settledAt = new Date();
+      report.settled++;
+      publish(
+        "slip.settled",
+        { slipId: String(slip._id), date: slip.date, bucket: slip.bucket, status: slip.status },
+        { bucket: slip.bucket }
+      );
+    }
+    await slip.save();
+  }
+  return report;
+}
+
+module.exports = {
+  SLIP_TARGETS,
+  selectLegs,
+  summarizeLegs,
+  buildDailySlips,
+  settlePendingSlips,
+};
@@ -0,0 +1,499 @@
+// services/standingsService.js
+// League tables per competition and season from finished Match and History rows.
+// Tables are stored (models/Standing) and re-ranked in place when a new result comes in;
+// bulk changes only mark them stale so the next read rebuilds them from the database.
+const Match = require("../models/Match");
+const History = require("../models/History");
+const Standing = require("../models/Standing");
+const { matchResultRow, historyResultRow, resultKey, dedupeResults } = require("./featureService");
+const { normalizeTeamName } = require("../utils/teamName");
+const { MATCH_STATUS } = require("../utils/matchStatus");
+
+const FORM_LENGTH = 5;
+
+// Ranking criteria, applied in order to teams still level. h2h* compare only the games between the tied teams.
+const TIEBREAKERS = ["points", "goalDifference", "goalsFor", "wins", "awayGoalsFor", "h2hPoints", "h2hGoalDifference", "h2hGoalsFor"];
+const DEFAULT_TIEBREAKERS = {
+  default: ["points", "goalDifference", "goalsFor", "h2hPoints", "h2hGoalDifference"],
+  // head-to-head before goal difference
+  "la-liga": ["points", "h2hPoints", "h2hGoalDifference", "goalDifference", "goalsFor"],
+  "primera-division": ["points", "h2hPoints", "h2hGoalDifference", "goalDifference", "goalsFor"],
+  "serie-a": ["points", "h2hPoints", "h2hGoalDifference", "goalDifference", "goalsFor"],
+};
+
+/**
+ * Tie-breakers per competition key, with STANDINGS_TIEBREAKERS overrides
+ * ("serie-a=points|h2hPoints|goalDifference,default=points|goalDifference|goalsFor")
+ */
+function loadTieBreakers(env = process.env) {
+  const rules = { ...DEFAULT_TIEBREAKERS };
+  for (const entry of (env.STANDINGS_TIEBREAKERS || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [league, raw] = entry.split("=").map((s) => s.trim());
+    const criteria = (raw || "").split("|").map((s) => s.trim()).filter(Boolean);
+    if (!league || !criteria.length || criteria.some((c) => !TIEBREAKERS.includes(c))) {
+      console.warn(`⚠️ Ignoring invalid STANDINGS_TIEBREAKERS entry "${entry.trim()}"`);
+      continue;
+    }
+    rules[league] = criteria;
+  }
+  return rules;
+}
+
+function tieBreakersFor(league, rules = loadTieBreakers()) {
+  return rules[league] || rules.default;
+}
+
+/**
+ * Competition key from a league name: "Primera División" -> "primera-division"
+ */
+function leagueKey(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// a label naming both years of a season: "2025/2026", "2025-26"
+const FULL_SEASON = /^(\d{4})[-/](\d{2}|\d{4})$/;
+
+/**
+ * Season label "YYYY/YYYY" from "2025/2026" or "2025-26". A single year ("2025") could be a
+ * calendar-year or a split season, so with a kickoff it is placed like an unlabelled row:
+ * from July onwards it belongs to the season starting that year.
+ */
+function seasonKey(season, date) {
+  const label = String(season || "").trim();
+  const m = label.match(FULL_SEASON);
+  if (m) {
+    const start = Number(m[1]);
+    // a two-digit end year is the one after start's, so "1999/00" ends in 2000
+    const end = m[2].length === 2 ? start + 1 - ((start + 1) % 100) + Number(m[2]) : Number(m[2]);
+    return `${start}/${end}`;
+  }
+  if (date) {
+    const d = new Date(date);
+    const start = d.getUTCMonth() >= 6 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+    return `${start}/${start + 1}`;
+  }
+  return /^\d{4}$/.test(label) ? `${label}/${Number(label) + 1}` : null;
+}
+
+function teamKey(team) {
+  return team?.id ? String(team.id) : normalizeTeamName(team?.name);
+}
+
+function emptySplit() {
+  return { played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, points: 0 };
+}
+
+/**
+ * Points/goals per team from { date, home, away, homeGoals, awayGoals } results (3/1/0)
+ */
+function tally(results) {
+  const table = new Map();
+  const row = (team) => {
+    const key = teamKey(team);
+    if (!table.has(key)) {
+      table.set(key, { key, team: { id: team?.id || null, name: team?.name || null }, ...emptySplit(), home: emptySplit(), away: emptySplit(), games: [] });
+    }
+    return table.get(key);
+  };
+  const add = (r, venue, goalsFor, goalsAgainst, date) => {
+    const result = goalsFor > goalsAgainst ? "W" : goalsFor < goalsAgainst ? "L" : "D";
+    const points = { W: 3, D: 1, L: 0 }[result];
+    for (const split of [r, r[venue]]) {
+      split.played++;
+      split.won += result === "W" ? 1 : 0;
+      split.drawn += result === "D" ? 1 : 0;
+      split.lost += result === "L" ? 1 : 0;
+      split.goalsFor += goalsFor;
+      split.goalsAgainst += goalsAgainst;
+      split.points += points;
+    }
+    r.games.push({ date: new Date(date), result });
+  };
+
+  for (const res of results) {
+    add(row(res.home), "home", res.homeGoals, res.awayGoals, res.date);
+    add(row(res.away), "away", res.awayGoals, res.homeGoals, res.date);
+  }
+  return table;
+}
+
+function criterionValue(criterion, row, mini) {
+  switch (criterion) {
+    case "points": return row.points;
+    case "goalDifference": return row.goalsFor - row.goalsAgainst;
+    case "goalsFor": return row.goalsFor;
+    case "wins": return row.won;
+    case "awayGoalsFor": return row.away.goalsFor;
+    case "h2hPoints": return mini.get(row.key)?.points || 0;
+    case "h2hGoalDifference": return mini.has(row.key) ? mini.get(row.key).goalsFor - mini.get(row.key).goalsAgainst : 0;
+    case "h2hGoalsFor": return mini.get(row.key)?.goalsFor || 0;
+    default: return 0;
+  }
+}
+
+/**
+ * Order rows by the criteria; each criterion only splits the groups still level on the previous ones,
+ * head-to-head criteria use a mini table of the games between the teams in that group
+ */
+function rank(rows, criteria, results) {
+  if (rows.length <= 1 || !criteria.length) return [...rows].sort((a, b) => String(a.team.name).localeCompare(String(b.team.name)));
+  const [criterion, ...rest] = criteria;
+  const keys = new Set(rows.map((r) => r.key));
+  const mini = criterion.startsWith("h2h")
+    ? tally(results.filter((r) => keys.has(teamKey(r.home)) && keys.has(teamKey(r.away))))
+    : null;
+
+  const value = new Map(rows.map((r) => [r.key, criterionValue(criterion, r, mini)]));
+  const sorted = [...rows].sort((a, b) => value.get(b.key) - value.get(a.key));
+  const ranked = [];
+  for (let i = 0; i < sorted.length; ) {
+    let j = i;
+    while (j < sorted.length && value.get(sorted[j].key) === value.get(sorted[i].key)) j++;
+    ranked.push(...rank(sorted.slice(i, j), rest, results));
+    i = j;
+  }
+  return ranked;
+}
+
+/**
+ * League table from results: position, totals, goal difference, form (newest first) and home/away splits
+ */
+function computeTable(results, tieBreakers = DEFAULT_TIEBREAKERS.default) {
+  const rows = [...tally(results).values()];
+  return rank(rows, tieBreakers, results).map((r, i) => ({
+    position: i + 1,
+    team: r.team,
+    played: r.played,
+    won: r.won,
+    drawn: r.drawn,
+    lost: r.lost,
+    goalsFor: r.goalsFor,
+    goalsAgainst: r.goalsAgainst,
+    goalDifference: r.goalsFor - r.goalsAgainst,
+    points: r.points,
+    form: r.games.sort((a, b) => b.date - a.date).slice(0, FORM_LENGTH).map((g) => g.result).join(""),
+    home: r.home,
+    away: r.away,
+  }));
+}
+
+function toStandingResult(row) {
+  return {
+    key: resultKey(row),
+    date: row.matchDateUtc,
+    home: row.homeTeam,
+    away: row.awayTeam,
+    homeGoals: row.homeGoals,
+    awayGoals: row.awayGoals,
+  };
+}
+
+/**
+ * League names (as stored on Match/History) that share a competition key
+ */
+async function leagueNames(league) {
+  const [fromMatches, fromHistory] = await Promise.all([Match.distinct("league"), History.distinct("league")]);
+  return [...new Set([...fromMatches, ...fromHistory])].filter((n) => n && leagueKey(n) === league);
+}
+
+/**
+ * Kickoff range and raw season labels per season key, from a competition's Match rows labelled with both years.
+ * History rows without a season of their own are placed by these, so both sources agree on where a season starts.
+ */
+async function seasonWindows(names) {
+  const rows = await Match.aggregate([
+    { $match: { league: { $in: names }, season: FULL_SEASON } },
+    { $group: { _id: "$season", from: { $min: "$matchDateUtc" }, to: { $max: "$matchDateUtc" } } },
+  ]);
+  const windows = new Map();
+  for (const r of rows) {
+    const key = seasonKey(r._id);
+    if (!key || !r.from) continue;
+    const w = windows.get(key) || { from: r.from, to: r.to, labels: [] };
+    windows.set(key, { from: w.from < r.from ? w.from : r.from, to: w.to > r.to ? w.to : r.to, labels: [...w.labels, r._id] });
+  }
+  return windows;
+}
+
+/**
+ * Season of a History row: its own label when the import had one, else the Match season window
+ * its kickoff falls in, else the July cut-over
+ */
+function historySeason(h, windows) {
+  if (h.season) return seasonKey(h.season, h.matchDateUtc);
+  const at = new Date(h.matchDateUtc);
+  for (const [season, w] of windows) {
+    if (at >= w.from && at <= w.to) return season;
+  }
+  return seasonKey(null, h.matchDateUtc);
+}
+
+/**
+ * Kickoffs that may belong to `season` when a row has no label: its July-June span widened to the Match window
+ */
+function seasonRange(season, windows) {
+  const start = Number(season.slice(0, 4));
+  const w = windows.get(season);
+  const from = new Date(Date.UTC(start, 6, 1));
+  const to = new Date(Date.UTC(start + 1, 6, 1));
+  return { $gte: w && w.from < from ? w.from : from, $lt: w && w.to >= to ? new Date(w.to.getTime() + 1) : to };
+}
+
+/**
+ * Season key of a competition's most recent result, or null when it has none
+ */
+async function latestSeason(names, windows) {
+  const [match, history] = await Promise.all([
+    Match.findOne({ league: { $in: names }, status: MATCH_STATUS.FINISHED }, { season: 1, matchDateUtc: 1 }).sort({ matchDateUtc: -1 }).lean(),
+    History.findOne({ league: { $in: names } }, { season: 1, matchDateUtc: 1 }).sort({ matchDateUtc: -1 }).lean(),
+  ]);
+  if (!match && !history) return null;
+  if (match && (!history || new Date(match.matchDateUtc) >= new Date(history.matchDateUtc))) {
+    return seasonKey(match.season, match.matchDateUtc);
+  }
+  return historySeason(history, windows);
+}
+
+/**
+ * Finished results of one competition season, deduplicated across Match and History
+ */
+async function loadLeagueResults(names, season, windows) {
+  const range = seasonRange(season, windows);
+  const labels = windows.get(season)?.labels || [];
+  const [matches, history] = await Promise.all([
+    Match.find(
+      {
+        league: { $in: names },
+        status: MATCH_STATUS.FINISHED,
+        // single-year and missing labels are placed by kickoff, like seasonKey does
+        $or: [{ season: { $in: labels } }, { season: { $not: FULL_SEASON }, matchDateUtc: range }],
+      },
+      { league: 1, season: 1, country: 1, matchDateUtc: 1, homeTeam: 1, awayTeam: 1, score: 1, homeGoals: 1, awayGoals: 1, ft_score: 1 }
+    ).lean(),
+    History.find({ league: { $in: names }, $or: [{ season }, { season: null, matchDateUtc: range }] })
+      .populate("homeTeam awayTeam", "name")
+      .lean(),
+  ]);
+
+  const rows = [
+    ...matches.map((m) => ({ ...matchResultRow(m), season: seasonKey(m.season, m.matchDateUtc), country: m.country || null })),
+    ...history.map((h) => ({ ...historyResultRow(h), season: historySeason(h, windows), country: null })),
+  ];
+  return dedupeResults(
+    rows.filter((r) => r.season === season && Number.isInteger(r.homeGoals) && Number.isInteger(r.awayGoals))
+  );
+}
+
+/**
+ * Rebuild and store the table of a competition/season from the database. Null when it has no results.
+ */
+async function rebuildStandings(league, season, { names, windows } = {}) {
+  const leagueNamesList = names || (await leagueNames(league));
+  const seasonRows = await loadLeagueResults(leagueNamesList, season, windows || (await seasonWindows(leagueNamesList)));
+  if (!seasonRows.length) return null;
+
+  const tieBreakers = tieBreakersFor(league);
+  const stored = seasonRows.map(toStandingResult);
+  const doc = await Standing.findOneAndUpdate(
+    { league, season },
+    {
+      $set: {
+        name: (seasonRows.find((r) => r.from === "match") || seasonRows[0]).league,
+        country: seasonRows.find((r) => r.country)?.country || null,
+        tieBreakers,
+        results: stored,
+        rows: computeTable(stored, tieBreakers),
+        stale: false,
+        builtAt: new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  ).lean();
+
+  console.log(`✅ Standings rebuilt for ${league} ${season}: ${doc.rows.length} teams from ${stored.length} results`);
+  return doc;
+}
+
+function formatStanding(doc) {
+  return {
+    league: doc.league,
+    name: doc.name,
+    country: doc.country || null,
+    season: doc.season,
+    tieBreakers: doc.tieBreakers,
+    results: doc.results.length,
+    builtAt: doc.builtAt,
+    updatedAt: doc.updatedAt,
+    table: doc.rows,
+  };
+}
+
+/**
+ * Table for a competition key and season (default: the season of its latest result).
+ * Built on first request and whenever it was marked stale. Null when the competition has no results.
+ */
+async function getStandings(league, { season } = {}) {
+  let wanted = season ? seasonKey(season) : null;
+  let names;
+  let windows;
+  if (!wanted) {
+    names = await leagueNames(league);
+    windows = await seasonWindows(names);
+    wanted = await latestSeason(names, windows);
+    if (!wanted) return null;
+  }
+
+  const doc = await Standing.findOne({ league, season: wanted }).lean();
+  if (doc && !doc.stale) return formatStanding(doc);
+
+  const rebuilt = await rebuildStandings(league, wanted, { names, windows });
+  return rebuilt ? formatStanding(rebuilt) : null;
+}
+
+/**
+ * Apply one finished match to its stored table (replacing an earlier score for the same fixture)
+ * and re-rank. Tables not built yet are left to the next read.
+ */
+async function recordResult(match) {
+  if (match.status !== MATCH_STATUS.FINISHED || !match.league) return null;
+  const row = matchResultRow(match);
+  if (!Number.isInteger(row.homeGoals) || !Number.isInteger(row.awayGoals)) return null;
+
+  const league = leagueKey(match.league);
+  const season = seasonKey(match.season, match.matchDateUtc);
+  const doc = await Standing.findOne({ league, season }).lean();
+  if (!doc || doc.stale) return null;
+
+  const result = toStandingResult(row);
+  const index = doc.results.findIndex((r) => r.key === result.key);
+  const previous = index >= 0 ? doc.results[index] : null;
+  if (previous && previous.homeGoals === result.homeGoals && previous.awayGoals === result.awayGoals) return doc;
+
+  const results = [...doc.results];
+  if (index >= 0) results[index] = result;
+  else results.push(result);
+  const tieBreakers = tieBreakersFor(league);
+  const rows = computeTable(results, tieBreakers);
+
+  // only write over the table we read: another update or a rebuild in between bumps __v or builtAt
+  const res = await Standing.updateOne(
+    { _id: doc._id, __v: doc.__v ?? null, builtAt: doc.builtAt ?? null, stale: false },
+    { $set: { tieBreakers, results, rows }, $inc: { __v: 1 } }
+  );
+  if (!res.modifiedCount) {
+    // lost a race with another update: let the next read rebuild it
+    await Standing.updateOne({ _id: doc._id }, { $set: { stale: true } });
+    console.warn(`⚠️ Standings update for ${league} ${season} conflicted, marked stale`);
+    return null;
+  }
+  return { ...doc, tieBreakers, results, rows, __v: (doc.__v || 0) + 1 };
+}
+
+/**
+ * Mark tables stale after bulk changes. Pass league names to limit it to those competitions.
+ */
+async function markStandingsStale(names) {
+  const filter = names ? { league: { $in: [...new Set(names.filter(Boolean).map(leagueKey))] } } : {};
+  const res = await Standing.updateMany(filter, { $set: { stale: true } });
+  return res.modifiedCount;
+}
+
+/**
+ * Competitions we have fixtures or results for, across Match and History
+ */
+async function listLeagues() {
+  const [matches, history] = await Promise.all([
+    Match.aggregate([
+      { $match: { league: { $nin: [null, ""] } } },
+      {
+        $group: {
+          _id: "$league",
+          country: { $max: "$country" },
+          leagueIds: { $addToSet: "$league_id" },
+          seasons: { $addToSet: "$season" },
+          matches: { $sum: 1 },
+          finished: { $sum: { $cond: [{ $eq: ["$status", MATCH_STATUS.FINISHED] }, 1, 0] } },
+          lastMatchAt: { $max: "$matchDateUtc" },
+        },
+      },
+    ]),
+    History.aggregate([
+      { $match: { league: { $nin: [null, ""] } } },
+      {
+        $group: {
+          _id: "$league",
+          codes: { $addToSet: "$leagueCode" },
+          seasons: { $addToSet: "$season" },
+          rows: { $sum: 1 },
+          firstMatchAt: { $min: "$matchDateUtc" },
+          lastMatchAt: { $max: "$matchDateUtc" },
+        },
+      },
+    ]),
+  ]);
+
+  const leagues = new Map();
+  const entry = (name) => {
+    const id = leagueKey(name);
+    if (!leagues.has(id)) {
+      leagues.set(id, { id, name, names: [], country: null, leagueIds: [], codes: [], seasons: [], matches: 0, finished: 0, historyRows: 0, lastMatchAt: null });
+    }
+    const l = leagues.get(id);
+    l.names.push(name);
+    return l;
+  };
+  const later = (a, b) => (!a || (b && new Date(b) > new Date(a)) ? b : a);
+
+  for (const m of matches) {
+    const l = entry(m._id);
+    l.name = m._id; // prefer the name our feeds use
+    l.country = l.country || m.country || null;
+    l.leagueIds.push(...m.leagueIds.filter(Boolean));
+    l.seasons.push(...m.seasons.map((s) => seasonKey(s)).filter(Boolean));
+    l.matches += m.matches;
+    l.finished += m.finished;
+    l.lastMatchAt = later(l.lastMatchAt, m.lastMatchAt);
+  }
+  for (const h of history) {
+    const l = entry(h._id);
+    l.codes.push(...h.codes.filter(Boolean));
+    l.seasons.push(...h.seasons.filter(Boolean));
+    if (!h.seasons.some(Boolean)) {
+      // rows imported without a season label: every July-June span they cover
+      const startYear = (date) => Number(seasonKey(null, date).slice(0, 4));
+      for (let y = startYear(h.firstMatchAt); y <= startYear(h.lastMatchAt); y++) l.seasons.push(`${y}/${y + 1}`);
+    }
+    l.historyRows += h.rows;
+    l.lastMatchAt = later(l.lastMatchAt, h.lastMatchAt);
+  }
+
+  return [...leagues.values()]
+    .map((l) => ({
+      ...l,
+      names: [...new Set(l.names)],
+      leagueIds: [...new Set(l.leagueIds)],
+      codes: [...new Set(l.codes)],
+      seasons: [...new Set(l.seasons)].sort().reverse(),
+    }))
+    .sort((a, b) => String(a.country || "").localeCompare(String(b.country || "")) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  TIEBREAKERS,
+  loadTieBreakers,
+  leagueKey,
+  leagueNames,
+  seasonKey,
+  computeTable,
+  rebuildStandings,
+  getStandings,
+  recordResult,
+  markStandingsStale,
+  listLeagues,
+};
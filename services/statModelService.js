@@ -0,0 +1,244 @@
+const Match = require("../models/Match");
+const History = require("../models/History");
+const { normalizeTeamName } = require("../utils/teamName");
+const { MATCH_STATUS } = require("../utils/matchStatus");
+const { matchResultRow, historyResultRow, dedupeResults } = require("./featureService");
+
+const MODEL_VERSION = "stat-dc-1";
+
+const DEFAULTS = {
+  lookbackDays: 730,
+  halfLifeDays: 365, // time decay: a result this old counts half as much as today's
+  minMatchesPerTeam: 5,
+  maxGoals: 10, // scoreline matrix is (maxGoals + 1)^2
+  iterations: 60,
+  refitAfterMs: 6 * 60 * 60 * 1000,
+};
+
+function teamKey(team) {
+  if (!team) return null;
+  if (team.id || team._id) return String(team.id || team._id);
+  return team.name ? `name:${normalizeTeamName(team.name)}` : null;
+}
+
+/**
+ * Finished results from Match and History as { home, away, homeGoals, awayGoals, date },
+ * de-duplicated where both collections hold the same fixture.
+ */
+async function loadTrainingData({ lookbackDays = DEFAULTS.lookbackDays, now = new Date() } = {}) {
+  const since = new Date(now.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+
+  const [matches, history] = await Promise.all([
+    Match.find(
+      { status: MATCH_STATUS.FINISHED, matchDateUtc: { $gte: since, $lte: now }, "score.ft": { $ne: null } },
+      { homeTeam: 1, awayTeam: 1, score: 1, matchDateUtc: 1 }
+    ).lean(),
+    History.find(
+      { matchDateUtc: { $gte: since, $lte: now }, homeGoals: { $ne: null }, awayGoals: { $ne: null } },
+      { homeTeam: 1, awayTeam: 1, homeGoals: 1, awayGoals: 1, matchDateUtc: 1 }
+    )
+      .populate("homeTeam awayTeam", "name") // names let dedupeResults pair History rows with name-only Match rows
+      .lean(),
+  ]);
+
+  return dedupeResults([...matches.map(matchResultRow), ...history.map(historyResultRow)])
+    .map((r) => ({
+      home: teamKey(r.homeTeam),
+      away: teamKey(r.awayTeam),
+      homeGoals: r.homeGoals,
+      awayGoals: r.awayGoals,
+      date: new Date(r.matchDateUtc),
+    }))
+    .filter((r) => r.home && r.away && Number.isInteger(r.homeGoals) && Number.isInteger(r.awayGoals));
+}
+
+// Dixon-Coles adjustment for the dependence between low scores
+function tau(x, y, lambda, mu, rho) {
+  if (x === 0 && y === 0) return 1 - lambda * mu * rho;
+  if (x === 0 && y === 1) return 1 + lambda * rho;
+  if (x === 1 && y === 0) return 1 + mu * rho;
+  if (x === 1 && y === 1) return 1 - rho;
+  return 1;
+}
+
+function poissonPmf(k, lambda) {
+  let p = Math.exp(-lambda);
+  for (let i = 1; i <= k; i++) p *= lambda / i;
+  return p;
+}
+
+/**
+ * Fit time-weighted attack/defence ratings with a shared home advantage (Maher/Dixon-Coles).
+ * Ratings are solved by iterative proportional fitting; rho is then picked by a grid search
+ * on the weighted log-likelihood.
+ */
+function fitModel(rows, opts = {}) {
+  const { halfLifeDays, minMatchesPerTeam, iterations } = { ...DEFAULTS, ...opts };
+  const now = opts.now || new Date();
+  const xi = Math.log(2) / halfLifeDays;
+
+  const games = rows.map((r) => ({
+    ...r,
+    w: Math.exp(-xi * Math.max(0, (now - r.date) / (24 * 60 * 60 * 1000))),
+  }));
+
+  const counts = {};
+  for (const g of games) {
+    counts[g.home] = (counts[g.home] || 0) + 1;
+    counts[g.away] = (counts[g.away] || 0) + 1;
+  }
+  const teams = Object.keys(counts);
+  const attack = Object.fromEntries(teams.map((t) => [t, 1]));
+  const defence = Object.fromEntries(teams.map((t) => [t, 1]));
+  let home = 1.3;
+
+  for (let it = 0; it < iterations; it++) {
+    const scored = {}, scoredExp = {}, conceded = {}, concededExp = {};
+    for (const g of games) {
+      scored[g.home] = (scored[g.home] || 0) + g.w * g.homeGoals;
+      scored[g.away] = (scored[g.away] || 0) + g.w * g.awayGoals;
+      scoredExp[g.home] = (scoredExp[g.home] || 0) + g.w * defence[g.away] * home;
+      scoredExp[g.away] = (scoredExp[g.away] || 0) + g.w * defence[g.home];
+    }
+    for (const t of teams) attack[t] = scoredExp[t] ? Math.max(scored[t] / scoredExp[t], 0.05) : 1;
+
+    for (const g of games) {
+      conceded[g.home] = (conceded[g.home] || 0) + g.w * g.awayGoals;
+      conceded[g.away] = (conceded[g.away] || 0) + g.w * g.homeGoals;
+      concededExp[g.home] = (concededExp[g.home] || 0) + g.w * attack[g.away];
+      concededExp[g.away] = (concededExp[g.away] || 0) + g.w * attack[g.home] * home;
+    }
+    for (const t of teams) defence[t] = concededExp[t] ? Math.max(conceded[t] / concededExp[t], 0.05) : 1;
+
+    let homeGoals = 0, homeExp = 0;
+    for (const g of games) {
+      homeGoals += g.w * g.homeGoals;
+      homeExp += g.w * attack[g.home] * defence[g.away];
+    }
+    if (homeExp) home = homeGoals / homeExp;
+
+    // pin the scale: mean attack = 1
+    const mean = teams.reduce((s, t) => s + attack[t], 0) / (teams.length || 1);
+    for (const t of teams) {
+      attack[t] /= mean;
+      defence[t] *= mean;
+    }
+  }
+
+  let rho = 0;
+  let bestLL = -Infinity;
+  for (let r = -0.2; r <= 0.2001; r += 0.01) {
+    let ll = 0;
+    for (const g of games) {
+      const lambda = attack[g.home] * defence[g.away] * home;
+      const mu = attack[g.away] * defence[g.home];
+      const t = tau(g.homeGoals, g.awayGoals, lambda, mu, r);
+      if (t <= 0) { ll = -Infinity; break; }
+      ll += g.w * Math.log(t);
+    }
+    if (ll > bestLL) {
+      bestLL = ll;
+      rho = Number(r.toFixed(2));
+    }
+  }
+
+  const ratings = {};
+  for (const t of teams) {
+    if (counts[t] >= minMatchesPerTeam) ratings[t] = { attack: attack[t], defence: defence[t], matches: counts[t] };
+  }
+
+  return { version: MODEL_VERSION, fittedAt: now, sampleSize: games.length, homeAdvantage: home, rho, ratings };
+}
+
+/**
+ * Scoreline probability matrix for a fixture, or null if either team lacks a rating
+ */
+function scorelineMatrix(model, homeKey, awayKey, maxGoals = DEFAULTS.maxGoals) {
+  const h = model.ratings[homeKey];
+  const a = model.ratings[awayKey];
+  if (!h || !a) return null;
+
+  const lambda = h.attack * a.defence * model.homeAdvantage;
+  const mu = a.attack * h.defence;
+  const matrix = [];
+  let total = 0;
+  for (let x = 0; x <= maxGoals; x++) {
+    matrix[x] = [];
+    for (let y = 0; y <= maxGoals; y++) {
+      const p = Math.max(0, poissonPmf(x, lambda) * poissonPmf(y, mu) * tau(x, y, lambda, mu, model.rho));
+      matrix[x][y] = p;
+      total += p;
+    }
+  }
+  // renormalise after truncation and the tau adjustment
+  for (let x = 0; x <= maxGoals; x++) for (let y = 0; y <= maxGoals; y++) matrix[x][y] /= total;
+  return { lambda, mu, matrix };
+}
+
+/**
+ * Market probabilities in the Prediction.outcomes shape from a scoreline matrix
+ */
+function outcomesFromMatrix(matrix) {
+  let home = 0, draw = 0, away = 0, over05 = 0, over15 = 0, over25 = 0, btts = 0;
+  matrix.forEach((row, x) =>
+    row.forEach((p, y) => {
+      if (x > y) home += p;
+      else if (x === y) draw += p;
+      else away += p;
+      if (x + y > 0.5) over05 += p;
+      if (x + y > 1.5) over15 += p;
+      if (x + y > 2.5) over25 += p;
+      if (x > 0 && y > 0) btts += p;
+    })
+  );
+  const r = (n) => Number(n.toFixed(4));
+  return {
+    oneXTwo: { home: r(home), draw: r(draw), away: r(away) },
+    doubleChance: { homeOrDraw: r(home + draw), homeOrAway: r(home + away), drawOrAway: r(draw + away) },
+    over05: r(over05),
+    over15: r(over15),
+    over25: r(over25),
+    bttsYes: r(btts),
+    bttsNo: r(1 - btts),
+  };
+}
+
+let cached = null;
+
+/**
+ * Current fitted model, refitted when older than refitAfterMs (or when `refit` is set)
+ */
+async function getModel({ refit = false } = {}) {
+  if (!refit && cached && Date.now() - cached.fittedAt.getTime() < DEFAULTS.refitAfterMs) return cached;
+  const rows = await loadTrainingData();
+  cached = fitModel(rows);
+  console.log(`✅ Stat model fitted on ${cached.sampleSize} results, ${Object.keys(cached.ratings).length} rated teams`);
+  return cached;
+}
+
+/**
+ * Baseline prediction for a match, or null if either team has too little data.
+ * Returns the same shape as aiService.getPredictionsFromAI items.
+ */
+function predictMatch(model, match) {
+  const result = scorelineMatrix(model, teamKey(match.homeTeam), teamKey(match.awayTeam));
+  if (!result) return null;
+
+  const outcomes = outcomesFromMatrix(result.matrix);
+  const top = Math.max(outcomes.oneXTwo.home, outcomes.oneXTwo.draw, outcomes.oneXTwo.away);
+  return {
+    ...outcomes,
+    confidence: Number((top * 100).toFixed(1)),
+    expectedGoals: { home: Number(result.lambda.toFixed(3)), away: Number(result.mu.toFixed(3)) },
+  };
+}
+
+module.exports = {
+  MODEL_VERSION,
+  loadTrainingData,
+  fitModel,
+  scorelineMatrix,
+  outcomesFromMatrix,
+  getModel,
+  predictMatch,
+};
@@ -0,0 +1,116 @@
+const Prediction = require("../models/Prediction");
+
+const GROUP_DIMENSIONS = ["bucket", "league", "market", "version", "promptVersion", "model", "month"];
+// each settled prediction grades several markets, so rows are always split per market by default
+const DEFAULT_GROUP_BY = ["bucket", "market"];
+const EPSILON = 1e-6; // keeps log-loss finite for probabilities of exactly 0 or 1
+
+function round(n, digits = 4) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(digits)) : null;
+}
+
+/**
+ * Performance of settled predictions, one row per market pick.
+ * Accuracy is measured per graded market; ROI assumes a 1-unit stake on each prediction's
+ * bucket pick (Prediction.pick) at the odds stored with it, counted under the pick's market.
+ *
+ * @param {Object} opts
+ * @param {string[]} [opts.groupBy] any of GROUP_DIMENSIONS (default bucket + market)
+ * @param {Object} [opts.filters] bucket, league, market, version, promptVersion, model, from, to (match date)
+ */
+async function getPerformanceStats({ groupBy = DEFAULT_GROUP_BY, filters = {} } = {}) {
+  const predictionMatch = { settledAt: { $ne: null } };
+  if (filters.bucket) predictionMatch.bucket = filters.bucket;
+  if (filters.version) predictionMatch.version = filters.version;
+  if (filters.promptVersion) predictionMatch.promptVersion = filters.promptVersion;
+  if (filters.model) predictionMatch.model = filters.model;
+
+  const matchStage = {};
+  if (filters.league) matchStage["match.league"] = filters.league;
+  if (filters.from || filters.to) {
+    matchStage["match.matchDateUtc"] = {};
+    if (filters.from) matchStage["match.matchDateUtc"].$gte = filters.from;
+    if (filters.to) matchStage["match.matchDateUtc"].$lte = filters.to;
+  }
+
+  const groupId = Object.fromEntries(groupBy.map((dim) => [dim, `$${dim}`]));
+  const p = { $min: [{ $max: ["$settlement.markets.probability", EPSILON] }, 1 - EPSILON] };
+
+  const rows = await Prediction.aggregate([
+    { $match: predictionMatch },
+    { $lookup: { from: "matches", localField: "matchId", foreignField: "_id", as: "match" } },
+    { $unwind: "$match" },
+    ...(Object.keys(matchStage).length ? [{ $match: matchStage }] : []),
+    { $unwind: "$settlement.markets" },
+    ...(filters.market ? [{ $match: { "settlement.markets.market": filters.market } }] : []),
+    {
+      $project: {
+        bucket: 1,
+        version: 1,
+        promptVersion: { $ifNull: ["$promptVersion", null] },
+        model: { $ifNull: ["$model", null] },
+        league: "$match.league",
+        market: "$settlement.markets.market",
+        month: { $dateToString: { format: "%Y-%m", date: "$match.matchDateUtc" } },
+        confidence: 1,
+        p,
+        y: { $cond: [{ $eq: ["$settlement.markets.result", "won"] }, 1, 0] },
+        // the one bet a prediction makes: its pick, on the row of the pick's market
+        bet: {
+          $and: [
+            { $eq: ["$settlement.markets.market", "$pick.market"] },
+            { $gt: ["$pick.odds", 1] },
+            { $in: ["$settlement.pickResult", ["won", "lost"]] },
+          ],
+        },
+        betOdds: "$pick.odds",
+        betWon: { $eq: ["$settlement.pickResult", "won"] },
+      },
+    },
+    {
+      $group: {
+        _id: groupId,
+        samples: { $sum: 1 },
+        wins: { $sum: "$y" },
+        avgProbability: { $avg: "$p" },
+        avgConfidence: { $avg: "$confidence" },
+        brier: { $avg: { $pow: [{ $subtract: ["$p", "$y"] }, 2] } },
+        logLoss: {
+          $avg: {
+            $multiply: [
+              -1,
+              {
+                $add: [
+                  { $multiply: ["$y", { $ln: "$p" }] },
+                  { $multiply: [{ $subtract: [1, "$y"] }, { $ln: { $subtract: [1, "$p"] } }] },
+                ],
+              },
+            ],
+          },
+        },
+        staked: { $sum: { $cond: ["$bet", 1, 0] } },
+        returned: { $sum: { $cond: [{ $and: ["$bet", "$betWon"] }, "$betOdds", 0] } },
+      },
+    },
+    { $sort: { samples: -1 } },
+  ]);
+
+  return rows.map((r) => ({
+    group: r._id,
+    samples: r.samples,
+    wins: r.wins,
+    hitRate: round(r.wins / r.samples),
+    avgProbability: round(r.avgProbability),
+    avgConfidence: round(r.avgConfidence, 2),
+    brier: round(r.brier),
+    logLoss: round(r.logLoss),
+    roi: r.staked ? round((r.returned - r.staked) / r.staked) : null,
+    bets: r.staked,
+  }));
+}
+
+module.exports = {
+  GROUP_DIMENSIONS,
+  DEFAULT_GROUP_BY,
+  getPerformanceStats,
+};
@@ -0,0 +1,202 @@
+// services/summaryService.js
+// AI match summaries: generated once per match by the generate-summaries job, stored in MatchSummary,
+// capped by a daily budget that is reserved atomically before each call.
+const Match = require("../models/Match");
+const MatchSummary = require("../models/MatchSummary");
+const AiUsage = require("../models/AiUsage");
+const { buildSummaryPrompt, getSummaryFromAI } = require("./aiService");
+const { buildMatchFeatures } = require("./featureService");
+const { UPCOMING_STATUSES } = require("../utils/matchStatus");
+
+const USAGE_SCOPE = "summary";
+const EXPECTED_OUTPUT_TOKENS = 300; // 2-4 sentences, with headroom
+const CHARS_PER_TOKEN = 4;
+
+function today() {
+  return new Date().toISOString().split("T")[0];
+}
+
+function limit(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  if (value === "off") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Daily summary budget from env. AI_SUMMARY_DAILY_TOKENS (default 200000) and AI_SUMMARY_DAILY_COST_USD
+ * (default off, needs AI_COST_PER_1K_TOKENS) - whichever is hit first stops generation. "off" disables a limit.
+ */
+function loadBudget(env = process.env) {
+  return {
+    maxTokens: limit(env.AI_SUMMARY_DAILY_TOKENS, 200000),
+    maxCostUsd: limit(env.AI_SUMMARY_DAILY_COST_USD, null),
+    costPer1kTokens: limit(env.AI_COST_PER_1K_TOKENS, 0) || 0,
+  };
+}
+
+/**
+ * Today's usage plus the budget, and whether a call of `estimatedTokens` still fits
+ */
+async function getBudgetStatus(estimatedTokens = 0, budget = loadBudget()) {
+  const usage = (await AiUsage.findOne({ day: today(), scope: USAGE_SCOPE }).lean()) || { requests: 0, tokens: 0, costUsd: 0 };
+  const estimatedCost = (estimatedTokens / 1000) * budget.costPer1kTokens;
+  const fits =
+    (budget.maxTokens === null || usage.tokens + estimatedTokens <= budget.maxTokens) &&
+    (budget.maxCostUsd === null || usage.costUsd + estimatedCost <= budget.maxCostUsd);
+
+  return {
+    day: today(),
+    requests: usage.requests,
+    tokens: usage.tokens,
+    costUsd: Number(usage.costUsd.toFixed(4)),
+    maxTokens: budget.maxTokens,
+    maxCostUsd: budget.maxCostUsd,
+    fits,
+  };
+}
+
+/**
+ * Reserve `tokens` of today's budget in one atomic update. Resolves to true when the reservation fits.
+ * The usage row only matches while there is room left, so concurrent callers can't overspend it.
+ */
+async function reserveBudget(tokens, budget) {
+  const cost = (tokens / 1000) * budget.costPer1kTokens;
+  if (budget.maxTokens !== null && tokens > budget.maxTokens) return false;
+  if (budget.maxCostUsd !== null && cost > budget.maxCostUsd) return false;
+
+  const filter = { day: today(), scope: USAGE_SCOPE };
+  if (budget.maxTokens !== null) filter.tokens = { $lte: budget.maxTokens - tokens };
+  if (budget.maxCostUsd !== null) filter.costUsd = { $lte: budget.maxCostUsd - cost };
+
+  const update = { $inc: { requests: 1, tokens, costUsd: cost } };
+  try {
+    await AiUsage.findOneAndUpdate(filter, update, { upsert: true });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // the upsert collided with today's row: either it has no room left, or another caller created it first
+    return Boolean(await AiUsage.findOneAndUpdate(filter, update));
+  }
+}
+
+/**
+ * Move a reservation to what the call actually used (a negative delta refunds it)
+ */
+async function adjustUsage(deltaTokens, budget, { refund = false } = {}) {
+  if (!deltaTokens && !refund) return;
+  await AiUsage.updateOne(
+    { day: today(), scope: USAGE_SCOPE },
+    { $inc: { requests: refund ? -1 : 0, tokens: deltaTokens, costUsd: (deltaTokens / 1000) * budget.costPer1kTokens } }
+  );
+}
+
+/**
+ * The stored summary for a match, or null. Never calls the AI provider.
+ */
+async function getStoredSummary(matchId) {
+  return MatchSummary.findOne({ matchId }).lean();
+}
+
+async function generateSummary(match, { force }) {
+  if (!force) {
+    const existing = await getStoredSummary(match._id);
+    if (existing) return { summary: existing, generated: false };
+  }
+
+  const features = await buildMatchFeatures(match);
+  const budget = loadBudget();
+  const estimate = Math.ceil(buildSummaryPrompt(match, features).length / CHARS_PER_TOKEN) + EXPECTED_OUTPUT_TOKENS;
+  if (!(await reserveBudget(estimate, budget))) {
+    console.warn(`⚠️ Summary budget exhausted for ${today()}`);
+    return { summary: null, generated: false, skippedReason: "Daily AI summary budget exhausted" };
+  }
+
+  let result;
+  try {
+    result = await getSummaryFromAI(match, features);
+  } catch (err) {
+    await adjustUsage(-estimate, budget, { refund: true });
+    throw err;
+  }
+  // keep the estimate when the provider doesn't report usage, so the budget still moves
+  await adjustUsage(result.usage.totalTokens ? result.usage.totalTokens - estimate : 0, budget);
+
+  const summary = await MatchSummary.findOneAndUpdate(
+    { matchId: match._id },
+    {
+      $set: {
+        text: result.text,
+        model: result.model,
+        promptVersion: result.promptVersion,
+        featureVersion: features.version,
+        provenanceId: result.callId,
+        usage: result.usage,
+        generatedAt: new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  ).lean();
+
+  console.log(`✅ Summary ${force ? "regenerated" : "generated"} for match ${match._id} (${result.model})`);
+  return { summary, generated: true };
+}
+
+// matchId -> in-flight generation, so concurrent requests for one match share a single AI call
+const inFlight = new Map();
+
+/**
+ * The stored summary for a match, generating it first if there is none (or `force` is set).
+ * Resolves to { summary, generated }; summary is null with a skippedReason when today's budget can't cover the call.
+ */
+async function getOrCreateSummary(matchOrId, { force = false } = {}) {
+  const match = matchOrId && matchOrId._id ? matchOrId : await Match.findById(matchOrId).lean();
+  if (!match) throw new Error("Match not found");
+
+  const key = String(match._id);
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const pending = generateSummary(match, { force }).finally(() => inFlight.delete(key));
+  inFlight.set(key, pending);
+  return pending;
+}
+
+/**
+ * generate-summaries job: summaries for matches kicking off in the next `hours` that don't have one yet.
+ * Stops at the first budget refusal; the rest are picked up on a later run.
+ */
+async function generateUpcomingSummaries({ hours = 48, batch = 20 } = {}) {
+  const now = new Date();
+  const matches = await Match.find({
+    status: { $in: UPCOMING_STATUSES },
+    matchDateUtc: { $gte: now, $lte: new Date(now.getTime() + hours * 60 * 60 * 1000) },
+  })
+    .sort({ matchDateUtc: 1 })
+    .lean();
+  const done = new Set((await MatchSummary.distinct("matchId", { matchId: { $in: matches.map((m) => m._id) } })).map(String));
+
+  const report = { candidates: 0, generated: 0, failed: 0, skippedReason: null };
+  for (const match of matches.filter((m) => !done.has(String(m._id))).slice(0, batch)) {
+    report.candidates++;
+    try {
+      const result = await getOrCreateSummary(match);
+      if (result.skippedReason) {
+        report.skippedReason = result.skippedReason;
+        break;
+      }
+      if (result.generated) report.generated++;
+    } catch (err) {
+      console.warn(`⚠️ Summary generation failed for match ${match._id}:`, err.message || err);
+      report.failed++;
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  loadBudget,
+  getBudgetStatus,
+  getStoredSummary,
+  getOrCreateSummary,
+  generateUpcomingSummaries,
+};
@@ -0,0 +1,191 @@
+// services/teamProfileService.js
+// Team profile, fixtures and head-to-head read models, built from Match (our feeds) and History (imports).
+const Match = require("../models/Match");
+const History = require("../models/History");
+const {
+  matchResultRow,
+  historyResultRow,
+  dedupeResults,
+  loadHistoricalMatches,
+  teamGames,
+  summarizeGames,
+} = require("./featureService");
+const { MATCH_STATUS, UPCOMING_STATUSES, IN_PLAY_STATUSES } = require("../utils/matchStatus");
+
+const FORM_LENGTH = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function teamRef(team) {
+  return { id: team._id, name: team.name };
+}
+
+function teamFilter(team) {
+  return [
+    { "homeTeam.id": team._id },
+    { "awayTeam.id": team._id },
+    { "homeTeam.name": team.name },
+    { "awayTeam.name": team.name },
+  ];
+}
+
+function record(games) {
+  const goalsFor = games.reduce((s, g) => s + g.goalsFor, 0);
+  const goalsAgainst = games.reduce((s, g) => s + g.goalsAgainst, 0);
+  return {
+    ...summarizeGames(games),
+    goalsFor,
+    goalsAgainst,
+    points: games.reduce((s, g) => s + (g.result === "W" ? 3 : g.result === "D" ? 1 : 0), 0),
+  };
+}
+
+function formatResult(r) {
+  return {
+    id: r.id,
+    from: r.from,
+    league: r.league,
+    date: r.matchDateUtc,
+    home: r.homeTeam,
+    away: r.awayTeam,
+    score: Number.isInteger(r.homeGoals) && Number.isInteger(r.awayGoals) ? { home: r.homeGoals, away: r.awayGoals } : null,
+  };
+}
+
+function formatFixture(m) {
+  return {
+    id: m._id,
+    from: "match",
+    league: m.league || null,
+    date: m.matchDateUtc,
+    status: m.status,
+    home: { id: m.homeTeam?.id || null, name: m.homeTeam?.name || null },
+    away: { id: m.awayTeam?.id || null, name: m.awayTeam?.name || null },
+    venue: m.venue || null,
+  };
+}
+
+async function upcomingFixtures(filter, limit) {
+  const rows = await Match.find({
+    $or: filter,
+    status: { $in: [...UPCOMING_STATUSES, ...IN_PLAY_STATUSES] },
+    matchDateUtc: { $gte: new Date(Date.now() - 3 * 60 * 60 * 1000) }, // in-play matches kicked off up to 3h ago
+  })
+    .sort({ matchDateUtc: 1 })
+    .limit(limit)
+    .lean();
+  return rows.map(formatFixture);
+}
+
+/**
+ * Profile of a Team document: venue, coach, recent form (newest first) and overall/home/away records
+ * over the stored results
+ */
+async function getTeamProfile(team, { formLength = FORM_LENGTH } = {}) {
+  const ref = teamRef(team);
+  const rows = await loadHistoricalMatches([team.name], [team._id]);
+  const games = teamGames(ref, rows, new Date());
+  const recent = games.slice(0, formLength);
+
+  // most team docs have no venue; fall back to where the latest home fixture was played
+  const lastHome = team.venue
+    ? null
+    : await Match.findOne(
+        { $or: [{ "homeTeam.id": team._id }, { "homeTeam.name": team.name }], venue: { $nin: [null, ""] } },
+        { venue: 1, venue_city: 1 }
+      )
+        .sort({ matchDateUtc: -1 })
+        .lean();
+
+  const [next] = await upcomingFixtures(teamFilter(team), 1);
+
+  return {
+    id: team._id,
+    name: team.name,
+    shortName: team.shortName || null,
+    code: team.code || null,
+    country: team.country || null,
+    logoUrl: team.logoUrl || null,
+    venue: team.venue || (lastHome ? { name: lastHome.venue, city: lastHome.venue_city || null } : null),
+    coach: team.coach || null,
+    form: recent.map((g) => g.result).join(""),
+    records: {
+      last: record(recent),
+      overall: record(games),
+      home: record(games.filter((g) => g.venue === "home")),
+      away: record(games.filter((g) => g.venue === "away")),
+    },
+    restDays: games.length ? Number(((Date.now() - games[0].date) / DAY_MS).toFixed(1)) : null,
+    lastResult: rows.length ? formatResult(rows[0]) : null,
+    nextFixture: next || null,
+  };
+}
+
+/**
+ * A team's past results (Match + History, newest first) and upcoming fixtures (soonest first)
+ */
+async function getTeamFixtures(team, { past = 10, upcoming = 10 } = {}) {
+  const rows = past ? await loadHistoricalMatches([team.name], [team._id]) : [];
+  return {
+    past: rows.slice(0, past).map(formatResult),
+    upcoming: upcoming ? await upcomingFixtures(teamFilter(team), upcoming) : [],
+  };
+}
+
+/**
+ * Every finished meeting of two teams across Match and History, with aggregates from teamA's point of view
+ */
+async function getHeadToHead(teamA, teamB, { limit = 20 } = {}) {
+  const a = teamRef(teamA);
+  const b = teamRef(teamB);
+  const pair = (home, away) => [
+    { "homeTeam.id": home._id, "awayTeam.id": away._id },
+    { "homeTeam.name": home.name, "awayTeam.name": away.name },
+  ];
+
+  const [matches, history] = await Promise.all([
+    Match.find({ status: MATCH_STATUS.FINISHED, $or: [...pair(teamA, teamB), ...pair(teamB, teamA)] }).lean(),
+    History.find({
+      $or: [
+        { homeTeam: teamA._id, awayTeam: teamB._id },
+        { homeTeam: teamB._id, awayTeam: teamA._id },
+      ],
+    })
+      .populate("homeTeam awayTeam", "name")
+      .lean(),
+  ]);
+
+  const meetings = dedupeResults([...matches.map(matchResultRow), ...history.map(historyResultRow)]).filter(
+    (r) => Number.isInteger(r.homeGoals) && Number.isInteger(r.awayGoals)
+  );
+  const games = teamGames(a, meetings, new Date(Date.now() + DAY_MS));
+  const rate = (pred) => (meetings.length ? Number((meetings.filter(pred).length / meetings.length).toFixed(3)) : null);
+  const totalGoals = meetings.reduce((s, r) => s + r.homeGoals + r.awayGoals, 0);
+
+  const [next] = await upcomingFixtures([...pair(teamA, teamB), ...pair(teamB, teamA)], 1);
+
+  return {
+    teamA: a,
+    teamB: b,
+    summary: {
+      played: meetings.length,
+      teamAWins: games.filter((g) => g.result === "W").length,
+      teamBWins: games.filter((g) => g.result === "L").length,
+      draws: games.filter((g) => g.result === "D").length,
+      teamAGoals: games.reduce((s, g) => s + g.goalsFor, 0),
+      teamBGoals: games.reduce((s, g) => s + g.goalsAgainst, 0),
+      avgGoals: meetings.length ? Number((totalGoals / meetings.length).toFixed(2)) : null,
+      bttsRate: rate((r) => r.homeGoals > 0 && r.awayGoals > 0),
+      over25Rate: rate((r) => r.homeGoals + r.awayGoals > 2),
+      teamAHome: record(games.filter((g) => g.venue === "home")),
+      teamAAway: record(games.filter((g) => g.venue === "away")),
+    },
+    meetings: meetings.slice(0, limit).map(formatResult),
+    nextMeeting: next || null,
+  };
+}
+
+module.exports = {
+  getTeamProfile,
+  getTeamFixtures,
+  getHeadToHead,
+};
@@ -0,0 +1,141 @@
+const Team = require("../models/Team");
+const Match = require("../models/Match");
+const History = require("../models/History");
+const Player = require("../models/Player");
+const Appearance = require("../models/Appearance");
+const { normalizeTeamName } = require("../utils/teamName");
+const { buildIdentity } = require("./matchIdentityService");
+const { markStandingsStale } = require("./standingsService");
+
+function sameCountry(a, b) {
+  return !a || !b || normalizeTeamName(a) === normalizeTeamName(b);
+}
+
+/**
+ * Resolve a provider team onto a Team document, creating it if needed.
+ * Lookup order: provider id mapping, then alias key (disambiguated by country when both sides have one).
+ * Any new spelling or provider id seen for an existing team is learned onto it.
+ *
+ * @param {Object} team { name, country?, shortName?, code?, logoUrl?, sourceId? }
+ * @param {string} [source] provider name for the sourceIds mapping
+ */
+async function resolveTeam(team, source) {
+  if (!team?.name) return null;
+  const key = normalizeTeamName(team.name);
+
+  let doc = source && team.sourceId
+    ? await Team.findOne({ [`sourceIds.${source}`]: team.sourceId })
+    : null;
+
+  if (!doc) {
+    const candidates = await Team.find({ $or: [{ aliases: key }, { name: team.name }] });
+    doc = candidates.find((c) => c.country && team.country && sameCountry(c.country, team.country)) ||
+      candidates.find((c) => sameCountry(c.country, team.country)) ||
+      null;
+  }
+
+  // only fields the provider actually sent, so a sparse feed doesn't wipe others;
+  // country is part of the identity, so it's only filled in, never changed
+  const $set = {};
+  for (const field of ["logoUrl", "shortName", "code"]) {
+    if (team[field]) $set[field] = team[field];
+  }
+  if (team.country && !doc?.country) $set.country = team.country;
+  if (source && team.sourceId) $set[`sourceIds.${source}`] = team.sourceId;
+
+  if (!doc) {
+    return Team.create({
+      name: team.name,
+      ...Object.fromEntries(Object.entries($set).filter(([k]) => !k.startsWith("sourceIds."))),
+      sourceIds: source && team.sourceId ? { [source]: team.sourceId } : undefined,
+      aliases: [key],
+    });
+  }
+
+  return Team.findByIdAndUpdate(doc._id, { $set, $addToSet: { aliases: key } }, { new: true });
+}
+
+/**
+ * Add alias spellings to a team
+ */
+async function addTeamAliases(teamId, names) {
+  const keys = [...new Set(names.map(normalizeTeamName).filter(Boolean))];
+  const team = await Team.findByIdAndUpdate(teamId, { $addToSet: { aliases: { $each: keys } } }, { new: true });
+  if (!team) throw new Error("Team not found");
+  return team;
+}
+
+/**
+ * Merge a duplicate team into a survivor and rewrite every reference to it in Match, History, Player and Appearance
+ */
+async function mergeTeams(survivorId, duplicateId) {
+  if (String(survivorId) === String(duplicateId)) throw new Error("Cannot merge a team into itself");
+  const [survivor, duplicate] = await Promise.all([Team.findById(survivorId), Team.findById(duplicateId)]);
+  if (!survivor || !duplicate) throw new Error("Team not found");
+
+  const aliases = new Set([...(survivor.aliases || []), ...(duplicate.aliases || [])]);
+  aliases.add(normalizeTeamName(survivor.name));
+  aliases.add(normalizeTeamName(duplicate.name));
+  survivor.aliases = [...aliases];
+
+  for (const [source, id] of duplicate.sourceIds || []) {
+    if (!survivor.sourceIds?.get(source)) survivor.set(`sourceIds.${source}`, id);
+  }
+  for (const field of ["shortName", "code", "country", "logoUrl", "venue", "coach"]) {
+    if (survivor.get(field) == null && duplicate.get(field) != null) survivor.set(field, duplicate.get(field));
+  }
+  // team_id is unique, so the survivor can only take it once the duplicate is gone
+  const teamId = survivor.team_id == null ? duplicate.team_id : null;
+
+  // the survivor (with the duplicate's aliases and provider ids) is saved before anything is rewritten or deleted
+  await survivor.save();
+
+  const report = {
+    survivorId: String(survivor._id),
+    duplicateId: String(duplicate._id),
+    matches: 0,
+    history: 0,
+    players: 0,
+    appearances: 0,
+  };
+
+  // embedded Match teams: rewrite id/name/logo and recompute the canonical identity
+  const matches = await Match.find({ $or: [{ "homeTeam.id": duplicate._id }, { "awayTeam.id": duplicate._id }] });
+  const embedded = { id: survivor._id, name: survivor.name, logoUrl: survivor.logoUrl || null };
+  for (const match of matches) {
+    if (String(match.homeTeam?.id) === String(duplicate._id)) match.homeTeam = embedded;
+    if (String(match.awayTeam?.id) === String(duplicate._id)) match.awayTeam = embedded;
+    match.identity = buildIdentity(match.homeTeam?.name, match.awayTeam?.name, match.matchDateUtc);
+    await match.save();
+    report.matches++;
+  }
+
+  const [home, away] = await Promise.all([
+    History.updateMany({ homeTeam: duplicate._id }, { $set: { homeTeam: survivor._id } }),
+    History.updateMany({ awayTeam: duplicate._id }, { $set: { awayTeam: survivor._id } }),
+  ]);
+  report.history = home.modifiedCount + away.modifiedCount;
+
+  const players = await Player.updateMany({ team: duplicate._id }, { $set: { team: survivor._id } });
+  report.players = players.modifiedCount;
+  const appearances = await Appearance.updateMany({ team: duplicate._id }, { $set: { team: survivor._id } });
+  report.appearances = appearances.modifiedCount;
+
+  // tables are keyed by team, rebuild them with the merged team
+  await markStandingsStale();
+
+  await Team.deleteOne({ _id: duplicate._id });
+  if (teamId != null) {
+    survivor.team_id = teamId;
+    await survivor.save();
+  }
+
+  console.log(`✅ Merged team ${duplicate.name} into ${survivor.name}: ${report.matches} matches, ${report.history} history rows, ${report.players} players`);
+  return report;
+}
+
+module.exports = {
+  resolveTeam,
+  addTeamAliases,
+  mergeTeams,
+};
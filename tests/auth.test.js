@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const AuditLog = require("../models/AuditLog");
+const { requireApiKey, protectMutations, reloadApiKeys } = require("../middleware/auth");
+
+function request(method, authorization) {
+  const headers = { authorization, "user-agent": "node-test" };
+  return { method, originalUrl: "/api/cron/fetch-matches?x=1", ip: "127.0.0.1", get: (name) => headers[name.toLowerCase()] };
+}
+
+function response() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.body = null;
+  res.set = (name, value) => ((res.headers[name] = value), res);
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  return res;
+}
+
+// runs the middleware and resolves to whether it called next()
+function run(middleware, req, res) {
+  let passed = false;
+  middleware(req, res, () => (passed = true));
+  return passed;
+}
+
+function setup(t, env) {
+  const audits = [];
+  t.mock.method(AuditLog, "create", async (record) => audits.push(record));
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  reloadApiKeys(env);
+  t.after(() => reloadApiKeys({}));
+  return audits;
+}
+
+test("requireApiKey lets a configured key through and audits the request once it finishes", (t) => {
+  const audits = setup(t, { CRON_SECRET: "cron-token", API_KEYS: "ops:ops-token" });
+  const req = request("GET", "Bearer ops-token");
+  const res = response();
+
+  assert.equal(run(requireApiKey, req, res), true);
+  assert.deepEqual(req.auth, { keyName: "ops" });
+  res.emit("finish");
+  assert.deepEqual([audits[0].keyName, audits[0].outcome, audits[0].action], ["ops", "allowed", "GET /api/cron/fetch-matches"]);
+
+  // CRON_SECRET is the "cron" key
+  const cron = request("GET", "bearer cron-token");
+  assert.equal(run(requireApiKey, cron, response()), true);
+  assert.equal(cron.auth.keyName, "cron");
+});
+
+test("requireApiKey answers 401 for missing or malformed credentials and 403 for unknown tokens", (t) => {
+  const audits = setup(t, { API_KEYS: "ops:ops-token" });
+
+  const missing = response();
+  assert.equal(run(requireApiKey, request("GET"), missing), false);
+  assert.deepEqual([missing.statusCode, missing.body.code, missing.headers["WWW-Authenticate"]], [401, "AUTH_MISSING", "Bearer"]);
+
+  const malformed = response();
+  assert.equal(run(requireApiKey, request("GET", "Basic ops-token"), malformed), false);
+  assert.deepEqual([malformed.statusCode, malformed.body.code], [401, "AUTH_MALFORMED"]);
+
+  const wrong = response();
+  assert.equal(run(requireApiKey, request("GET", "Bearer nope"), wrong), false);
+  assert.deepEqual([wrong.statusCode, wrong.body.code], [403, "AUTH_INVALID_TOKEN"]);
+
+  assert.deepEqual(audits.map((a) => a.reason), ["AUTH_MISSING", "AUTH_MALFORMED", "AUTH_INVALID_TOKEN"]);
+  assert.ok(audits.every((a) => a.outcome === "denied" && a.keyName === null));
+});
+
+test("reloadApiKeys ignores placeholder tokens copied from .env.example", (t) => {
+  setup(t, {});
+
+  assert.deepEqual(reloadApiKeys({ CRON_SECRET: "YOUR_CRON_SECRET", API_KEYS: "ops:your_ops_token,ci:ci-token,bad" }), ["ci"]);
+  const res = response();
+  assert.equal(run(requireApiKey, request("GET", "Bearer YOUR_CRON_SECRET"), res), false);
+  assert.equal(res.statusCode, 403);
+});
+
+test("protectMutations only guards writes", (t) => {
+  setup(t, { API_KEYS: "ops:ops-token" });
+
+  assert.equal(run(protectMutations, request("GET"), response()), true);
+  const res = response();
+  assert.equal(run(protectMutations, request("POST"), res), false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(run(protectMutations, request("DELETE", "Bearer ops-token"), response()), true);
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Match = require("../models/Match");
+const { backfillMatchScores } = require("../scripts/backfillMatchScores");
+
+function stubMatches(t, rows) {
+  const writes = [];
+  t.mock.method(Match, "find", () => ({
+    lean: () => ({
+      cursor: () =>
+        (async function* () {
+          yield* rows;
+        })(),
+    }),
+  }));
+  t.mock.method(Match, "bulkWrite", async (ops) => writes.push(...ops));
+  return writes;
+}
+
+const LEGACY = [
+  { _id: "m1", ft_score: "[2-1]", ht_score: "[1-1]" },
+  { _id: "m2", rawMatch: { scores: { ft_score: "[0-0]", et_score: "[1-0]" } } },
+  { _id: "m3", homeGoals: 3, awayGoals: 3 },
+  { _id: "m4", ft_score: "[-]" },
+];
+
+test("backfillMatchScores fills score from legacy strings, the raw payload or goal counts", async (t) => {
+  const writes = stubMatches(t, LEGACY);
+
+  const report = await backfillMatchScores();
+
+  assert.deepEqual(report, { scanned: 4, updated: 3, unparseable: 1 });
+  const set = Object.fromEntries(writes.map((w) => [w.updateOne.filter._id, w.updateOne.update.$set]));
+  assert.deepEqual(set.m1.score, { ft: { home: 2, away: 1 }, ht: { home: 1, away: 1 }, et: null, pen: null });
+  assert.deepEqual([set.m1.homeGoals, set.m1.awayGoals], [2, 1]);
+  assert.deepEqual(set.m2.score.et, { home: 1, away: 0 });
+  assert.deepEqual(set.m3.score.ft, { home: 3, away: 3 });
+  assert.equal(set.m4, undefined);
+});
+
+test("backfillMatchScores writes nothing on a dry run", async (t) => {
+  const writes = stubMatches(t, LEGACY);
+
+  const report = await backfillMatchScores({ dryRun: true });
+
+  assert.equal(report.updated, 3);
+  assert.equal(writes.length, 0);
+});
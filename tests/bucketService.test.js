@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_BUCKET_RULES, loadBucketRules, assignBucket } = require("../services/bucketService");
+
+const pick = (odds, edge, market = "oneXTwo", selection = "home") => ({ market, selection, odds, edge, probability: 0.5, implied: 0.5 - edge });
+
+test("loadBucketRules layers BUCKET_RULES over the defaults", () => {
+  const rules = loadBucketRules({ BUCKET_RULES: "vip.minEdge=0.02,big10.maxOdds=20,value5.maxOdds=off,bogus.minEdge=1,vip.minOdds=x" });
+
+  assert.equal(rules.vip.minEdge, 0.02);
+  assert.equal(rules.vip.minOdds, DEFAULT_BUCKET_RULES.vip.minOdds);
+  assert.equal(rules.big10.maxOdds, 20);
+  assert.equal(rules.value5.maxOdds, null);
+  assert.equal(rules.bogus, undefined);
+  assert.deepEqual(loadBucketRules({}), DEFAULT_BUCKET_RULES);
+});
+
+test("assignBucket checks buckets in order and returns the qualifying pick", () => {
+  const rules = loadBucketRules({});
+
+  const vip = assignBucket({ confidence: 80, edges: [pick(1.5, 0.01)] }, rules);
+  assert.equal(vip.bucket, "vip");
+  assert.equal(vip.reason, "rule:vip");
+  assert.equal(vip.pick.odds, 1.5);
+
+  // too little confidence for vip/daily2, enough edge for value5
+  assert.equal(assignBucket({ confidence: 50, edges: [pick(3, 0.06)] }, rules).bucket, "value5");
+  assert.equal(assignBucket({ confidence: 50, edges: [pick(8, 0.04)] }, rules).bucket, "big10");
+});
+
+test("assignBucket picks the best-edge selection that satisfies a rule", () => {
+  const edges = [pick(1.4, 0.01, "oneXTwo", "home"), pick(12, 0.02, "over25", "over"), pick(1.6, 0.03, "btts", "yes")];
+  const result = assignBucket({ confidence: 90, edges }, loadBucketRules({}));
+
+  assert.equal(result.bucket, "vip");
+  assert.deepEqual([result.pick.market, result.pick.selection], ["btts", "yes"]);
+});
+
+test("assignBucket gives no bucket without odds or a matching rule", () => {
+  assert.deepEqual(assignBucket({ confidence: 99, edges: [] }), { bucket: null, pick: null, reason: "none:no-odds" });
+  assert.deepEqual(assignBucket({ confidence: 99, edges: [pick(1.5, -0.02)] }, loadBucketRules({})), {
+    bucket: null,
+    pick: null,
+    reason: "none:no-rule",
+  });
+});
@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Calibration = require("../models/Calibration");
+const Prediction = require("../models/Prediction");
+const {
+  fitPlatt,
+  fitIsotonic,
+  calibrateOutcomes,
+  blendOutcomes,
+  loadEnsembleWeights,
+  refitCalibrations,
+} = require("../services/calibrationService");
+
+// `n` predictions of `p` of which `hits` came in
+function points(p, n, hits) {
+  return Array.from({ length: n }, (_, i) => [p, i < hits ? 1 : 0]);
+}
+
+test("fitIsotonic pools adjacent violators into a monotone step function", () => {
+  const { points: knots } = fitIsotonic([[0.2, 1], [0.3, 0], [0.6, 0], [0.8, 1]]);
+
+  assert.deepEqual(knots.map(([, y]) => y), [1 / 3, 1]);
+  for (let i = 1; i < knots.length; i++) assert.ok(knots[i][0] > knots[i - 1][0]);
+});
+
+test("fitPlatt shrinks overconfident probabilities", () => {
+  // the model says 0.8 / 0.2 but those come in 60% / 40% of the time
+  const { a, b } = fitPlatt([...points(0.8, 100, 60), ...points(0.2, 100, 40)]);
+  const calibrated = 1 / (1 + Math.exp(-(a * Math.log(0.8 / 0.2) + b)));
+
+  assert.ok(a > 0 && a < 1);
+  assert.ok(Math.abs(calibrated - 0.6) < 0.01);
+});
+
+test("calibrateOutcomes renormalises 1X2 and keeps over lines monotone", () => {
+  const calibration = {
+    method: "isotonic",
+    events: {
+      home: { params: { points: [[0, 0.6], [1, 0.6]] } },
+      draw: { params: { points: [[0, 0.3], [1, 0.3]] } },
+      away: { params: { points: [[0, 0.3], [1, 0.3]] } },
+      over15: { params: { points: [[0, 0.9], [1, 0.9]] } },
+    },
+  };
+  const outcomes = { oneXTwo: { home: 0.5, draw: 0.25, away: 0.25 }, over05: 0.8, over15: 0.6, over25: 0.4, bttsYes: 0.55 };
+  const c = calibrateOutcomes(outcomes, calibration);
+
+  assert.deepEqual(c.oneXTwo, { home: 0.5, draw: 0.25, away: 0.25 });
+  assert.equal(c.doubleChance.homeOrDraw, 0.75);
+  assert.equal(c.over15, 0.8); // capped at over05
+  assert.equal(c.over25, 0.4);
+  assert.equal(c.bttsNo, 0.45);
+  assert.equal(calibrateOutcomes(outcomes, null), outcomes);
+});
+
+test("calibrateOutcomes passes through markets the model didn't predict", () => {
+  const calibration = { method: "isotonic", events: { over25: { params: { points: [[0, 0.5], [1, 0.5]] } } } };
+  const c = calibrateOutcomes({ over25: 0.4 }, calibration);
+
+  assert.deepEqual(c, { over25: 0.5 });
+  // a partial 1X2 is left as it came
+  const partial = calibrateOutcomes({ oneXTwo: { home: 0.5 }, bttsYes: null }, calibration);
+  assert.deepEqual(partial, { oneXTwo: { home: 0.5 }, bttsYes: null });
+});
+
+test("refitCalibrations activates the new fit before retiring the old one", async (t) => {
+  const settled = Array.from({ length: 60 }, (_, i) => ({
+    version: "stat-dc-1",
+    outcomes: { oneXTwo: { home: 0.6, draw: 0.2, away: 0.2 } },
+    settlement: { score: { home: i % 2, away: 0 } },
+  }));
+  const calls = [];
+  t.mock.method(Prediction, "find", () => ({ lean: async () => settled }));
+  t.mock.method(Calibration, "create", async (doc) => {
+    calls.push(["create", doc]);
+    return { _id: "new-id", ...doc };
+  });
+  t.mock.method(Calibration, "updateMany", async (filter) => calls.push(["updateMany", filter]));
+
+  const { fitted } = await refitCalibrations();
+
+  assert.equal(fitted.length, 1);
+  assert.deepEqual(calls.map(([op]) => op), ["create", "updateMany"]);
+  assert.equal(calls[0][1].active, true);
+  assert.deepEqual(calls[1][1], { modelVersion: "stat-dc-1", active: true, _id: { $ne: "new-id" } });
+});
+
+test("blendOutcomes weights models and renormalises over the ones present", () => {
+  const a = { oneXTwo: { home: 0.6, draw: 0.2, away: 0.2 }, over25: 0.5 };
+  const b = { oneXTwo: { home: 0.3, draw: 0.4, away: 0.3 }, over25: 0.7 };
+
+  assert.deepEqual(blendOutcomes([{ outcomes: a, weight: 3 }, { outcomes: b, weight: 1 }]).oneXTwo, { home: 0.525, draw: 0.25, away: 0.225 });
+  assert.equal(blendOutcomes([{ outcomes: a, weight: 0.5 }, { outcomes: null, weight: 0.5 }]).over25, 0.5);
+  assert.equal(blendOutcomes([{ outcomes: a, weight: 0 }]), null);
+});
+
+test("loadEnsembleWeights parses ENSEMBLE_WEIGHTS and drops non-positive weights", () => {
+  assert.deepEqual(loadEnsembleWeights({ ENSEMBLE_WEIGHTS: "ai-2x=0.7, stat-dc-1=0.3,bad=0,nope" }), { "ai-2x": 0.7, "stat-dc-1": 0.3 });
+  assert.deepEqual(loadEnsembleWeights({}), { "ai-2x": 0.5, "stat-dc-1": 0.5 });
+});
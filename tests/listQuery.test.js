@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Match = require("../models/Match");
+const { MAX_LIMIT, encodeCursor, decodeCursor, listQuerySchema, paginate } = require("../utils/listQuery");
+
+test("cursors round-trip dates, plain values and ids", () => {
+  const date = new Date("2025-09-01T15:00:00Z");
+  const decoded = decodeCursor(encodeCursor("-date", date, "665f1c0e8b3f2a0012345678"));
+
+  assert.deepEqual(decoded, { sort: "-date", value: date, id: "665f1c0e8b3f2a0012345678" });
+  assert.deepEqual(decodeCursor(encodeCursor("name", "Arsenal", 42)), { sort: "name", value: "Arsenal", id: "42" });
+  assert.equal(decodeCursor(encodeCursor("date", undefined, "x")).value, null);
+});
+
+test("decodeCursor rejects tampered or foreign cursors", () => {
+  assert.equal(decodeCursor("not-a-cursor"), null);
+  assert.equal(decodeCursor(Buffer.from(JSON.stringify({ s: "date" })).toString("base64url")), null);
+  assert.equal(decodeCursor(Buffer.from("[]").toString("base64url")), null);
+});
+
+test("listQuerySchema applies defaults and coerces query strings", () => {
+  const q = listQuerySchema().parse({ limit: "10", status: "finished, live", minConfidence: "70" });
+
+  assert.equal(q.limit, 10);
+  assert.equal(q.sort, "-date");
+  assert.deepEqual(q.status, ["finished", "live"]);
+  assert.equal(q.minConfidence, 70);
+  assert.equal(listQuerySchema({ defaultLimit: 20 }).parse({}).limit, 20);
+});
+
+test("listQuerySchema rejects out-of-range values", () => {
+  const schema = listQuerySchema();
+
+  assert.equal(schema.safeParse({ limit: String(MAX_LIMIT + 1) }).success, false);
+  assert.equal(schema.safeParse({ bucket: "gold" }).success, false);
+  assert.equal(schema.safeParse({ status: "nope" }).success, false);
+  assert.equal(schema.safeParse({ from: "2025-09-02", to: "2025-09-01" }).success, false);
+});
+
+test("listQuerySchema only accepts a cursor issued for the same sort", () => {
+  const schema = listQuerySchema();
+  const cursor = encodeCursor("-date", new Date("2025-09-01T15:00:00Z"), "abc");
+
+  assert.deepEqual(schema.parse({ cursor }).cursor, decodeCursor(cursor));
+  const wrongSort = schema.safeParse({ cursor, sort: "date" });
+  assert.equal(wrongSort.success, false);
+  assert.deepEqual(wrongSort.error.issues[0].path, ["cursor"]);
+});
+
+test("paginate reads limit + 1 rows and hands out a cursor for the last one", async (t) => {
+  const rows = [1, 2, 3].map((day) => ({ _id: `665f1c0e8b3f2a001234567${day}`, matchDateUtc: new Date(Date.UTC(2025, 8, day)) }));
+  let limit;
+  t.mock.method(Match, "find", () => ({ sort: () => ({ limit: (n) => ((limit = n), { lean: async () => rows.slice(0, n) }) }) }));
+
+  const { items, pagination } = await paginate(Match, {}, { limit: 2, sort: "date" });
+
+  assert.equal(limit, 3);
+  assert.equal(items.length, 2);
+  assert.equal(pagination.hasMore, true);
+  assert.deepEqual(decodeCursor(pagination.nextCursor), { sort: "date", value: rows[1].matchDateUtc, id: rows[1]._id });
+});
+
+test("paginate runs extra pipeline stages as a cast, limited aggregation", async (t) => {
+  let stages;
+  t.mock.method(Match, "aggregate", async (p) => ((stages = p), []));
+  const cursor = decodeCursor(encodeCursor("-date", new Date("2025-09-01T15:00:00Z"), "665f1c0e8b3f2a0012345678"));
+  const lookup = { $match: { "qualifying.0": { $exists: true } } };
+
+  const { pagination } = await paginate(Match, { status: { $in: ["finished"] } }, { limit: 5, sort: "-date", cursor, pipeline: [lookup] });
+
+  assert.equal(pagination.hasMore, false);
+  assert.deepEqual(stages.slice(1).map((s) => Object.keys(s)[0]), ["$sort", "$match", "$limit"]);
+  assert.equal(stages[2], lookup);
+  assert.equal(stages[3].$limit, 6);
+  // the cursor's id is cast to an ObjectId, which a raw aggregation wouldn't do
+  const idClause = stages[0].$match.$and[1].$or[1]._id.$lt;
+  assert.equal(idClause.constructor.name, "ObjectId");
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Match = require("../models/Match");
+const Prediction = require("../models/Prediction");
+const Standing = require("../models/Standing");
+const { subscribe } = require("../services/eventBus");
+const { mergeGoals, applyLiveUpdate } = require("../services/liveService");
+
+const goal = (minute, team, player, extra = {}) => ({ minute, team, player, type: "goal", ...extra });
+
+test("mergeGoals appends only goals the match doesn't have yet", () => {
+  const existing = [goal("12", "home", "B. Saka")];
+  const { goals, added } = mergeGoals(existing, [
+    goal("12", "home", "b saka"), // same goal, spelled differently
+    goal("40", "away", "C. Palmer"),
+    goal("40", "away", "C. Palmer", { externalId: "g-2" }),
+  ]);
+
+  assert.deepEqual(added.map((g) => g.player), ["C. Palmer", "C. Palmer"]);
+  assert.equal(goals[0], existing[0]);
+  assert.equal(goals.length, 3);
+  assert.deepEqual(mergeGoals(undefined, undefined), { goals: [], added: [] });
+});
+
+function liveMatch(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    league: "Premier League",
+    status: "live",
+    score: { ft: { home: 1, away: 0 }, ht: null },
+    goals: [goal("12", "home", "B. Saka")],
+    ...overrides,
+  };
+}
+
+// findByIdAndUpdate answers with `match` after the update
+function stubUpdate(t, match) {
+  const updates = [];
+  t.mock.method(Match, "findByIdAndUpdate", (id, update) => {
+    updates.push(update.$set);
+    return { lean: async () => ({ ...match, ...update.$set }) };
+  });
+  return updates;
+}
+
+test("applyLiveUpdate writes the new score and goals and publishes the change", async (t) => {
+  const match = liveMatch();
+  const updates = stubUpdate(t, match);
+  const events = [];
+  const unsubscribe = subscribe((e) => events.push(e));
+  t.after(unsubscribe);
+
+  const changes = await applyLiveUpdate(match, {
+    status: "HT",
+    score: { ft: { home: 1, away: 1 }, ht: { home: 1, away: 1 } },
+    goals: [goal("12", "home", "B. Saka"), goal("44", "away", "C. Palmer")],
+  });
+
+  assert.deepEqual(changes.status, { from: "live", to: "HT" });
+  assert.deepEqual(changes.score, { home: 1, away: 1 });
+  assert.deepEqual(changes.goals.map((g) => g.minute), ["44"]);
+  assert.deepEqual([updates[0].homeGoals, updates[0].awayGoals, updates[0].goals.length], [1, 1, 2]);
+  assert.deepEqual(updates[0].score.ht, { home: 1, away: 1 });
+
+  const [event] = events.filter((e) => e.type === "match.updated");
+  assert.equal(event.data.matchId, String(match._id));
+  assert.deepEqual(event.data.newGoals.map((g) => g.player), ["C. Palmer"]);
+});
+
+test("applyLiveUpdate ignores stale rows and backwards status moves", async (t) => {
+  const match = liveMatch({ status: "finished" });
+  const updates = stubUpdate(t, match);
+
+  assert.equal(await applyLiveUpdate(match, { status: "live", score: { ft: { home: 1, away: 0 } }, goals: [] }), null);
+  assert.equal(updates.length, 0);
+});
+
+test("applyLiveUpdate settles the match and updates its table when it finishes", async (t) => {
+  const match = liveMatch({ season: "2025/2026", matchDateUtc: new Date("2025-09-20T14:00:00Z") });
+  stubUpdate(t, match);
+  const settle = t.mock.method(Prediction, "find", async () => []);
+  const table = t.mock.method(Standing, "findOne", () => ({ lean: async () => null }));
+
+  const changes = await applyLiveUpdate(match, { status: "finished", score: { ft: { home: 2, away: 0 } }, goals: [] });
+
+  assert.deepEqual(changes.status, { from: "live", to: "finished" });
+  assert.equal(settle.mock.callCount(), 1);
+  assert.deepEqual(table.mock.calls[0].arguments[0], { league: "premier-league", season: "2025/2026" });
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeOdds, marketConsensus, computeEdges, bestPrice } = require("../services/oddsService");
+
+const line = (bookmaker, market, selection, price) => ({ bookmaker, market, selection, price });
+
+test("normalizeOdds removes the overround proportionally", () => {
+  const lines = normalizeOdds([line("B365", "oneXTwo", "home", 2), line("B365", "oneXTwo", "draw", 4), line("B365", "oneXTwo", "away", 4)]);
+  const implied = Object.fromEntries(lines.map((l) => [l.selection, l.implied]));
+
+  // book = 0.5 + 0.25 + 0.25 = 1, so the prices are already fair
+  assert.deepEqual(implied, { home: 0.5, draw: 0.25, away: 0.25 });
+  assert.ok(lines.every((l) => l.overround === 0 && l.bookmaker === "b365"));
+
+  const juiced = normalizeOdds([line("x", "btts", "yes", 1.8), line("x", "btts", "no", 1.8)]);
+  assert.equal(juiced[0].overround, 0.1111);
+  assert.equal(juiced[0].implied, 0.5);
+});
+
+test("normalizeOdds treats a double chance book as summing to 2", () => {
+  const lines = normalizeOdds([
+    line("x", "doubleChance", "homeOrDraw", 1.25),
+    line("x", "doubleChance", "homeOrAway", 1.25),
+    line("x", "doubleChance", "drawOrAway", 2.5),
+  ]);
+
+  assert.equal(lines[0].overround, 0);
+  assert.equal(lines.find((l) => l.selection === "drawOrAway").implied, 0.4);
+});
+
+test("normalizeOdds drops invalid lines and leaves incomplete markets unpriced", () => {
+  const lines = normalizeOdds([
+    line("x", "over25", "over", 1.9),
+    line("x", "over25", "sideways", 2),
+    line("x", "nope", "over", 2),
+    line("x", "oneXTwo", "home", 1),
+    { market: "oneXTwo", selection: "home", price: 2 },
+  ]);
+
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].implied, null);
+  assert.equal(lines[0].overround, null);
+});
+
+test("marketConsensus keeps the best price and averages implied probabilities", () => {
+  const lines = normalizeOdds([
+    line("a", "btts", "yes", 1.8), line("a", "btts", "no", 2.2),
+    line("b", "btts", "yes", 2.0), line("b", "btts", "no", 1.8),
+  ]);
+  const yes = marketConsensus(lines).btts.yes;
+
+  assert.equal(yes.odds, 2);
+  assert.equal(yes.bookmaker, "b");
+  assert.equal(yes.bookmakers, 2);
+  assert.equal(yes.implied, Number(((0.55 + 0.4737) / 2).toFixed(4)));
+  assert.equal(bestPrice(lines, "btts", "no"), 2.2);
+});
+
+test("computeEdges compares model probabilities with the fair price, best edge first", () => {
+  const lines = normalizeOdds([line("x", "over25", "over", 2), line("x", "over25", "under", 2)]);
+  const edges = computeEdges({ over25: 0.6, oneXTwo: { home: 0.5, draw: 0.3, away: 0.2 } }, lines);
+
+  assert.deepEqual(
+    edges.map((e) => [e.market, e.selection, e.edge]),
+    [["over25", "over", 0.1], ["over25", "under", -0.1]]
+  );
+  assert.equal(edges[0].odds, 2);
+  assert.equal(edges[0].implied, 0.5);
+});
@@ -0,0 +1,156 @@
+// The prediction pipeline end to end with the offline AI provider; every model is stubbed in memory.
+process.env.AI_PROVIDER = "stub";
+delete process.env.AI_MODELS;
+delete process.env.ENSEMBLE_WEIGHTS;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Match = require("../models/Match");
+const History = require("../models/History");
+const Player = require("../models/Player");
+const Prediction = require("../models/Prediction");
+const Calibration = require("../models/Calibration");
+const AiCall = require("../models/AiCall");
+const { generateAllPredictions } = require("../services/cronService");
+const { getPredictionsFromAI } = require("../services/aiService");
+const { buildMatchFeatures } = require("../services/featureService");
+const { normalizeOdds } = require("../services/oddsService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TEAMS = ["Arsenal", "Chelsea", "Everton", "Fulham"].map((name) => ({ id: new mongoose.Types.ObjectId(), name }));
+
+// a chainable stand-in for a mongoose query that resolves to `rows`
+function query(rows) {
+  const q = { sort: () => q, limit: () => q, populate: () => q, lean: async () => rows };
+  return q;
+}
+
+// three double round robins of finished results, enough for the stat model to rate every team
+function finishedMatches() {
+  const rows = [];
+  let daysAgo = 200;
+  for (let round = 0; round < 3; round++) {
+    for (const home of TEAMS) {
+      for (const away of TEAMS) {
+        if (home === away) continue;
+        const goals = (home.name.length + away.name.length * 2 + round) % 4;
+        rows.push({
+          _id: new mongoose.Types.ObjectId(),
+          league: "Premier League",
+          status: "finished",
+          matchDateUtc: new Date(Date.now() - daysAgo-- * DAY_MS),
+          homeTeam: home,
+          awayTeam: away,
+          score: { ft: { home: goals, away: (goals + round) % 3 } },
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+function upcomingMatch() {
+  const price = (selection, market, p) => ({ bookmaker: "b365", market, selection, price: p });
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    league: "Premier League",
+    status: "scheduled",
+    matchDateUtc: new Date(Date.now() + DAY_MS),
+    homeTeam: TEAMS[0],
+    awayTeam: TEAMS[1],
+    marketOdds: normalizeOdds([
+      price("home", "oneXTwo", 2.1), price("draw", "oneXTwo", 3.4), price("away", "oneXTwo", 3.6),
+      price("yes", "btts", 1.9), price("no", "btts", 1.9),
+      price("over", "over25", 1.95), price("under", "over25", 1.85),
+    ]),
+  };
+}
+
+function stubStore(t, match) {
+  const store = { predictions: [], aiCalls: [], linked: [], matchUpdates: [] };
+  const history = finishedMatches();
+
+  t.mock.method(Match, "find", (filter) => query(filter.status?.$in ? [match] : history));
+  t.mock.method(Match, "updateOne", async (...args) => store.matchUpdates.push(args));
+  t.mock.method(History, "find", () => query([]));
+  t.mock.method(Player, "find", () => query([]));
+  t.mock.method(Calibration, "findOne", () => query(null));
+  t.mock.method(Prediction, "distinct", async () => []);
+  t.mock.method(Prediction, "insertMany", async (docs) => {
+    const created = docs.map((d) => new Prediction({ ...d, createdAt: new Date() }));
+    store.predictions.push(...created);
+    return created;
+  });
+  t.mock.method(Prediction, "find", (filter) =>
+    query(store.predictions.filter((p) => filter.version.$in.includes(p.version)).map((p) => p.toObject()))
+  );
+  t.mock.method(AiCall, "create", async (doc) => {
+    const call = { _id: new mongoose.Types.ObjectId(), ...doc };
+    store.aiCalls.push(call);
+    return call;
+  });
+  t.mock.method(AiCall, "updateOne", async (filter, update) => store.linked.push([filter, update]));
+  return store;
+}
+
+test("getPredictionsFromAI answers offline with the stub provider and records the call", async (t) => {
+  const match = upcomingMatch();
+  const store = stubStore(t, match);
+
+  const features = await buildMatchFeatures(match);
+  const { predictions, provenance } = await getPredictionsFromAI(match, features);
+
+  assert.equal(predictions.length, 1);
+  assert.ok(Math.abs(predictions[0].oneXTwo.home + predictions[0].oneXTwo.draw + predictions[0].oneXTwo.away - 1) < 0.01);
+  assert.deepEqual([provenance.provider, provenance.model], ["stub", "stub-1"]);
+
+  const [call] = store.aiCalls;
+  assert.equal(String(provenance.callId), String(call._id));
+  assert.deepEqual([call.kind, call.status, call.retries, call.matchId], ["predictions", "succeeded", 0, match._id]);
+  assert.ok(call.usage.totalTokens > 0);
+  assert.match(call.inputHash, /^[0-9a-f]{64}$/);
+
+  // the stub is deterministic per prompt
+  const again = await getPredictionsFromAI(match, features);
+  assert.deepEqual(again.predictions, predictions);
+});
+
+test("generateAllPredictions saves baseline, AI and a bucketed ensemble prediction with provenance", async (t) => {
+  const match = upcomingMatch();
+  const store = stubStore(t, match);
+
+  const report = await generateAllPredictions();
+
+  assert.deepEqual(
+    [report.considered, report.baselinePredicted, report.predicted, report.ensemblePredicted, report.aiFailures],
+    [1, 1, 1, 1, 0]
+  );
+  assert.equal(report.predictionsCreated, 3);
+  assert.deepEqual(store.predictions.map((p) => p.version), ["stat-dc-1", "ai-2x", "ensemble-1"]);
+
+  for (const p of store.predictions) {
+    assert.equal(String(p.matchId), String(match._id));
+    // every model is priced against the match odds
+    assert.ok(p.edges.length > 0);
+  }
+  // only the published ensemble goes through the bucket rules
+  for (const p of store.predictions.filter((p) => p.version !== "ensemble-1")) {
+    assert.deepEqual([p.bucket, p.pick, p.bucketReason], [null, null, "none:component"]);
+  }
+
+  const ai = store.predictions.find((p) => p.version === "ai-2x");
+  const [call] = store.aiCalls;
+  assert.equal(call.status, "succeeded");
+  assert.equal(String(ai.provenanceId), String(call._id));
+  assert.equal(ai.model, "stub:stub-1");
+  assert.ok(ai.features.home);
+  // the AI call is linked back to the prediction it produced
+  assert.deepEqual(store.linked[0][1].$addToSet.predictionIds.$each.map(String), [String(ai._id)]);
+
+  const ensemble = store.predictions.find((p) => p.version === "ensemble-1");
+  assert.match(ensemble.bucketReason, /^(rule|none):(?!component)/);
+  assert.deepEqual(ensemble.components.map((c) => c.version).sort(), ["ai-2x", "stat-dc-1"]);
+  // nothing failed, so nothing is counted against the match
+  assert.equal(store.matchUpdates.length, 0);
+});
@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createProvider } = require("../services/providers");
+const { createFixtureTransport } = require("../services/providers/transport");
+
+const transport = createFixtureTransport(path.join(__dirname, "fixtures", "providers"));
+const ENV = {
+  GOALSERVE_TOKEN: "test-token",
+  OPENLIGADB_LEAGUES: "bl1",
+  OPENLIGADB_SEASON: "2025",
+  FOOTBALLJSON_FEEDS: "2024-25/en.1",
+  SOCCERSAPI_USER: "demo",
+  SOCCERSAPI_TOKEN: "test-token",
+};
+const provider = (name) => createProvider(name, { env: ENV, transport });
+const ids = (matches) => matches.map((m) => m.externalId).sort();
+
+test("goalserve fetchFixtures reads home and the next days, scheduled matches only", async () => {
+  const fixtures = await provider("goalserve").fetchFixtures({ days: 1 });
+
+  // the postponed Sevilla match in d1 and the played ones in home are left out
+  assert.deepEqual(ids(fixtures), ["3641003", "3652010"]);
+  const valencia = fixtures.find((m) => m.externalId === "3652010");
+  // d1 is recorded with bare attribute names, home with "@"-prefixed ones
+  assert.equal(valencia.league, "Spain: La Liga");
+  assert.deepEqual([valencia.home.name, valencia.home.sourceId, valencia.away.name], ["Valencia", "15900", "Real Sociedad"]);
+  assert.equal(valencia.matchDateUtc.toISOString(), "2025-08-17T19:00:00.000Z");
+  assert.equal(valencia.score.ft, null);
+});
+
+test("goalserve fixtures carry flattened odds lines for the markets we price", async () => {
+  const fixtures = await provider("goalserve").fetchFixtures({ days: 1 });
+  const liverpool = fixtures.find((m) => m.externalId === "3641003");
+  const valencia = fixtures.find((m) => m.externalId === "3652010");
+
+  assert.equal(liverpool.oddsLines.length, 10);
+  assert.deepEqual(liverpool.oddsLines.filter((l) => l.bookmaker === "Pinnacle").map((l) => [l.market, l.selection, l.price]), [
+    ["oneXTwo", "home", 1.33],
+    ["oneXTwo", "draw", 5.6],
+    ["oneXTwo", "away", 9.2],
+  ]);
+  // 3.5 isn't a line we model; Asian handicap isn't a market we model
+  assert.deepEqual(liverpool.oddsLines.filter((l) => l.market === "over25").map((l) => [l.selection, l.price]), [
+    ["over", 1.5],
+    ["under", 2.5],
+  ]);
+  assert.ok(liverpool.oddsLines.some((l) => l.market === "btts" && l.selection === "yes" && l.price === 1.72));
+  assert.deepEqual(valencia.oddsLines.map((l) => l.selection), ["homeOrDraw", "homeOrAway", "drawOrAway"]);
+});
+
+test("goalserve fetchResults keeps finished and postponed matches with their scores and goals", async () => {
+  const results = await provider("goalserve").fetchResults({ days: 1 });
+
+  // Arsenal v Chelsea is in both home and d-1 but comes back once
+  assert.deepEqual(ids(results), ["3630900", "3641000", "3641001"]);
+  const arsenal = results.find((m) => m.externalId === "3641001");
+  assert.equal(arsenal.status, "finished");
+  assert.deepEqual(arsenal.score.ft, { home: 2, away: 1 });
+  assert.deepEqual(arsenal.score.ht, { home: 1, away: 1 });
+  assert.deepEqual(
+    arsenal.goals.map((g) => [g.minute, g.team, g.type]),
+    [["23", "home", "goal"], ["45+2", "away", "penalty"], ["78", "home", "goal"]]
+  );
+
+  const everton = results.find((m) => m.externalId === "3630900");
+  assert.equal(everton.status, "finished");
+  assert.deepEqual(everton.score.pen, { home: 4, away: 3 });
+  assert.equal(results.find((m) => m.externalId === "3641000").status, "postponed");
+});
+
+test("goalserve fetchLiveScores returns the in-play matches from the home feed", async () => {
+  const live = await provider("goalserve").fetchLiveScores();
+
+  assert.deepEqual(ids(live), ["3641002"]);
+  assert.equal(live[0].status, "live");
+  assert.equal(live[0].rawStatus, "55");
+  // no ft_score while in play: the running score comes from the teams' goals
+  assert.deepEqual(live[0].score.ft, { home: 1, away: 0 });
+  assert.deepEqual(live[0].score.ht, { home: 1, away: 0 });
+});
+
+test("goalserve fetchSquad parses players and season stats", async () => {
+  const squad = await provider("goalserve").fetchSquad("9002");
+
+  assert.equal(squad.length, 2);
+  assert.deepEqual(
+    [squad[0].name, squad[0].number, squad[0].stats.appearances, squad[0].stats.goals, squad[0].stats.rating],
+    ["B. Saka", 7, 33, 12, 7.61]
+  );
+  assert.equal(squad[1].injured, true);
+  assert.equal("redCards" in squad[1].stats, false);
+});
+
+test("openligadb splits the season file into fixtures and results", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date("2025-08-25T12:00:00Z") });
+  const olg = provider("openligadb");
+
+  const [result] = await olg.fetchResults();
+  assert.equal(result.externalId, "77001");
+  assert.equal(result.season, "2025");
+  assert.deepEqual([result.home.name, result.away.name], ["FC Bayern München", "RB Leipzig"]);
+  assert.deepEqual([result.score.ft, result.score.ht], [{ home: 6, away: 0 }, { home: 2, away: 0 }]);
+  assert.equal(result.goals.filter((g) => g.type === "penalty").length, 1);
+  assert.equal(result.venue, "Allianz Arena");
+
+  assert.deepEqual(ids(await olg.fetchFixtures()), ["77010"]);
+});
+
+test("openligadb live scores come from the running goal tally", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date("2025-08-30T14:05:00Z") });
+  const [live] = await provider("openligadb").fetchLiveScores();
+
+  assert.equal(live.status, "live");
+  assert.deepEqual(live.score.ft, { home: 1, away: 1 });
+  assert.deepEqual(live.goals.map((g) => [g.team, g.type]), [["away", "goal"], ["home", "own-goal"]]);
+});
+
+test("footballjson treats scored matches as results and future unscored ones as fixtures", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date("2025-05-01T00:00:00Z") });
+  const fj = provider("footballjson");
+
+  const results = await fj.fetchResults();
+  assert.equal(results.length, 2);
+  assert.deepEqual(results[1].score.ft, { home: 0, away: 2 });
+  assert.equal(results[0].externalId, "2024-25/en.1:2024-08-16:Manchester United FC:Fulham FC");
+  assert.deepEqual([results[0].season, results[0].leagueId], ["2024-25", "en.1"]);
+
+  // an unscored match already in the past isn't offered as a fixture
+  const fixtures = await fj.fetchFixtures();
+  assert.deepEqual(fixtures.map((m) => m.home.name), ["Southampton FC"]);
+  assert.deepEqual(await fj.fetchLiveScores(), []);
+});
+
+test("soccersapi reads a schedule file per day offset", async () => {
+  const api = provider("soccersapi");
+
+  const fixtures = await api.fetchFixtures({ days: 1 });
+  assert.deepEqual(ids(fixtures), ["1441002", "1441010"]);
+  // 0-0 placeholders on unplayed matches aren't scores
+  assert.ok(fixtures.every((m) => m.score.ft === null));
+  assert.equal(fixtures.find((m) => m.externalId === "1441010").matchDateUtc.toISOString(), "2025-08-24T18:45:00.000Z");
+  assert.deepEqual(fixtures.find((m) => m.externalId === "1441002").odds.pre["1"], { home: 1.5, draw: 4.1, away: 6.75 });
+
+  const results = await api.fetchResults({ days: 1 });
+  assert.deepEqual(ids(results), ["1440990", "1440991", "1441001"]);
+  const pisa = results.find((m) => m.externalId === "1440990");
+  assert.deepEqual([pisa.status, pisa.score.ft, pisa.score.pen], ["finished", { home: 1, away: 1 }, { home: 5, away: 4 }]);
+  assert.equal(results.find((m) => m.externalId === "1440991").status, "postponed");
+});
+
+test("soccersapi live scores fall back to the running home/away score", async () => {
+  const [live] = await provider("soccersapi").fetchLiveScores();
+
+  assert.equal(live.status, "live");
+  assert.deepEqual(live.score.ft, { home: 2, away: 0 });
+  assert.deepEqual(live.score.ht, { home: 1, away: 0 });
+});
+
+test("the fixture transport names the missing recording", async () => {
+  await assert.rejects(provider("goalserve").fetchFixtures({ days: 2 }), /No recorded fixture for goalserve\/d2/);
+  await assert.rejects(transport.get("https://example.com"), /needs a key/);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseScoreString, parseGoalserveScores, getMatchScore, calculateWinner } = require("../utils/score");
+
+test("parseScoreString reads provider score strings and objects", () => {
+  assert.deepEqual(parseScoreString("2-1"), { home: 2, away: 1 });
+  assert.deepEqual(parseScoreString("[0-3]"), { home: 0, away: 3 });
+  assert.deepEqual(parseScoreString("2 : 2"), { home: 2, away: 2 });
+  assert.deepEqual(parseScoreString({ home: 1, away: 0 }), { home: 1, away: 0 });
+  assert.deepEqual(parseScoreString({ "@score": "[4-3]" }), { home: 4, away: 3 });
+
+  for (const empty of ["", "?-?", "[-]", null, undefined, { home: "1", away: 0 }]) {
+    assert.equal(parseScoreString(empty), null);
+  }
+});
+
+test("parseGoalserveScores reads HT/FT/ET/pens from either payload shape", () => {
+  const nested = parseGoalserveScores({ scores: { ft_score: "[1-1]", ht_score: "[0-1]", et_score: "[2-1]" } });
+  assert.deepEqual(nested, { ft: { home: 1, away: 1 }, ht: { home: 0, away: 1 }, et: { home: 2, away: 1 }, pen: null });
+
+  const flat = parseGoalserveScores({ ft_score: "0-0", pen: { "@score": "[5-4]" } });
+  assert.deepEqual([flat.ft, flat.pen, flat.ht], [{ home: 0, away: 0 }, { home: 5, away: 4 }, null]);
+});
+
+test("getMatchScore prefers the structured score and falls back to legacy fields", () => {
+  assert.deepEqual(getMatchScore({ score: { ft: { home: 3, away: 1 } }, ft_score: "[0-0]" }).ft, { home: 3, away: 1 });
+  assert.deepEqual(getMatchScore({ ft_score: "[2-2]", ht_score: "[1-0]" }).ht, { home: 1, away: 0 });
+  assert.deepEqual(getMatchScore({ homeGoals: 1, awayGoals: 4 }).ft, { home: 1, away: 4 });
+  assert.equal(getMatchScore({}).ft, null);
+});
+
+test("calculateWinner goes full time, then extra time, then penalties", () => {
+  const finished = (score) => ({ status: "finished", score });
+
+  assert.equal(calculateWinner(finished({ ft: { home: 2, away: 0 } })), "home");
+  assert.equal(calculateWinner(finished({ ft: { home: 1, away: 1 } })), "draw");
+  assert.equal(calculateWinner(finished({ ft: { home: 1, away: 1 }, et: { home: 1, away: 2 } })), "away");
+  assert.equal(
+    calculateWinner(finished({ ft: { home: 1, away: 1 }, et: { home: 2, away: 2 }, pen: { home: 5, away: 4 } })),
+    "home"
+  );
+  assert.equal(calculateWinner({ status: "live", score: { ft: { home: 1, away: 0 } } }), null);
+  assert.equal(calculateWinner(finished({})), null);
+});
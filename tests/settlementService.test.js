@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Match = require("../models/Match");
+const Prediction = require("../models/Prediction");
+const { getFinalScore, gradeSelection, gradeOutcomes, settleMatch } = require("../services/settlementService");
+
+const score = (home, away) => ({ home, away });
+
+test("gradeSelection grades 1X2 and double chance on the full-time result", () => {
+  assert.equal(gradeSelection("oneXTwo", "home", score(2, 1)), "won");
+  assert.equal(gradeSelection("oneXTwo", "draw", score(2, 1)), "lost");
+  assert.equal(gradeSelection("oneXTwo", "draw", score(1, 1)), "won");
+  assert.equal(gradeSelection("oneXTwo", "away", score(0, 3)), "won");
+
+  assert.equal(gradeSelection("doubleChance", "homeOrDraw", score(1, 1)), "won");
+  assert.equal(gradeSelection("doubleChance", "homeOrAway", score(1, 1)), "lost");
+  assert.equal(gradeSelection("doubleChance", "drawOrAway", score(0, 1)), "won");
+});
+
+test("gradeSelection grades over/under lines and both teams to score", () => {
+  assert.equal(gradeSelection("over05", "over", score(0, 0)), "lost");
+  assert.equal(gradeSelection("over05", "under", score(0, 0)), "won");
+  assert.equal(gradeSelection("over15", "over", score(1, 1)), "won");
+  assert.equal(gradeSelection("over25", "over", score(2, 0)), "lost");
+  assert.equal(gradeSelection("over25", "under", score(2, 0)), "won");
+
+  assert.equal(gradeSelection("btts", "yes", score(1, 1)), "won");
+  assert.equal(gradeSelection("btts", "yes", score(3, 0)), "lost");
+  assert.equal(gradeSelection("btts", "no", score(3, 0)), "won");
+});
+
+test("gradeSelection leaves unknown markets and selections ungraded", () => {
+  assert.equal(gradeSelection("over35", "over", score(4, 0)), null);
+  assert.equal(gradeSelection("oneXTwo", "homeOrDraw", score(1, 0)), null);
+  assert.equal(gradeSelection("btts", "maybe", score(1, 0)), null);
+});
+
+test("gradeOutcomes picks the likelier side per market and follows 1X2 for the status", () => {
+  const outcomes = {
+    oneXTwo: { home: 0.5, draw: 0.3, away: 0.2 },
+    doubleChance: { homeOrDraw: 0.8, homeOrAway: 0.7, drawOrAway: 0.5 },
+    over25: 0.4,
+    bttsYes: 0.6,
+  };
+  const { markets, status } = gradeOutcomes(outcomes, score(1, 1));
+
+  assert.deepEqual(
+    markets.map((m) => [m.market, m.pick, m.result]),
+    [
+      ["oneXTwo", "home", "lost"],
+      ["doubleChance", "homeOrDraw", "won"],
+      ["over25", "under", "won"],
+      ["btts", "yes", "won"],
+    ]
+  );
+  assert.equal(markets[2].probability, 0.6);
+  assert.equal(status, "lost");
+
+  // without 1X2 the first graded market decides, and nothing graded stays pending
+  assert.equal(gradeOutcomes({ over15: 0.7 }, score(2, 0)).status, "won");
+  assert.deepEqual(gradeOutcomes({}, score(2, 0)), { markets: [], status: "pending" });
+});
+
+test("getFinalScore grades on 90 minutes, ignoring extra time and penalties", () => {
+  const cupTie = { status: "finished", score: { ft: score(1, 1), et: score(2, 1), pen: score(4, 3) } };
+
+  assert.deepEqual(getFinalScore(cupTie), score(1, 1));
+  assert.deepEqual(getFinalScore({ ft_score: "[3-2]" }), score(3, 2));
+  assert.equal(getFinalScore(null), null);
+});
+
+function finishedMatch(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    status: "finished",
+    league: "Premier League",
+    score: { ft: score(2, 0) },
+    marketOdds: [],
+    odds: { oneXTwo: { home: 1.8, draw: 3.5, away: 4.2 } },
+    ...overrides,
+  };
+}
+
+test("settleMatch grades each prediction, its bucket pick and the odds at settlement", async (t) => {
+  const match = finishedMatch();
+  const prediction = new Prediction({
+    matchId: match._id,
+    version: "ensemble-1",
+    outcomes: { oneXTwo: { home: 0.6, draw: 0.25, away: 0.15 }, bttsYes: 0.55 },
+    pick: { market: "btts", selection: "no", probability: 0.45, odds: 2.1 },
+  });
+  t.mock.method(Prediction, "find", async () => [prediction]);
+  const save = t.mock.method(Prediction.prototype, "save", async function () {
+    return this;
+  });
+  t.mock.method(console, "log", () => {});
+
+  const report = await settleMatch(match);
+
+  assert.deepEqual([report.settled, report.resettled], [1, 0]);
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(prediction.status, "won");
+  assert.deepEqual(prediction.toObject().settlement.score, score(2, 0));
+  assert.equal(prediction.settlement.markets.find((m) => m.market === "oneXTwo").odds, 1.8);
+  assert.equal(prediction.settlement.markets.find((m) => m.market === "btts").result, "lost");
+  // the pick went against the likelier btts side and is graded on its own
+  assert.equal(prediction.settlement.pickResult, "won");
+
+  // an unchanged score leaves it alone; a corrected one re-settles it
+  assert.equal((await settleMatch(match)).unchanged, 1);
+  const corrected = await settleMatch({ ...match, score: { ft: score(1, 1) } });
+  assert.equal(corrected.resettled, 1);
+  assert.equal(prediction.status, "lost");
+});
+
+test("settleMatch skips postponed, unscored and unknown matches", async (t) => {
+  const find = t.mock.method(Prediction, "find", async () => []);
+  t.mock.method(Match, "findById", () => ({ lean: async () => null }));
+
+  const postponed = await settleMatch(finishedMatch({ status: "postponed", score: {} }));
+  assert.equal(postponed.skippedReason, "Match is not finished");
+  const unscored = await settleMatch(finishedMatch({ score: {} }));
+  assert.equal(unscored.skippedReason, "Match has no final score");
+  await assert.rejects(settleMatch(String(new mongoose.Types.ObjectId())), /Match not found/);
+  assert.equal(find.mock.callCount(), 0);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const JobLock = require("../models/JobLock");
+const JobRun = require("../models/JobRun");
+const { selectLegs } = require("../services/slipService");
+const slipController = require("../controllers/slipController");
+
+const leg = (matchId, odds, probability) => ({ matchId, selection: `${matchId}@${odds}`, odds, probability });
+const combined = (legs) => legs.reduce((acc, l) => acc * l.odds, 1);
+
+test("selectLegs reaches the target with the most likely combination", () => {
+  const groups = [
+    [leg("m1", 1.5, 0.7), leg("m1", 2.0, 0.45)],
+    [leg("m2", 1.4, 0.75)],
+    [leg("m3", 2.1, 0.5)],
+  ];
+  const legs = selectLegs(groups, 2);
+
+  // 1.5 * 1.4 = 2.1 at 0.525 beats 2.0 alone (0.45), 2.1 alone (0.5) and any three-leg slip
+  assert.deepEqual(legs.map((l) => l.selection), ["m1@1.5", "m2@1.4"]);
+  assert.ok(combined(legs) >= 2);
+});
+
+test("selectLegs takes at most one leg per match", () => {
+  const legs = selectLegs([[leg("m1", 1.5, 0.66), leg("m1", 1.5, 0.66)], [leg("m2", 1.2, 0.8)]], 2.2);
+
+  assert.equal(legs, null);
+});
+
+test("selectLegs respects the overshoot cap and maxLegs", () => {
+  // only 12 is priced above a target of 5, and it overshoots 5 * 1.5
+  assert.equal(selectLegs([[leg("m1", 12, 0.08)]], 5), null);
+  assert.equal(selectLegs([[leg("m1", 12, 0.08)]], 5, { maxOvershoot: 3 }).length, 1);
+
+  const groups = ["m1", "m2", "m3"].map((m) => [leg(m, 1.3, 0.75)]);
+  assert.equal(selectLegs(groups, 2, { maxLegs: 2 }), null);
+  assert.equal(selectLegs(groups, 2, { maxLegs: 3 }).length, 3);
+});
+
+test("selectLegs returns null when there are no candidates", () => {
+  assert.equal(selectLegs([], 2), null);
+});
+
+function response() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  return res;
+}
+
+test("POST /slips/build answers 409 while the build-slips job holds its lock", async (t) => {
+  const saved = [];
+  t.mock.method(JobLock, "findOneAndUpdate", async () => {
+    throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+  });
+  t.mock.method(JobRun.prototype, "save", async function () {
+    saved.push(this.toObject());
+    return this;
+  });
+  t.mock.method(console, "warn", () => {});
+
+  const res = response();
+  await slipController.buildSlips({ body: { date: "2025-09-20", rebuild: true }, auth: { keyName: "ops" } }, res);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.success, false);
+  assert.deepEqual(
+    [saved[0].job, saved[0].status, saved[0].trigger, saved[0].triggeredBy],
+    ["build-slips", "skipped", "api", "ops"]
+  );
+  assert.deepEqual(saved[0].params, { date: "2025-09-20", rebuild: true });
+});
+
+test("POST /slips/build rejects an invalid body before taking the lock", async (t) => {
+  const lock = t.mock.method(JobLock, "findOneAndUpdate", async () => ({}));
+
+  const res = response();
+  await slipController.buildSlips({ body: { buckets: ["nope"] } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(lock.mock.callCount(), 0);
+});
@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Standing = require("../models/Standing");
+const { computeTable, loadTieBreakers, leagueKey, seasonKey, recordResult } = require("../services/standingsService");
+
+let day = 1;
+function result(home, away, homeGoals, awayGoals) {
+  return { home: { id: home, name: home }, away: { id: away, name: away }, homeGoals, awayGoals, date: new Date(Date.UTC(2025, 8, day++)) };
+}
+const order = (table) => table.map((r) => r.team.name);
+
+test("computeTable totals points, goals, splits and form", () => {
+  const table = computeTable([result("A", "B", 2, 0), result("B", "A", 1, 1), result("A", "C", 0, 1)]);
+  const a = table.find((r) => r.team.name === "A");
+
+  assert.deepEqual(
+    [a.played, a.won, a.drawn, a.lost, a.goalsFor, a.goalsAgainst, a.goalDifference, a.points],
+    [3, 1, 1, 1, 3, 2, 1, 4]
+  );
+  assert.equal(a.form, "LDW"); // newest first
+  assert.deepEqual([a.home.played, a.home.points, a.away.played, a.away.points], [2, 3, 1, 1]);
+  assert.deepEqual(order(table), ["A", "C", "B"]);
+  assert.deepEqual(table.map((r) => r.position), [1, 2, 3]);
+});
+
+test("computeTable breaks a tie on points and goals with the head-to-head result", () => {
+  // A and B finish level on everything overall; B won their meeting
+  const table = computeTable([result("B", "A", 1, 0), result("A", "C", 1, 0), result("C", "B", 1, 0), result("C", "D", 2, 0)]);
+
+  assert.deepEqual(order(table), ["C", "B", "A", "D"]);
+});
+
+test("head-to-head comes before goal difference where the competition says so", () => {
+  // A, B and F all end on 4 points; A has the best goal difference, F the best record between the three
+  const results = [
+    result("B", "A", 1, 0),
+    result("A", "E", 5, 0),
+    result("A", "F", 0, 0),
+    result("B", "E", 0, 0),
+    result("B", "F", 0, 1),
+  ];
+  const rules = loadTieBreakers({});
+
+  assert.deepEqual(order(computeTable(results, rules.default)).slice(0, 3), ["A", "F", "B"]);
+  assert.deepEqual(order(computeTable(results, rules["la-liga"])).slice(0, 3), ["F", "B", "A"]);
+});
+
+test("teams level on every criterion are listed by name", () => {
+  assert.deepEqual(order(computeTable([result("Zeta", "Alpha", 1, 1)])), ["Alpha", "Zeta"]);
+});
+
+test("loadTieBreakers applies valid STANDINGS_TIEBREAKERS overrides only", () => {
+  const rules = loadTieBreakers({ STANDINGS_TIEBREAKERS: "serie-a=points|goalsFor,eredivisie=points|bogus" });
+
+  assert.deepEqual(rules["serie-a"], ["points", "goalsFor"]);
+  assert.equal(rules.eredivisie, undefined);
+  assert.ok(rules.default.includes("h2hPoints"));
+});
+
+test("seasonKey normalises season labels and falls back to the July cut-over", () => {
+  assert.equal(seasonKey("2025/2026"), "2025/2026");
+  assert.equal(seasonKey("2025-26"), "2025/2026");
+  assert.equal(seasonKey("1999/00"), "1999/2000");
+  assert.equal(seasonKey("2025"), "2025/2026");
+  assert.equal(seasonKey(null, "2025-08-16T14:00:00Z"), "2025/2026");
+  assert.equal(seasonKey(null, "2026-03-01T14:00:00Z"), "2025/2026");
+  assert.equal(seasonKey(null, null), null);
+});
+
+test("seasonKey places single-year and unparseable labels by kickoff", () => {
+  // a calendar-year "2025" lands where its unlabelled games would
+  assert.equal(seasonKey("2025", "2025-03-01T14:00:00Z"), seasonKey(null, "2025-03-01T14:00:00Z"));
+  assert.equal(seasonKey("2025", "2025-08-16T14:00:00Z"), "2025/2026");
+  // a date is not a season
+  assert.equal(seasonKey("2025-08-16"), null);
+  assert.equal(seasonKey("2025-08-16", "2025-08-16T14:00:00Z"), "2025/2026");
+  assert.equal(seasonKey("English Premier League 2020/21"), null);
+});
+
+function finished(home, away, homeGoals, awayGoals) {
+  return {
+    status: "finished",
+    league: "Premier League",
+    season: "2025/2026",
+    matchDateUtc: new Date("2025-09-20T14:00:00Z"),
+    homeTeam: { name: home },
+    awayTeam: { name: away },
+    score: { ft: { home: homeGoals, away: awayGoals } },
+  };
+}
+
+function storedTable() {
+  const results = [result("A", "B", 1, 0)];
+  return { _id: "standing-1", league: "premier-league", season: "2025/2026", __v: 3, builtAt: new Date("2025-09-01"), stale: false, results, rows: computeTable(results) };
+}
+
+test("recordResult re-ranks the stored table with a write conditional on the version it read", async (t) => {
+  const doc = storedTable();
+  const updates = [];
+  t.mock.method(Standing, "findOne", () => ({ lean: async () => doc }));
+  t.mock.method(Standing, "updateOne", async (filter, update) => {
+    updates.push([filter, update]);
+    return { modifiedCount: 1 };
+  });
+
+  const updated = await recordResult(finished("C", "D", 3, 0));
+
+  assert.equal(updates.length, 1);
+  assert.deepEqual(updates[0][0], { _id: "standing-1", __v: 3, builtAt: doc.builtAt, stale: false });
+  assert.deepEqual(updates[0][1].$inc, { __v: 1 });
+  assert.equal(updates[0][1].$set.results.length, 2);
+  assert.deepEqual(order(updated.rows), ["C", "A", "B", "D"]);
+});
+
+test("recordResult marks the table stale when it changed since it was read", async (t) => {
+  const updates = [];
+  t.mock.method(Standing, "findOne", () => ({ lean: async () => storedTable() }));
+  t.mock.method(Standing, "updateOne", async (filter, update) => {
+    updates.push([filter, update]);
+    return { modifiedCount: updates.length === 1 ? 0 : 1 };
+  });
+  t.mock.method(console, "warn", () => {});
+
+  assert.equal(await recordResult(finished("C", "D", 3, 0)), null);
+  assert.deepEqual(updates[1], [{ _id: "standing-1" }, { $set: { stale: true } }]);
+});
+
+test("recordResult leaves unbuilt tables and unfinished matches alone", async (t) => {
+  const findOne = t.mock.method(Standing, "findOne", () => ({ lean: async () => null }));
+  const updateOne = t.mock.method(Standing, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await recordResult({ ...finished("C", "D", 3, 0), status: "live" }), null);
+  assert.equal(await recordResult(finished("C", "D", 3, 0)), null);
+  assert.equal(findOne.mock.callCount(), 1);
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test("leagueKey strips accents and punctuation", () => {
+  assert.equal(leagueKey("Primera División"), "primera-division");
+  assert.equal(leagueKey("  Serie A  "), "serie-a");
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fitModel, scorelineMatrix, outcomesFromMatrix, predictMatch } = require("../services/statModelService");
+
+const NOW = new Date("2025-06-01T00:00:00Z");
+const DAY = 24 * 60 * 60 * 1000;
+
+// Double round robin where "strong" beats everyone 3-0 and the rest draw 1-1
+function league() {
+  const teams = ["strong", "b", "c", "d"];
+  const rows = [];
+  let day = 1;
+  for (const home of teams) {
+    for (const away of teams) {
+      if (home === away) continue;
+      const [homeGoals, awayGoals] = home === "strong" ? [3, 0] : away === "strong" ? [0, 3] : [1, 1];
+      rows.push({ home, away, homeGoals, awayGoals, date: new Date(NOW.getTime() - day++ * DAY) });
+    }
+  }
+  return [...rows, ...rows.map((r) => ({ ...r, date: new Date(r.date.getTime() - 100 * DAY) }))];
+}
+
+test("fitModel rates the dominant team highest on attack and lowest on defence", () => {
+  const model = fitModel(league(), { now: NOW });
+  const { strong, b, c } = model.ratings;
+
+  assert.equal(model.sampleSize, 24);
+  assert.ok(strong.attack > b.attack && strong.attack > c.attack);
+  assert.ok(strong.defence < b.defence && strong.defence < c.defence);
+  assert.ok(model.homeAdvantage > 0);
+  assert.ok(model.rho >= -0.2 && model.rho <= 0.2);
+});
+
+test("fitModel leaves teams under minMatchesPerTeam unrated", () => {
+  const rows = [...league(), { home: "newcomer", away: "b", homeGoals: 1, awayGoals: 0, date: NOW }];
+  const model = fitModel(rows, { now: NOW });
+
+  assert.equal(model.ratings.newcomer, undefined);
+  assert.ok(model.ratings.b);
+});
+
+test("scorelineMatrix is normalised and null for unrated teams", () => {
+  const model = fitModel(league(), { now: NOW });
+  const { matrix } = scorelineMatrix(model, "strong", "b");
+  const total = matrix.flat().reduce((s, p) => s + p, 0);
+
+  assert.ok(Math.abs(total - 1) < 1e-9);
+  assert.equal(scorelineMatrix(model, "strong", "unknown"), null);
+});
+
+test("outcomesFromMatrix derives consistent market probabilities", () => {
+  // 1-0 and 1-1 with equal weight
+  const matrix = [
+    [0, 0],
+    [0.5, 0.5],
+  ];
+  const o = outcomesFromMatrix(matrix);
+
+  assert.deepEqual(o.oneXTwo, { home: 0.5, draw: 0.5, away: 0 });
+  assert.equal(o.doubleChance.homeOrDraw, 1);
+  assert.equal(o.over05, 1);
+  assert.equal(o.over15, 0.5);
+  assert.equal(o.over25, 0);
+  assert.equal(o.bttsYes, 0.5);
+  assert.equal(o.bttsNo, 0.5);
+});
+
+test("predictMatch favours the stronger side and reports expected goals", () => {
+  const model = fitModel(league(), { now: NOW });
+  const p = predictMatch(model, { homeTeam: { id: "strong" }, awayTeam: { id: "b" } });
+
+  assert.ok(p.oneXTwo.home > p.oneXTwo.away);
+  assert.ok(Math.abs(p.oneXTwo.home + p.oneXTwo.draw + p.oneXTwo.away - 1) < 1e-3);
+  assert.equal(p.confidence, Number((p.oneXTwo.home * 100).toFixed(1)));
+  assert.ok(p.expectedGoals.home > p.expectedGoals.away);
+  assert.equal(predictMatch(model, { homeTeam: { id: "strong" }, awayTeam: { name: "Nobody" } }), null);
+});
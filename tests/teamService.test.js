@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Team = require("../models/Team");
+const { normalizeTeamName } = require("../utils/teamName");
+const { resolveTeam } = require("../services/teamService");
+
+test("normalizeTeamName folds provider spellings onto one key", () => {
+  for (const name of ["Manchester United F.C.", "Man Utd", "manchester united", "Man United"]) {
+    assert.equal(normalizeTeamName(name), "manchester united");
+  }
+  assert.equal(normalizeTeamName("FC Bayern München"), "bayern munchen");
+  assert.equal(normalizeTeamName("Bayern Munich"), "bayern munchen");
+  assert.equal(normalizeTeamName("Brighton & Hove Albion"), "brighton and hove albion");
+  assert.equal(normalizeTeamName("Atlético Madrid"), "atletico de madrid");
+  // a name made only of affixes keeps them rather than vanishing
+  assert.equal(normalizeTeamName("AC"), "ac");
+  assert.equal(normalizeTeamName(null), "");
+});
+
+const team = (name, country, extra = {}) => ({ _id: new mongoose.Types.ObjectId(), name, country, aliases: [normalizeTeamName(name)], ...extra });
+
+function stubTeams(t, { bySourceId = null, candidates = [] } = {}) {
+  const calls = { findOne: [], find: [], create: [], update: [] };
+  t.mock.method(Team, "findOne", async (filter) => (calls.findOne.push(filter), bySourceId));
+  t.mock.method(Team, "find", async (filter) => (calls.find.push(filter), candidates));
+  t.mock.method(Team, "create", async (doc) => (calls.create.push(doc), { _id: new mongoose.Types.ObjectId(), ...doc }));
+  t.mock.method(Team, "findByIdAndUpdate", async (id, update) => (calls.update.push([id, update]), { _id: id }));
+  return calls;
+}
+
+test("resolveTeam finds a team by provider id and learns the new spelling", async (t) => {
+  const arsenal = team("Arsenal", "England");
+  const calls = stubTeams(t, { bySourceId: arsenal });
+
+  await resolveTeam({ name: "Arsenal FC", sourceId: "9002", logoUrl: "https://x/ars.png" }, "goalserve");
+
+  assert.deepEqual(calls.findOne[0], { "sourceIds.goalserve": "9002" });
+  assert.equal(calls.find.length, 0);
+  const [id, update] = calls.update[0];
+  assert.equal(id, arsenal._id);
+  assert.deepEqual(update, { $set: { logoUrl: "https://x/ars.png", "sourceIds.goalserve": "9002" }, $addToSet: { aliases: "arsenal" } });
+});
+
+test("resolveTeam matches aliases and uses country to tell namesakes apart", async (t) => {
+  const english = team("Arsenal", "England");
+  const scottish = team("Arsenal", "Scotland");
+  const calls = stubTeams(t, { candidates: [english, scottish] });
+
+  await resolveTeam({ name: "Arsenal F.C.", country: "Scotland", sourceId: "77" }, "soccersapi");
+
+  assert.deepEqual(calls.find[0], { $or: [{ aliases: "arsenal" }, { name: "Arsenal F.C." }] });
+  assert.equal(calls.update[0][0], scottish._id);
+  // country is part of the identity and is never overwritten on a match
+  assert.equal("country" in calls.update[0][1].$set, false);
+});
+
+test("resolveTeam creates a team when no candidate shares its country", async (t) => {
+  const calls = stubTeams(t, { candidates: [team("Arsenal", "England")] });
+
+  await resolveTeam({ name: "Arsenal", country: "Scotland", sourceId: "77", code: "ARS" }, "soccersapi");
+
+  assert.equal(calls.update.length, 0);
+  assert.deepEqual(calls.create[0], {
+    name: "Arsenal",
+    code: "ARS",
+    country: "Scotland",
+    sourceIds: { soccersapi: "77" },
+    aliases: ["arsenal"],
+  });
+  assert.equal(await resolveTeam({ name: "" }), null);
+});
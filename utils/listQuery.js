@@ -0,0 +1,138 @@
+// utils/listQuery.js
+// Shared query layer for list endpoints: Zod validation of the common query parameters and
+// keyset (cursor) pagination over a sort field + _id, so pages stay stable while documents are added.
+
+const { z } = require("zod");
+const { MATCH_STATUS, UPCOMING_STATUSES } = require("./matchStatus");
+
+const MAX_LIMIT = 100;
+const BUCKETS = ["vip", "daily2", "value5", "big10"];
+const STATUSES = [...new Set([...Object.values(MATCH_STATUS), ...UPCOMING_STATUSES])];
+
+// sort option -> { field, dir }
+const MATCH_SORTS = {
+  date: { field: "matchDateUtc", dir: 1 },
+  "-date": { field: "matchDateUtc", dir: -1 },
+  updated: { field: "updatedAt", dir: 1 },
+  "-updated": { field: "updatedAt", dir: -1 },
+};
+
+/**
+ * Opaque cursor: base64url JSON of { s: sort, v: last sort value, id: last _id }
+ */
+function encodeCursor(sort, value, id) {
+  const v = value instanceof Date ? { d: value.toISOString() } : value ?? null;
+  return Buffer.from(JSON.stringify({ s: sort, v, id: String(id) })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const c = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!c || typeof c.s !== "string" || typeof c.id !== "string") return null;
+    return { sort: c.s, value: c.v && typeof c.v === "object" && c.v.d ? new Date(c.v.d) : c.v, id: c.id };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Zod transform step: decode `cursor` and check it was issued for the same `sort`
+ */
+function resolveCursor(q, ctx) {
+  if (q.cursor === undefined) return q;
+  const cursor = decodeCursor(q.cursor);
+  if (!cursor || cursor.sort !== q.sort) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["cursor"], message: "Invalid cursor for this sort" });
+    return z.NEVER;
+  }
+  return { ...q, cursor };
+}
+
+const csv = (values) =>
+  z.string().transform((v) => v.split(",").map((s) => s.trim()).filter(Boolean)).pipe(z.array(z.enum(values)).min(1));
+
+/**
+ * Query schema for a list route. Extend it with route-specific fields via `extra` (a Zod shape).
+ */
+function listQuerySchema({ defaultLimit = 50, defaultSort = "-date", sorts = MATCH_SORTS, extra = {} } = {}) {
+  return z
+    .object({
+      limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(defaultLimit),
+      cursor: z.string().optional(),
+      sort: z.enum(Object.keys(sorts)).default(defaultSort),
+      from: z.coerce.date().optional(),
+      to: z.coerce.date().optional(),
+      league: z.string().trim().min(1).optional(),
+      country: z.string().trim().min(1).optional(),
+      team: z.string().trim().min(1).optional(),
+      status: csv(STATUSES).optional(),
+      bucket: z.enum(BUCKETS).optional(),
+      minConfidence: z.coerce.number().min(0).max(100).optional(),
+      ...extra,
+    })
+    .transform((q, ctx) => {
+      if (q.from && q.to && q.from > q.to) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["from"], message: "from must be before to" });
+        return z.NEVER;
+      }
+      return resolveCursor(q, ctx);
+    });
+}
+
+/**
+ * Filter for the documents after the cursor in { field, dir } order (ties broken by _id)
+ */
+function afterCursor({ field, dir }, cursor) {
+  const op = dir === 1 ? "$gt" : "$lt";
+  if (cursor.value === null) {
+    // nulls sort first ascending, last descending
+    return dir === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: { $gt: cursor.id } }] }
+      : { [field]: null, _id: { $lt: cursor.id } };
+  }
+  return { $or: [{ [field]: { [op]: cursor.value } }, { [field]: cursor.value, _id: { [op]: cursor.id } }] };
+}
+
+/**
+ * One page of lean documents plus pagination metadata ({ limit, sort, count, hasMore, nextCursor }).
+ * `pipeline` holds aggregation stages that filter the sorted documents further (e.g. a $lookup);
+ * the page is then read with an aggregation that stops as soon as it has limit + 1 rows.
+ */
+async function paginate(Model, filter, { limit, sort, cursor, sorts = MATCH_SORTS, projection, pipeline } = {}) {
+  const order = sorts[sort];
+  const where = cursor ? { $and: [filter, afterCursor(order, cursor)] } : filter;
+  const orderBy = { [order.field]: order.dir, _id: order.dir };
+  const rows = pipeline
+    ? await Model.aggregate([
+        { $match: Model.find(where).cast() }, // aggregations skip schema casting (cursor ids, dates)
+        { $sort: orderBy },
+        ...pipeline,
+        { $limit: limit + 1 },
+        ...(projection ? [{ $project: projection }] : []),
+      ])
+    : await Model.find(where, projection).sort(orderBy).limit(limit + 1).lean();
+
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+  const hasMore = rows.length > limit;
+  return {
+    items,
+    pagination: {
+      limit,
+      sort,
+      count: items.length,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, last[order.field], last._id) : null,
+    },
+  };
+}
+
+module.exports = {
+  MAX_LIMIT,
+  MATCH_SORTS,
+  encodeCursor,
+  decodeCursor,
+  resolveCursor,
+  listQuerySchema,
+  paginate,
+};
@@ -0,0 +1,64 @@
+// utils/matchStatus.js
+// Canonical Match.status values. Providers map their own codes onto these.
+
+const MATCH_STATUS = {
+  SCHEDULED: "scheduled",
+  LIVE: "live",
+  HALFTIME: "HT",
+  FINISHED: "finished",
+  POSTPONED: "postponed",
+  CANCELLED: "cancelled",
+};
+
+// "upcoming" and "tba" are legacy values still present on older documents
+const UPCOMING_STATUSES = [MATCH_STATUS.SCHEDULED, "upcoming", "tba"];
+const IN_PLAY_STATUSES = [MATCH_STATUS.LIVE, MATCH_STATUS.HALFTIME];
+
+/**
+ * Map a Goalserve status/timer string onto a canonical status.
+ * Goalserve sends the kickoff time ("15:00") before the match, the minute ("45", "90+2") while live.
+ */
+function normalizeGoalserveStatus(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s || /^\d{1,2}:\d{2}$/.test(s) || /^(ns|not started|tba)$/i.test(s)) return MATCH_STATUS.SCHEDULED;
+  if (/^(ht|half.?time)$/i.test(s)) return MATCH_STATUS.HALFTIME;
+  if (/^(ft|aet|pen\.?|fin|finished|after pen\.?|awarded|awd)$/i.test(s)) return MATCH_STATUS.FINISHED;
+  if (/^(postp\.?|postponed|delayed|susp\.?|suspended|int\.?|interrupted)$/i.test(s)) return MATCH_STATUS.POSTPONED;
+  if (/^(canc\.?|cancelled|canceled|aban\.?|abandoned)$/i.test(s)) return MATCH_STATUS.CANCELLED;
+  if (/^\d{1,3}(\+\d{1,2})?'?$/.test(s) || /^(live|et|break|pen live|1st half|2nd half)$/i.test(s)) return MATCH_STATUS.LIVE;
+  return Object.values(MATCH_STATUS).includes(s) ? s : MATCH_STATUS.SCHEDULED;
+}
+
+const TERMINAL_STATUSES = [MATCH_STATUS.FINISHED, MATCH_STATUS.POSTPONED, MATCH_STATUS.CANCELLED];
+
+function stage(status) {
+  if (TERMINAL_STATUSES.includes(status)) return 2;
+  if (IN_PLAY_STATUSES.includes(status)) return 1;
+  return 0;
+}
+
+/**
+ * Whether a match may move from one status to another. Status only moves forward
+ * (scheduled -> live <-> HT -> finished/postponed/cancelled) so a stale feed can't
+ * reopen a finished match; a postponed match may be rescheduled.
+ */
+function canTransition(from, to) {
+  if (!to || from === to) return false;
+  if (!from) return true;
+  if (from === MATCH_STATUS.POSTPONED && to === MATCH_STATUS.SCHEDULED) return true;
+  return stage(to) >= stage(from) && !(stage(from) === 2 && stage(to) === 2 && from === MATCH_STATUS.FINISHED);
+}
+
+function isFinished(status) {
+  return status === MATCH_STATUS.FINISHED;
+}
+
+module.exports = {
+  MATCH_STATUS,
+  UPCOMING_STATUSES,
+  IN_PLAY_STATUSES,
+  TERMINAL_STATUSES,
+  normalizeGoalserveStatus,
+  canTransition,
+  isFinished,
+};
@@ -0,0 +1,81 @@
+// utils/score.js
+// Helpers for the structured Match.score sub-document ({ ft, ht, et, pen } of { home, away }).
+
+const SCORE_PERIODS = ["ft", "ht", "et", "pen"];
+
+/**
+ * Parse a provider score string such as "2-1", "[2-1]", "2 : 1" into { home, away }.
+ * Returns null for empty/unknown scores ("", "?-?", "[-]").
+ */
+function parseScoreString(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "object") {
+    if (Number.isInteger(value.home) && Number.isInteger(value.away)) {
+      return { home: value.home, away: value.away };
+    }
+    // Goalserve XML->JSON attributes, e.g. { "@score": "[1-0]" }
+    return parseScoreString(value["@score"] ?? value.score ?? null);
+  }
+  const m = String(value).match(/(\d+)\s*[-:]\s*(\d+)/);
+  return m ? { home: Number(m[1]), away: Number(m[2]) } : null;
+}
+
+/**
+ * Build a structured score from a Goalserve match. Scores can arrive either under
+ * `scores` ({ ft_score, ht_score, ... } or { ft, ht, ... }) or as top-level fields.
+ */
+function parseGoalserveScores(m) {
+  const scores = m?.scores || {};
+  const score = {};
+  for (const period of SCORE_PERIODS) {
+    score[period] = parseScoreString(
+      scores[`${period}_score`] ?? scores[period] ?? m?.[`${period}_score`] ?? m?.[period] ?? null
+    );
+  }
+  return score;
+}
+
+/**
+ * Structured score for a Match document, falling back to the legacy string fields
+ * for documents that haven't been backfilled yet.
+ */
+function getMatchScore(match) {
+  const score = {};
+  for (const period of SCORE_PERIODS) {
+    score[period] = parseScoreString(match?.score?.[period]) || parseScoreString(match?.[`${period}_score`]);
+  }
+  if (!score.ft && Number.isInteger(match?.homeGoals) && Number.isInteger(match?.awayGoals)) {
+    score.ft = { home: match.homeGoals, away: match.awayGoals };
+  }
+  return score;
+}
+
+function compare(s) {
+  if (!s) return null;
+  return s.home > s.away ? "home" : s.home < s.away ? "away" : "draw";
+}
+
+/**
+ * Winner of a finished match: full time, then extra time, then penalties.
+ * Returns null if the match isn't finished or has no full-time score.
+ */
+function calculateWinner(match) {
+  if (!match || match.status !== "finished") return null;
+  const score = getMatchScore(match);
+  const ft = compare(score.ft);
+  if (!ft) return null;
+  if (ft !== "draw") return ft;
+
+  const et = compare(score.et);
+  if (et && et !== "draw") return et;
+
+  return compare(score.pen) || "draw";
+}
+
+module.exports = {
+  SCORE_PERIODS,
+  parseScoreString,
+  parseGoalserveScores,
+  getMatchScore,
+  calculateWinner,
+};
@@ -0,0 +1,55 @@
+// utils/teamName.js
+
+// Club-type prefixes/suffixes that providers add or drop inconsistently
+const CLUB_AFFIXES = ["fc", "afc", "cf", "sc", "ac", "fk", "sk", "sv", "cd", "ca", "sl", "if", "bk", "ud", "club", "calcio"];
+
+// Common short forms mapped to the normalised full name. Provider-specific spellings
+// are learned into Team.aliases at runtime; this only covers names no affix rule can fix.
+const KNOWN_ALIASES = {
+  "man utd": "manchester united",
+  "man united": "manchester united",
+  "man city": "manchester city",
+  "spurs": "tottenham hotspur",
+  "tottenham": "tottenham hotspur",
+  "wolves": "wolverhampton wanderers",
+  "wolverhampton": "wolverhampton wanderers",
+  "newcastle": "newcastle united",
+  "west ham": "west ham united",
+  "brighton": "brighton and hove albion",
+  "nottm forest": "nottingham forest",
+  "sheff utd": "sheffield united",
+  "inter": "internazionale",
+  "inter milan": "internazionale",
+  "psg": "paris saint germain",
+  "paris sg": "paris saint germain",
+  "bayern munich": "bayern munchen",
+  "atletico madrid": "atletico de madrid",
+  "atl madrid": "atletico de madrid",
+};
+
+/**
+ * Normalise a team name into a comparison key:
+ * lowercase, accents stripped, punctuation removed, FC/SC-style affixes dropped, known short forms expanded.
+ * "Manchester United F.C.", "Man Utd" and "manchester united" all become "manchester united".
+ */
+function normalizeTeamName(name) {
+  if (!name) return "";
+  const words = String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/\./g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(/\s+/);
+
+  const stripped = words.filter((w) => !CLUB_AFFIXES.includes(w));
+  const key = (stripped.length ? stripped : words).join(" ");
+  return KNOWN_ALIASES[key] || key;
+}
+
+module.exports = {
+  KNOWN_ALIASES,
+  normalizeTeamName,
+};